@@ -1,256 +1,289 @@
 /**
  * Panel Hover
- * 
+ *
  * Auto-open panels on hover and auto-close when leaving the panel area.
  * Configurable delays for open, switch, and close actions.
- * 
+ *
  * @title Panel Hover
  * @description Auto-open panels on hover and auto-close when leaving
- * @version 1.0.0
+ * @version 1.6.0
  * @author Anonymous
  * @license MIT
  * @compatibility Vivaldi 6.0+
  */
 
-(async () => {
-  "use strict";
+/**
+ * Settings read from the mod's `config` in the manifest, with their defaults
+ */
+const CONFIG_SCHEMA = {
+  autoClose: { type: "boolean", default: true },                   // Automatically close panels when mouse leaves panel area
+  closeFixed: { type: "boolean", default: false },                 // Allow closing fixed (non-overlay) panels
+  openDelay: { type: "number", default: 280, min: 0 },             // Delay in ms before opening a panel on hover
+  switchDelay: { type: "number", default: 40, min: 0 },            // Delay in ms when switching between open panels
+  closeDelay: { type: "number", default: 280, min: 0 },            // Delay in ms before closing a panel
+  downloadCloseDelay: { type: "number", default: 20000, min: 0 },  // Delay in ms before auto-closing download panel after download starts
+};
 
-  /**
-   * Configuration object for panel behavior timing and features
-   */
-  const config = {
-    autoClose: true,              // Automatically close panels when mouse leaves panel area
-    closeFixed: false,            // Allow closing fixed (non-overlay) panels
-    openDelay: 280,               // Delay in ms before opening a panel on hover
-    switchDelay: 40,              // Delay in ms when switching between open panels
-    closeDelay: 280,              // Delay in ms before closing a panel
-    downloadCloseDelay: 20000,    // Delay in ms before auto-closing download panel after download starts
-  };
+// Resolved settings, set in setup
+let config = null;
 
-  let panelToggleTimeout;
+// Shared helpers from the loader, set in setup
+let runtime = null;
 
-  /**
-   * Validates configuration values and applies defaults for invalid entries
-   * @param {Object} cfg - Configuration object to validate
-   */
-  const validateConfig = (cfg) => {
-    const delays = ['openDelay', 'switchDelay', 'closeDelay', 'downloadCloseDelay'];
-    delays.forEach(key => {
-      if (typeof cfg[key] !== 'number' || cfg[key] < 0) {
-        console.warn(`Invalid ${key}, using default 280ms`);
-        cfg[key] = key === 'downloadCloseDelay' ? 20000 : 280;
-      }
-    });
-  };
+let panelToggleTimeout;
 
-  /**
-   * Creates and applies a new stylesheet to the document
-   * @param {string} css - CSS rules to add
-   */
-  const addStyleSheet = (css) => {
-    const styleSheet = new CSSStyleSheet();
-    styleSheet.replaceSync(css);
-    document.adoptedStyleSheets = [...document.adoptedStyleSheets, styleSheet];
-  };
+// Turned off and on with the toggleAutoHide command; panels only open and close on hover while set
+let autoHideActive = true;
 
-  /**
-   * Disables pointer events on webview when hovering over panels
-   * Prevents accidental interactions with page content while using panels
-   */
-  const preventWebViewMouseEventsWhenPanelHovered = () => {
-    addStyleSheet(`
-      #main:has(#panels-container:hover) #webview-container {
-        pointer-events: none !important;
-      }
-    `);
-  };
+// Timers started by the mod, cleared on teardown
+const pendingTimeouts = new Set();
 
-  /**
-   * Waits for an element to appear in the DOM
-   * @param {string} selector - CSS selector for the target element
-   * @param {Node} startNode - Node to start searching from
-   * @param {number} timeoutMs - Maximum time to wait in milliseconds
-   * @returns {Promise<Element>} The found element
-   * @throws {Error} If element is not found within timeout period
-   */
-  const waitForElement = (selector, startNode = document, timeoutMs = 10000) => {
-    return new Promise((resolve, reject) => {
-      const checkInterval = 100;
-      let elapsedTime = 0;
+// Undo steps registered during setup, run in reverse order on teardown
+let cleanups = [];
 
-      const timerId = setInterval(() => {
-        const elem = startNode.querySelector(selector);
+/**
+ * Starts a timeout that is cancelled automatically on teardown
+ * @param {Function} callback - Function to run
+ * @param {number} delay - Delay in milliseconds
+ * @returns {number} Timeout id
+ */
+const schedule = (callback, delay) => {
+  const timeoutId = setTimeout(() => {
+    pendingTimeouts.delete(timeoutId);
+    callback();
+  }, delay);
+  pendingTimeouts.add(timeoutId);
+  return timeoutId;
+};
 
-        if (elem) {
-          clearInterval(timerId);
-          resolve(elem);
-        }
+/**
+ * Disables pointer events on webview when hovering over panels
+ * Prevents accidental interactions with page content while using panels
+ */
+const preventWebViewMouseEventsWhenPanelHovered = () => {
+  cleanups.push(runtime.addStyleSheet(`
+    #main:has(#panels-container:hover) #webview-container {
+      pointer-events: none !important;
+    }
+  `));
+};
 
-        elapsedTime += checkInterval;
-        if (elapsedTime >= timeoutMs) {
-          clearInterval(timerId);
-          reject(new Error(`Element ${selector} not found within ${timeoutMs}ms`));
-        }
-      }, checkInterval);
-    });
-  };
+/**
+ * Simulates a complete click event sequence on an element
+ * Dispatches pointerdown, mousedown, pointerup, mouseup, and click events
+ * @param {Element} element - The element to click
+ */
+const simulateClick = (element) => {
+  element.dispatchEvent(
+    new PointerEvent("pointerdown", { bubbles: true, pointerId: 1 })
+  );
+  element.dispatchEvent(
+    new PointerEvent("mousedown", { bubbles: true, detail: 1 })
+  );
+  element.dispatchEvent(
+    new PointerEvent("pointerup", { bubbles: true, pointerId: 1 })
+  );
+  element.dispatchEvent(
+    new PointerEvent("mouseup", { bubbles: true, detail: 1 })
+  );
+  element.dispatchEvent(new PointerEvent("click", { bubbles: true }));
+};
 
-  /**
-   * Simulates a complete click event sequence on an element
-   * Dispatches pointerdown, mousedown, pointerup, mouseup, and click events
-   * @param {Element} element - The element to click
-   */
-  const simulateClick = (element) => {
-    element.dispatchEvent(
-      new PointerEvent("pointerdown", { bubbles: true, pointerId: 1 })
-    );
-    element.dispatchEvent(
-      new PointerEvent("mousedown", { bubbles: true, detail: 1 })
-    );
-    element.dispatchEvent(
-      new PointerEvent("pointerup", { bubbles: true, pointerId: 1 })
-    );
-    element.dispatchEvent(
-      new PointerEvent("mouseup", { bubbles: true, detail: 1 })
-    );
-    element.dispatchEvent(new PointerEvent("click", { bubbles: true }));
-  };
+/**
+ * Gets the button element of the currently active panel
+ * @returns {Element|null} The active panel button or null if none active
+ */
+const getActivePanelButton = () => runtime.selectors.query("activePanelButton");
 
-  /**
-   * Gets the button element of the currently active panel
-   * @returns {Element|null} The active panel button or null if none active
-   */
-  const getActivePanelButton = () =>
-    document.querySelector("#panels .active > button");
+// Topic other mods can subscribe to, to hear which panel the mod opened or closed
+const PANEL_TOPIC = "autoHidePanels/panel";
 
-  /**
-   * Toggles a panel with optional delay
-   * @param {Element} button - The panel button to toggle
-   * @param {boolean} useDelay - Whether to apply delay based on panel state
-   */
-  const togglePanel = (button, useDelay) => {
-    const delay = useDelay
-      ? getActivePanelButton()
-        ? config.switchDelay
-        : config.openDelay
-      : 0;
+/**
+ * Clicks a panel button and announces the panel it opened or closed on PANEL_TOPIC
+ * @param {Element} button - The panel button to click
+ */
+const clickPanelButton = (button) => {
+  const action = button === getActivePanelButton() ? "close" : "open";
+  simulateClick(button);
+  runtime.events.publish(PANEL_TOPIC, { action, panel: button.getAttribute("name") });
+};
 
-    clearTimeout(panelToggleTimeout);
-    panelToggleTimeout = setTimeout(() => {
-      simulateClick(button);
-    }, delay);
-  };
+/**
+ * Toggles a panel with optional delay
+ * @param {Element} button - The panel button to toggle
+ * @param {boolean} useDelay - Whether to apply delay based on panel state
+ */
+const togglePanel = (button, useDelay) => {
+  const delay = useDelay
+    ? getActivePanelButton()
+      ? config.switchDelay
+      : config.openDelay
+    : 0;
 
-  /**
-   * Closes the currently active panel if conditions are met
-   * Only closes overlay panels by default unless closeFixed is enabled
-   */
-  const closePanel = () => {
-    if (
-      !config.closeFixed &&
-      !document.querySelector("#panels-container.overlay")
-    ) {
-      return;
+  clearTimeout(panelToggleTimeout);
+  pendingTimeouts.delete(panelToggleTimeout);
+  panelToggleTimeout = schedule(() => {
+    clickPanelButton(button);
+  }, delay);
+};
+
+/**
+ * Closes the currently active panel if conditions are met
+ * Only closes overlay panels by default unless closeFixed is enabled
+ */
+const closePanel = () => {
+  if (
+    !autoHideActive ||
+    (!config.closeFixed && !runtime.selectors.query("overlayPanelsContainer"))
+  ) {
+    return;
+  }
+
+  schedule(() => {
+    const activeButton = getActivePanelButton();
+    if (activeButton) {
+      clickPanelButton(activeButton);
     }
+  }, config.closeDelay);
+};
+
+/**
+ * Checks if an element is a valid panel button
+ * Excludes the web panel button from matching
+ * @param {Element} element - The element to check
+ * @returns {boolean} True if element is a panel button
+ */
+const isPanelButton = (element) =>
+  runtime.selectors.matches(element, "panelButton") &&
+  element.getAttribute("name") !== "PanelWeb";
+
+/**
+ * Checks if an event has any keyboard modifiers pressed
+ * @param {Event} event - The event to check
+ * @returns {boolean} True if any modifier key is pressed
+ */
+const hasKeyboardModifiers = (event) =>
+  event.altKey || event.ctrlKey || event.shiftKey || event.metaKey;
+
+/**
+ * Adds a DOM event listener and registers its removal for teardown
+ * @param {EventTarget} target - Element to listen on
+ * @param {string} type - Event type
+ * @param {Function} listener - Event handler
+ * @param {Object} options - addEventListener options
+ */
+const listen = (target, type, listener, options) => {
+  target.addEventListener(type, listener, options);
+  cleanups.push(() => target.removeEventListener(type, listener, options));
+};
 
-    setTimeout(() => {
-      const activeButton = getActivePanelButton();
-      if (activeButton) {
-        simulateClick(activeButton);
+/**
+ * Sets up automatic closing of download panel after downloads start
+ * Listens for download creation events and closes panel after configured delay
+ */
+const setupDownloadPanelAutoClose = () => {
+  if (chrome && chrome.downloads) {
+    const onDownloadCreated = async (downloadItem) => {
+      // Every window hears every download; the focused one is where it was started
+      if (!(await runtime.windows.isFocused())) {
+        return;
       }
-    }, config.closeDelay);
-  };
+      console.log("Download created:", downloadItem);
 
-  /**
-   * Checks if an element is a valid panel button
-   * Excludes the web panel button from matching
-   * @param {Element} element - The element to check
-   * @returns {boolean} True if element is a panel button
-   */
-  const isPanelButton = (element) =>
-    element.matches(
-      'button:is([name^="Panel"], [name^="WEBPANEL_"]):not([name="PanelWeb"])'
-    );
+      schedule(() => {
+        const activeButton = getActivePanelButton();
+        const isDownloadPanelActive = activeButton?.getAttribute('name') === 'PanelDownloads';
 
-  /**
-   * Checks if an event has any keyboard modifiers pressed
-   * @param {Event} event - The event to check
-   * @returns {boolean} True if any modifier key is pressed
-   */
-  const hasKeyboardModifiers = (event) =>
-    event.altKey || event.ctrlKey || event.shiftKey || event.metaKey;
+        if (isDownloadPanelActive) {
+          clickPanelButton(activeButton);
+        }
+      }, config.downloadCloseDelay);
+    };
 
-  /**
-   * Sets up automatic closing of download panel after downloads start
-   * Listens for download creation events and closes panel after configured delay
-   */
-  const setupDownloadPanelAutoClose = () => {
-    if (chrome && chrome.downloads) {
-      chrome.downloads.onCreated.addListener((downloadItem) => {
-        console.log("Download created:", downloadItem);
-        
-        setTimeout(() => {
-          const activeButton = getActivePanelButton();
-          const isDownloadPanelActive = activeButton?.getAttribute('name') === 'PanelDownloads';
-          
-          if (isDownloadPanelActive) {
-            simulateClick(activeButton);
-          }
-        }, config.downloadCloseDelay);
-      });
+    chrome.downloads.onCreated.addListener(onDownloadCreated);
+    cleanups.push(() => chrome.downloads.onCreated.removeListener(onDownloadCreated));
+  }
+};
+
+/**
+ * Sets up event listeners for panel hover behavior
+ * Handles mouseenter, mouseleave, and dragenter events on panel buttons
+ * Also sets up auto-close behavior when mouse enters webview area
+ */
+const setupPanelHoverBehavior = () => {
+  const handlePanelEvent = (event) => {
+    if (autoHideActive && isPanelButton(event.target) && !hasKeyboardModifiers(event)) {
+      switch (event.type) {
+        case "mouseenter":
+          togglePanel(event.target, true);
+          break;
+        case "mouseleave":
+          clearTimeout(panelToggleTimeout);
+          break;
+        case "dragenter":
+          togglePanel(event.target, false);
+          break;
+      }
     }
   };
 
-  /**
-   * Sets up event listeners for panel hover behavior
-   * Handles mouseenter, mouseleave, and dragenter events on panel buttons
-   * Also sets up auto-close behavior when mouse enters webview area
-   */
-  const setupPanelHoverBehavior = () => {
-    const handlePanelEvent = (event) => {
-      if (isPanelButton(event.target) && !hasKeyboardModifiers(event)) {
-        switch (event.type) {
-          case "mouseenter":
-            togglePanel(event.target, true);
-            break;
-          case "mouseleave":
-            clearTimeout(panelToggleTimeout);
-            break;
-          case "dragenter":
-            togglePanel(event.target, false);
-            break;
-        }
+  if (config.autoClose) {
+    const webviewContainer = runtime.selectors.query("webviewContainer");
+    listen(webviewContainer, "mouseenter", closePanel);
+    // Close panel when new webview becomes visible
+    listen(webviewContainer, "animationstart", (event) => {
+      if (
+        event.target.matches("webview") &&
+        event.animationName === "delay_visibility"
+      ) {
+        closePanel();
       }
-    };
+    });
+  }
 
-    if (config.autoClose) {
-      const webviewContainer = document.querySelector("#webview-container");
-      webviewContainer.addEventListener("mouseenter", closePanel);
-      // Close panel when new webview becomes visible
-      webviewContainer.addEventListener("animationstart", (event) => {
-        if (
-          event.target.matches("webview") &&
-          event.animationName === "delay_visibility"
-        ) {
-          closePanel();
-        }
-      });
-    }
+  const panels = runtime.selectors.query("panels");
+  listen(panels, "mouseenter", handlePanelEvent, { capture: true });
+  listen(panels, "mouseleave", handlePanelEvent, { capture: true });
+  listen(panels, "dragenter", handlePanelEvent, { capture: true });
+};
 
-    const panels = document.querySelector("#panels");
-    panels.addEventListener("mouseenter", handlePanelEvent, { capture: true });
-    panels.addEventListener("mouseleave", handlePanelEvent, { capture: true });
-    panels.addEventListener("dragenter", handlePanelEvent, { capture: true });
-  };
+/**
+ * Turns opening and closing panels on hover off or back on for the session
+ */
+const toggleAutoHide = () => {
+  autoHideActive = !autoHideActive;
+  clearTimeout(panelToggleTimeout);
+  pendingTimeouts.delete(panelToggleTimeout);
+};
 
-  // Initialize the mod
-  try {
-    validateConfig(config);
-    await waitForElement("#browser");
+export default {
+  /**
+   * Initializes the mod once the browser UI is available
+   * @param {Object} ctx - Mod context from the loader
+   */
+  async setup(ctx) {
+    config = ctx.config.define(CONFIG_SCHEMA);
+    runtime = ctx.runtime;
+    runtime.events.define(PANEL_TOPIC, { action: "string", panel: "string" });
+    autoHideActive = true;
+    ctx.commands.register("toggleAutoHide", {
+      title: "Toggle panel auto-hide",
+      chord: "Ctrl+Alt+H",
+      run: toggleAutoHide,
+    });
+    await runtime.selectors.waitFor("browser");
     preventWebViewMouseEventsWhenPanelHovered();
     setupPanelHoverBehavior();
     setupDownloadPanelAutoClose();
-  } catch (error) {
-    console.error("Failed to initialize panel hover script:", error);
-  }
-})();
\ No newline at end of file
+  },
+
+  /**
+   * Removes every listener, timer and stylesheet added by setup
+   */
+  teardown() {
+    pendingTimeouts.forEach((timeoutId) => clearTimeout(timeoutId));
+    pendingTimeouts.clear();
+    cleanups.reverse().forEach((cleanup) => cleanup());
+    cleanups = [];
+  },
+};
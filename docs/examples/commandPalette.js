@@ -0,0 +1,253 @@
+/**
+ * Command Palette
+ *
+ * Opens a searchable list of the commands every running mod registers, such as
+ * toggling panel auto-hide or cycling search engines, next to the load status of
+ * each mod. Picking a command runs it; picking a mod enables or disables it for
+ * the session.
+ *
+ * @title Command Palette
+ * @description Search and run mod commands, and turn mods on and off for the session
+ * @version 1.0.0
+ * @author Anonymous
+ * @license MIT
+ * @compatibility Vivaldi 6.0+
+ */
+
+const PALETTE_CLASS = "command-palette";
+
+// Shared helpers from the loader, set in setup
+let runtime = null;
+
+// Id of this mod, left out of the list so the palette cannot turn itself off
+let ownId = null;
+
+// Dialog builder from the runtime, set in setup
+let dialogs = null;
+
+// The open palette with its dialog, search field, list, matching items and selected index
+let palette = null;
+
+// Undo steps registered during setup, run in reverse order on teardown
+let cleanups = [];
+
+/**
+ * Scores how well a query matches a text. Every character of the query has to appear
+ * in order; runs of characters and characters at the start of words score higher.
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to search
+ * @returns {number} The score, or -1 when the text does not match
+ */
+const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let position = -1;
+  let streak = 0;
+  for (const character of needle) {
+    const index = haystack.indexOf(character, position + 1);
+    if (index === -1) {
+      return -1;
+    }
+    const wordStart = index === 0 || !/[a-z0-9]/i.test(text[index - 1]) || /[a-z][A-Z]/.test(text.slice(index - 1, index + 1));
+    streak = index === position + 1 ? streak + 1 : 0;
+    score += 1 + streak * 2 + (wordStart ? 3 : 0);
+    position = index;
+  }
+  // Shorter texts first when the matches are equally good
+  return score - haystack.length / 1000;
+};
+
+/**
+ * Lists the commands of the other mods and what can be done with each mod
+ * @returns {Array<{label: string, detail: string, search: string, run: Function|null}>} Palette items,
+ *   where `run` is null for mods that can neither be enabled nor disabled
+ */
+const collectItems = () => {
+  const vmm = window.__vmm;
+  const commands = vmm.commands.list()
+    .filter((command) => command.mod !== ownId)
+    .map((command) => ({
+      label: command.title,
+      detail: [command.chord, command.mod].filter(Boolean).join(" · "),
+      search: `${command.title} ${command.mod}`,
+      run: () => vmm.commands.run(command.id),
+    }));
+
+  const mods = vmm.getMods()
+    .filter((mod) => mod.id !== ownId)
+    .map((mod) => {
+      const reason = mod.error?.message || mod.reason;
+      const detail = reason ? `${mod.status}: ${reason}` : mod.status;
+      if (mod.status === "disabled") {
+        return { label: `Enable ${mod.id}`, detail, search: `enable ${mod.id}`, run: () => vmm.enable(mod.id) };
+      }
+      if ((mod.status === "loaded" && mod.supportsTeardown) || mod.status === "waiting") {
+        return { label: `Disable ${mod.id}`, detail, search: `disable ${mod.id}`, run: () => vmm.disable(mod.id) };
+      }
+      return { label: mod.id, detail, search: mod.id, run: null };
+    });
+
+  return [...commands, ...mods];
+};
+
+/**
+ * Shows the items matching the search field, best match first
+ */
+const render = () => {
+  const query = palette.input.value.trim();
+  palette.items = collectItems()
+    .map((item) => ({ item, score: query ? fuzzyScore(query, item.search) : 0 }))
+    .filter(({ score }) => score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item);
+  palette.selected = Math.max(0, palette.items.findIndex((item) => item.run));
+
+  palette.list.replaceChildren(...palette.items.map((item, index) => runtime.createElement("li", {
+    class: [item.run ? "" : "unavailable", index === palette.selected ? "selected" : ""].join(" ").trim(),
+    events: { click: () => choose(index) },
+  }, null, [
+    runtime.createElement("span", { class: "label", text: item.label }),
+    runtime.createElement("span", { class: "detail", text: item.detail }),
+  ])));
+};
+
+/**
+ * Moves the selection up or down, skipping items that cannot run
+ * @param {number} step - 1 for down, -1 for up
+ */
+const moveSelection = (step) => {
+  const { items } = palette;
+  for (let index = palette.selected + step; index >= 0 && index < items.length; index += step) {
+    if (items[index].run) {
+      palette.list.children[palette.selected]?.classList.remove("selected");
+      palette.list.children[index].classList.add("selected");
+      palette.list.children[index].scrollIntoView?.({ block: "nearest" });
+      palette.selected = index;
+      return;
+    }
+  }
+};
+
+/**
+ * Closes the palette and runs an item
+ * @param {number} index - Index of the item in the list
+ */
+const choose = async (index) => {
+  const item = palette?.items[index];
+  if (!item?.run) {
+    return;
+  }
+  closePalette();
+  await item.run();
+};
+
+/**
+ * Handles the keys of the search field
+ * @param {KeyboardEvent} event - Key event
+ */
+const onKeyDown = (event) => {
+  const actions = {
+    ArrowDown: () => moveSelection(1),
+    ArrowUp: () => moveSelection(-1),
+    Enter: () => choose(palette.selected),
+    Escape: () => closePalette(),
+  };
+  if (actions[event.key]) {
+    event.preventDefault();
+    actions[event.key]();
+  }
+};
+
+/**
+ * Closes the palette if it is open
+ */
+const closePalette = () => {
+  palette?.close();
+  palette = null;
+};
+
+/**
+ * Opens the palette, or closes it when it is already open
+ */
+const togglePalette = () => {
+  if (palette?.modalBg.isConnected) {
+    closePalette();
+    return;
+  }
+  const input = runtime.createElement("input", {
+    type: "search",
+    class: "search",
+    placeholder: "Search commands and mods",
+    events: { input: render, keydown: onKeyDown },
+  });
+  const list = runtime.createElement("ul", { class: "items" });
+  const { modalBg, close } = dialogs.make("Command Palette", [input, list], [], { width: 520 });
+  palette = { modalBg, close, input, list, items: [], selected: 0 };
+  render();
+  input.focus();
+};
+
+/**
+ * Adds the palette styles
+ */
+const addStyles = () => {
+  cleanups.push(runtime.addStyleSheet(`
+    .${PALETTE_CLASS} .search {
+      width: 100%;
+      box-sizing: border-box;
+      margin-bottom: 6px;
+    }
+    .${PALETTE_CLASS} .items {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+    .${PALETTE_CLASS} .items li {
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 4px 8px;
+      border-radius: var(--radiusHalf);
+      cursor: default;
+    }
+    .${PALETTE_CLASS} .items li.selected {
+      background-color: var(--colorHighlightBg);
+      color: var(--colorHighlightFg);
+    }
+    .${PALETTE_CLASS} .items li.unavailable {
+      opacity: 0.6;
+    }
+    .${PALETTE_CLASS} .items .detail {
+      opacity: 0.8;
+      white-space: nowrap;
+    }
+  `));
+};
+
+export default {
+  /**
+   * Registers the command that opens the palette
+   * @param {Object} ctx - Mod context from the loader
+   */
+  setup(ctx) {
+    runtime = ctx.runtime;
+    ownId = ctx.id;
+    dialogs = runtime.createDialogs(PALETTE_CLASS);
+    addStyles();
+    ctx.commands.register("open", {
+      title: "Open the command palette",
+      chord: "Ctrl+Alt+P",
+      run: togglePalette,
+    });
+  },
+
+  /**
+   * Closes the palette and removes its styles
+   */
+  teardown() {
+    closePalette();
+    cleanups.reverse().forEach((cleanup) => cleanup());
+    cleanups = [];
+  },
+};
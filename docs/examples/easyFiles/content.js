@@ -0,0 +1,136 @@
+/**
+ * Content handlers of Easy Files. chrome.scripting runs these functions inside the frames of
+ * web pages, so each must be self-contained: no imports and no variables from outside its body.
+ */
+
+/**
+ * Function executed inside target tab frames to intercept <input type="file"> clicks
+ * @param {string} nameKey - Identifier for the script messaging
+ */
+export const injectContent = (nameKey) => {
+  if (window.easyFiles) return;
+
+  const fileData = [];
+  let fileInput = null;
+  let elementClickedRect = null;
+  const pointer = { x: 0, y: 0 }; // content-context pointer (separate from UI pointer)
+
+  const decompressArrayBuffer = async (input) => {
+    const decompressedStream = new Response(input).body.pipeThrough(new DecompressionStream("gzip"));
+    return await new Response(decompressedStream).arrayBuffer();
+  };
+
+  const getRect = (element) => {
+    const rect = element.getBoundingClientRect().toJSON();
+    while ((element = element.offsetParent)) {
+      if (getComputedStyle(element).overflow !== "visible") {
+        const parentRect = element.getBoundingClientRect();
+        rect.left = Math.max(rect.left, parentRect.left);
+        rect.top = Math.max(rect.top, parentRect.top);
+        rect.right = Math.min(rect.right, parentRect.right);
+        rect.bottom = Math.min(rect.bottom, parentRect.bottom);
+        rect.width = rect.right - rect.left;
+        rect.height = rect.bottom - rect.top;
+        rect.x = rect.left;
+        rect.y = rect.top;
+      }
+    }
+    return rect;
+  };
+
+  const handleMouseDown = (event) => {
+    elementClickedRect = getRect(event.target);
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+  };
+
+  const handleClick = (event) => {
+    if (event.target.matches("input[type=file]:not([webkitdirectory])")) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      fileInput = event.target;
+
+      if (
+        event.isTrusted &&
+        fileInput.checkVisibility?.({
+          opacityProperty: true,
+          visibilityProperty: true,
+          contentVisibilityAuto: true,
+        })
+      ) {
+        elementClickedRect = getRect(fileInput);
+      }
+
+      const attributes = {};
+      for (const attr of fileInput.attributes) attributes[attr.name] = attr.value;
+
+      fileData.length = 0;
+
+      // Convert rect to be relative to pointer (will be reversed by UI script)
+      elementClickedRect.left -= pointer.x;
+      elementClickedRect.top  -= pointer.y;
+      elementClickedRect.right -= pointer.x;
+      elementClickedRect.bottom -= pointer.y;
+      elementClickedRect.x    -= pointer.x;
+      elementClickedRect.y    -= pointer.y;
+
+      chrome.runtime.sendMessage({
+        type: nameKey,
+        action: "click",
+        attributes,
+        elementClickedRect,
+      });
+    }
+  };
+
+  const changeFile = (dataTransfer) => {
+    fileInput.files = dataTransfer.files;
+    fileInput.dispatchEvent(new Event("input",  { bubbles: true }));
+    fileInput.dispatchEvent(new Event("change", { bubbles: true }));
+  };
+
+  const handleMessage = async (info) => {
+    if (info.type !== nameKey) return;
+
+    switch (info.action) {
+      case "file": {
+        fileData[info.file.fileDataIndex] = info.file.fileData;
+        if (Object.entries(fileData).length === info.file.fileDataLength) {
+          const dataTransfer = new DataTransfer();
+          const base64String = fileData.join("");
+          const unit8Array = Uint8Array.from(atob(base64String), c => c.charCodeAt(0));
+          const decompressedArrayBuffer = await decompressArrayBuffer(unit8Array);
+          dataTransfer.items.add(new File([decompressedArrayBuffer], info.file.fileName, { type: info.file.mimeType }));
+          changeFile(dataTransfer);
+        }
+        break;
+      }
+      case "picker": {
+        fileInput?.showPicker?.();
+        break;
+      }
+    }
+  };
+
+  document.addEventListener("mousedown", handleMouseDown);
+  document.addEventListener("click", handleClick);
+  chrome.runtime.onMessage.addListener(handleMessage);
+
+  // Lets the UI side remove the handlers again when the mod is torn down
+  window.easyFiles = {
+    detach() {
+      document.removeEventListener("mousedown", handleMouseDown);
+      document.removeEventListener("click", handleClick);
+      chrome.runtime.onMessage.removeListener(handleMessage);
+      delete window.easyFiles;
+    },
+  };
+};
+
+/**
+ * Function executed inside target tab frames to remove the content handlers
+ */
+export const detachContent = () => {
+  window.easyFiles?.detach?.();
+};
@@ -0,0 +1,197 @@
+/**
+ * Clipboard and download sources of the files Easy Files offers
+ */
+
+import { gnoh } from "./gnoh.js";
+
+/**
+ * Simulates paste event to read clipboard data
+ * @returns {Promise<{items: Array, isRealFile: boolean}>}
+ */
+const simulatePaste = async () =>
+  new Promise((resolve) => {
+    document.addEventListener(
+      "paste",
+      (e) => {
+        e.preventDefault();
+        const items = [];
+        let isRealFile = true;
+
+        for (const item of e.clipboardData.items) {
+          const file = item.getAsFile();
+          const entry = item.webkitGetAsEntry?.();
+          if (file) {
+            if (!entry || entry.isFile) {
+              items.push({ file, isFile: true, isRealFile: !!entry });
+            } else if (entry.isDirectory) {
+              items.push({ file, isDirectory: true });
+            }
+          }
+        }
+
+        resolve({ items, isRealFile });
+      },
+      { once: true }
+    );
+
+    document.execCommand("paste");
+  });
+
+/**
+ * Converts PNG blob to JPEG
+ * @param {Blob} blob - PNG blob to convert
+ * @returns {Promise<Blob>} JPEG blob
+ */
+const convertPngToJpeg = async (blob) => {
+  const image = document.createElement("img");
+  image.src = URL.createObjectURL(blob);
+  await image.decode();
+
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+
+  return new Promise((resolve) => {
+    canvas.toBlob((b) => {
+      URL.revokeObjectURL(image.src);
+      if (b) resolve(b);
+    }, "image/jpeg");
+  });
+};
+
+/**
+ * Reads files from clipboard
+ * @param {string} accept - File accept attribute filter
+ * @param {{chunkSize: number, maxAllowedSize: number}} config - Resolved settings of the mod
+ * @returns {Promise<Array>} Array of clipboard files
+ */
+export const readClipboard = async (accept, config) => {
+  const clipboardFiles = [];
+  try {
+    const supportedTypes = [
+      { extension: "png",  mimeType: "image/png"  },
+      { extension: "jpeg", mimeType: "image/jpeg" },
+      { extension: "jpg",  mimeType: "image/jpeg" },
+    ];
+    const supportedType = supportedTypes.find(s =>
+      gnoh.file.verifyAccept({ fileName: "image." + s.extension, mimeType: s.mimeType }, accept)
+    );
+
+    const pasteData = await simulatePaste();
+
+    for (const item of pasteData.items) {
+      const file = item.file;
+      let checkType = false;
+
+      if (item.isFile) {
+        if (item.isRealFile) {
+          checkType = gnoh.file.verifyAccept({ fileName: file.name, mimeType: file.type }, accept);
+        } else {
+          checkType = supportedType && file.type === "image/png";
+        }
+      }
+
+      if (checkType && (!config.maxAllowedSize || file.size <= config.maxAllowedSize)) {
+        let blob = new Blob([file], { type: file.type });
+
+        if (!item.isRealFile && supportedType?.mimeType === "image/jpeg") {
+          blob = await convertPngToJpeg(blob);
+        }
+
+        const arrayBuffer = await blob.arrayBuffer();
+        const compressedArrayBuffer = await gnoh.stream.compress(arrayBuffer);
+        const compressedBase64String = btoa(
+          new Uint8Array(compressedArrayBuffer).reduce((data, byte) => data + String.fromCharCode(byte), "")
+        );
+        const fileData = gnoh.array.chunks(compressedBase64String, config.chunkSize);
+        const clipboardFile = {
+          fileData,
+          fileDataLength: fileData.length,
+          mimeType: blob.type,
+          size: blob.size,
+          category: "clipboard",
+        };
+
+        if (item.isRealFile) {
+          clipboardFile.fileName = file.name;
+        } else {
+          clipboardFile.extension = supportedType?.extension;
+        }
+
+        switch (clipboardFile.mimeType) {
+          case "image/jpeg":
+          case "image/png":
+          case "image/svg+xml":
+          case "image/webp":
+          case "image/gif":
+          case "image/bmp":
+            try {
+              clipboardFile.previewUrl = await vivaldi.utilities.storeImage({ data: arrayBuffer, mimeType: blob.type });
+            } catch (error) {
+              console.warn("Failed to create preview for clipboard image", error);
+            }
+            break;
+        }
+
+        clipboardFiles.push(clipboardFile);
+      }
+    }
+  } catch (error) {
+    console.error(error);
+  }
+  return clipboardFiles;
+};
+
+/**
+ * Gets list of downloaded files matching accept filter
+ * @param {string} accept - File accept attribute filter
+ * @param {{maxAllowedSize: number}} config - Resolved settings of the mod
+ * @returns {Promise<Array>} Array of downloaded files
+ */
+export const getDownloadedFiles = async (accept, config) => {
+  const downloadedFiles = await chrome.downloads.search({ exists: true, state: "complete", orderBy: ["-startTime"] });
+  const result = {};
+  for (let df of downloadedFiles) {
+    if (
+      df.mime &&
+      df.mime !== "application/x-msdownload" &&
+      gnoh.file.verifyAccept({ fileName: df.filename, mimeType: df.mime }, accept)
+    ) {
+      df = (await chrome.downloads.search({ id: df.id }))[0];
+      if (
+        df &&
+        df.exists === true &&
+        df.state === "complete" &&
+        (!config.maxAllowedSize || df.fileSize <= config.maxAllowedSize) &&
+        !result[df.filename]
+      ) {
+        const file = {
+          mimeType: df.mime,
+          path: df.filename,
+          fileName: df.filename.replace(/^.*[\\/]/, ""),
+          size: df.fileSize,
+          category: "downloaded-file",
+        };
+
+        switch (file.mimeType) {
+          case "image/jpeg":
+          case "image/png":
+          case "image/svg+xml":
+          case "image/webp":
+          case "image/gif":
+          case "image/bmp":
+            try {
+              file.previewUrl = await vivaldi.utilities.storeImage({ url: file.path });
+            } catch (error) {
+              console.warn("Failed to create preview for file:", file.path, error);
+            }
+            break;
+        }
+        result[df.filename] = file;
+      }
+    }
+  }
+  return Object.values(result);
+};
@@ -0,0 +1,109 @@
+/**
+ * File, stream and color helpers of Easy Files
+ */
+
+export const gnoh = {
+  stream: {
+    async compress(input, outputType = "arrayBuffer", format = "gzip") {
+      const compressedStream = new Response(input).body
+        .pipeThrough(new CompressionStream(format));
+      return await new Response(compressedStream)[outputType]();
+    },
+  },
+  file: {
+    readableFileSize(size) {
+      const i = Math.floor(Math.log(size) / Math.log(1024));
+      return `${(size / Math.pow(1024, i)).toFixed(2)} ${["B", "kB", "MB", "GB", "TB"][i]}`;
+    },
+    getFileExtension(fileName) {
+      return /(?:\.([^.]+))?$/.exec(fileName)[1];
+    },
+    verifyAccept({ fileName, mimeType }, accept) {
+      if (!accept) return true;
+
+      const parts = accept.split(",")
+        .map(x => x.trim())
+        .filter(x => !!x && (x.startsWith(".") || /\w+\/([-+.\w]+|\*)/.test(x)));
+
+      if (!parts.length) return true;
+
+      for (const mt of parts) {
+        const ok = mt.startsWith(".")
+          ? new RegExp(mt.replace(".", ".+\\.") + "$").test(fileName)
+          : new RegExp(mt.replace("*", ".+")).test(mimeType);
+        if (ok) return true;
+      }
+      return false;
+    },
+  },
+  array: {
+    chunks(arrOrString, n) {
+      const s = Array.isArray(arrOrString) ? arrOrString : String(arrOrString);
+      const out = [];
+      for (let i = 0; i < s.length; i += n) out.push(s.slice(i, i + n));
+      return out;
+    },
+  },
+  element: {
+    getStyle(element) {
+      return getComputedStyle(element);
+    },
+  },
+  string: {
+    toHashCode(str) {
+      let hash = 0;
+      for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash) + str.charCodeAt(i);
+        hash |= 0;
+      }
+      return hash;
+    },
+    toColorRgb(str) {
+      const hash = this.toHashCode(str);
+      return {
+        r: (hash >> (0 * 8)) & 0xff,
+        g: (hash >> (1 * 8)) & 0xff,
+        b: (hash >> (2 * 8)) & 0xff,
+      };
+    },
+  },
+  color: {
+    rgbToHex(r, g, b) {
+      return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    },
+    getLuminance(r, g, b) {
+      return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    },
+    isLight(r, g, b) {
+      return this.getLuminance(r, g, b) < 156;
+    },
+    shadeColor(r, g, b, percent) {
+      const t = percent < 0 ? 0 : 255 * percent;
+      const p = percent < 0 ? 1 + percent : 1 - percent;
+      return {
+        r: Math.round(parseInt(r) * p + t),
+        g: Math.round(parseInt(g) * p + t),
+        b: Math.round(parseInt(b) * p + t),
+      };
+    },
+  },
+  object: {
+    isObject(item) {
+      return (item && typeof item === "object" && !Array.isArray(item));
+    },
+    merge(target, source) {
+      let output = Object.assign({}, target);
+      if (this.isObject(target) && this.isObject(source)) {
+        for (const key in source) {
+          if (this.isObject(source[key])) {
+            if (!(key in target)) Object.assign(output, { [key]: source[key] });
+            else output[key] = this.merge(target[key], source[key]);
+          } else {
+            Object.assign(output, { [key]: source[key] });
+          }
+        }
+      }
+      return output;
+    },
+  },
+};
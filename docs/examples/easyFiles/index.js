@@ -0,0 +1,450 @@
+/**
+ * Easy Files
+ *
+ * Enhances file input elements with clipboard and download history integration.
+ * Allows selecting files from clipboard or recent downloads instead of file picker.
+ *
+ * @title Easy Files
+ * @description Enhanced file input with clipboard and downloads
+ * @version 3.2.1
+ * @author Tam710562
+ * @license MIT
+ * @compatibility Vivaldi 6.0+
+ * @runAt idle
+ * @needs chrome.scripting, chrome.downloads, vivaldi.tabsPrivate.onWebviewClickCheck
+ * @needs vivaldi.mailPrivate.readFileToBuffer, vivaldi.utilities.storeImage
+ */
+
+import { gnoh } from "./gnoh.js";
+import { getDownloadedFiles, readClipboard } from "./files.js";
+import { detachContent, injectContent } from "./content.js";
+
+/**
+ * Settings read from the mod's `config` in the manifest, with their defaults
+ */
+const CONFIG_SCHEMA = {
+  chunkSize: { type: "integer", default: 1024 * 1024 * 10, min: 1 },     // 10MB chunk size for file transfer
+  maxAllowedSize: { type: "integer", default: 1024 * 1024 * 5, min: 1 }, // 5MB max file size
+  nameKey: {                                                             // Identifier for message passing
+    type: "string",
+    default: "easy-files",
+    validate: (value) => /^[a-z][a-z0-9-]*$/i.test(value) || "expected letters, digits and dashes",
+  },
+};
+
+// Resolved settings, set in setup
+let config = null;
+
+// Shared helpers from the loader, set in setup
+let runtime = null;
+
+/**
+ * Warns about setting combinations that are valid but probably unintended
+ * @param {Object} cfg - Resolved settings
+ */
+const checkConfig = (cfg) => {
+  // Not an error, but helpful if noticed during debugging
+  if (cfg.chunkSize > cfg.maxAllowedSize) {
+    console.warn(
+      `chunkSize (${cfg.chunkSize}) is larger than maxAllowedSize (${cfg.maxAllowedSize}). ` +
+      `This is allowed, but means most files will be a single chunk.`
+    );
+  }
+};
+
+// --------------------------
+// i18n strings
+// --------------------------
+// Translates the mod's strings from locales/, set in setup. Labels Vivaldi already has, such as
+// "Show more", are keyed by their English text so Vivaldi's translation is used for other languages.
+let t = null;
+
+// --------------------------
+// Dialog
+// --------------------------
+
+// Class of the dialog form, which dialog.css is scoped to
+const DIALOG_CLASS = "easy-files";
+
+// Dialog builder, set in setup
+let dialog = null;
+
+// --------------------------
+// UI-side helpers and flows
+// --------------------------
+
+const uiPointer = { x: 0, y: 0 }; // UI-context pointer
+
+/**
+ * Creates a file icon element with color coding
+ * @param {string} extension - File extension
+ * @returns {HTMLElement} File icon element
+ */
+const createFileIcon = (extension) => {
+  const rgb = extension ? gnoh.string.toColorRgb(extension) : { r: 255, g: 255, b: 255 };
+  const isLightBg = gnoh.color.isLight(rgb.r, rgb.g, rgb.b);
+  const lighter = gnoh.color.shadeColor(rgb.r, rgb.g, rgb.b, isLightBg ? 0.4 : -0.4);
+
+  const icon = runtime.createElement("div", {
+    class: "file-icon",
+    style: {
+      "--colorFileIconBg": gnoh.color.rgbToHex(rgb.r, rgb.g, rgb.b),
+      "--colorFileIconBgLighter": gnoh.color.rgbToHex(lighter.r, lighter.g, lighter.b),
+      "--colorFileIconFg": isLightBg ? "#f6f6f6" : "#111111",
+    }
+  });
+  runtime.createElement("div", { class: "file-icon-content", text: extension }, icon);
+  return icon;
+};
+
+/**
+ * Builds a selectable file box in the dialog
+ * @param {Object} sender - Message sender information
+ * @param {Object} file - File object
+ * @param {Object} dlg - Dialog object
+ * @returns {Promise<HTMLElement>} Selectbox element
+ */
+const createSelectbox = async (sender, file, dlg) => {
+  const selectbox = runtime.createElement("button", {
+    title: `${file.fileName ? file.fileName + "\n" : ""}${t("fileSize", { size: gnoh.file.readableFileSize(file.size) })}`,
+    class: "selectbox",
+    events: {
+      async click(event) {
+        event.preventDefault();
+        dlg.close();
+
+        switch (file.category) {
+          case "downloaded-file":
+            if (!file.fileData) {
+              const arrayBuffer = await vivaldi.mailPrivate.readFileToBuffer(file.path);
+              const compressedArrayBuffer = await gnoh.stream.compress(arrayBuffer);
+              const compressedBase64String = btoa(
+                new Uint8Array(compressedArrayBuffer).reduce((data, byte) => data + String.fromCharCode(byte), "")
+              );
+              file.fileData = gnoh.array.chunks(compressedBase64String, config.chunkSize);
+              file.fileDataLength = file.fileData.length;
+            }
+            break;
+          case "clipboard":
+            if (!file.fileName) {
+              const d = new Date();
+              const stamp = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}_` +
+                            `${String(d.getHours()).padStart(2,"0")}${String(d.getMinutes()).padStart(2,"0")}${String(d.getSeconds()).padStart(2,"0")}${String(d.getMilliseconds()).padStart(3,"0")}`;
+              file.fileName = `image_${stamp}.${file.extension}`;
+            }
+            break;
+        }
+
+        chooseFile(sender, file);
+      },
+    },
+  });
+
+  const selectboxImage = runtime.createElement("div", { class: "selectbox-image" }, selectbox);
+  if (file.previewUrl) selectboxImage.classList.add("preview"); else selectboxImage.classList.add("icon");
+
+  if (file.previewUrl) {
+    runtime.createElement("img", { src: file.previewUrl }, selectboxImage);
+  } else {
+    const extension = file.extension || gnoh.file.getFileExtension(file.fileName);
+    selectboxImage.append(createFileIcon(extension));
+  }
+
+  const title = runtime.createElement("div", { class: "selectbox-title" }, selectbox);
+  const nameRow = runtime.createElement("div", { class: "filename-container" }, title);
+
+  if (file.fileName) {
+    const extension = file.extension || gnoh.file.getFileExtension(file.fileName);
+    const name = extension ? file.fileName.slice(0, -extension.length - 1) : file.fileName;
+    runtime.createElement("div", { class: "filename-text", text: name }, nameRow);
+    if (extension) runtime.createElement("div", { class: "filename-extension", text: "." + extension }, nameRow);
+  }
+
+  return selectbox;
+};
+
+/**
+ * Sends selected file chunks to content script
+ * @param {Object} sender - Message sender information
+ * @param {Object} file - File object to send
+ */
+const chooseFile = (sender, file) => {
+  if (!file.fileData.length) file.fileData.push([]);
+
+  for (const [index, chunk] of file.fileData.entries()) {
+    chrome.tabs.sendMessage(sender.tab.id, {
+      type: config.nameKey,
+      action: "file",
+      tabId: sender.tab.id,
+      frameId: sender.frameId,
+      file: {
+        fileData: chunk,
+        fileDataIndex: index,
+        fileDataLength: file.fileData.length,
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+      },
+    }, { frameId: sender.frameId });
+  }
+};
+
+/**
+ * Shows native file picker in the content frame
+ * @param {Object} sender - Message sender information
+ */
+const showAllFiles = (sender) => {
+  chrome.tabs.sendMessage(sender.tab.id, {
+    type: config.nameKey,
+    action: "picker",
+    tabId: sender.tab.id,
+    frameId: sender.frameId,
+  }, { frameId: sender.frameId });
+};
+
+/**
+ * Shows dialog for choosing files from clipboard or downloads
+ * @param {Object} params - { info, sender, clipboardFiles, downloadedFiles }
+ */
+const showDialogChooseFile = async ({ info, sender, clipboardFiles, downloadedFiles }) => {
+  let disconnectResizeObserver;
+
+  const btnShowAll = gnoh.object.merge({ ...dialog.createConstant().dialogButtons.submit }, {
+    label: t("Show more"),
+    click() {
+      showAllFiles(sender);
+      disconnectResizeObserver && disconnectResizeObserver();
+    },
+  });
+
+  const btnCancel = gnoh.object.merge({ ...dialog.createConstant().dialogButtons.cancel }, {
+    click() {
+      disconnectResizeObserver && disconnectResizeObserver();
+    },
+  });
+
+  const dlg = dialog.make(t("Choose a File..."), null, [btnShowAll, btnCancel]);
+  dlg.dialog.style.maxWidth = "570px";
+
+  dlg.modalBg.style.height = "fit-content";
+  dlg.modalBg.style.position = "fixed";
+  dlg.modalBg.style.margin = "unset";
+  dlg.modalBg.style.minWidth = "unset";
+  dlg.modalBg.style.left = "unset";
+  dlg.modalBg.style.top = "unset";
+  dlg.modalBg.style.right = "unset";
+  dlg.modalBg.style.bottom = "unset";
+
+  const setPosition = (entries) => {
+    for (const entry of entries) {
+      const rect = entry.contentRect;
+
+      if (info.elementClickedRect.left < 0) {
+        dlg.modalBg.style.left = "0px";
+      } else if (info.elementClickedRect.right > window.innerWidth) {
+        dlg.modalBg.style.right = "0px";
+      } else if (info.elementClickedRect.left + rect.width > window.innerWidth) {
+        dlg.modalBg.style.left = Math.max((info.elementClickedRect.right - rect.width), 0) + "px";
+      } else {
+        dlg.modalBg.style.left = info.elementClickedRect.left + "px";
+      }
+
+      if (info.elementClickedRect.bottom < 0) {
+        dlg.modalBg.style.top = "0px";
+      } else if (info.elementClickedRect.bottom + rect.height > window.innerHeight) {
+        dlg.modalBg.style.top = Math.max((info.elementClickedRect.top - rect.height), 0) + "px";
+      } else {
+        dlg.modalBg.style.top = info.elementClickedRect.bottom + "px";
+      }
+    }
+  };
+
+  const resizeObserver = new ResizeObserver(setPosition);
+  resizeObserver.observe(dlg.dialog);
+  disconnectResizeObserver = () => resizeObserver.unobserve(dlg.dialog);
+
+  if (clipboardFiles.length) {
+    const wrap = runtime.createElement("div", { class: "selectbox-wrapper" });
+    runtime.createElement("h3", { text: t("Clipboard") }, wrap);
+    const cont = runtime.createElement("div", { class: "selectbox-container" }, wrap);
+    for (const cf of clipboardFiles) cont.append(await createSelectbox(sender, cf, dlg));
+    dlg.dialogContent.append(wrap);
+  }
+
+  if (downloadedFiles.length) {
+    const wrap = runtime.createElement("div", { class: "selectbox-wrapper" });
+    runtime.createElement("h3", {
+      text: t("Downloads"),
+      title: t("downloadsHint", { count: downloadedFiles.length, size: gnoh.file.readableFileSize(config.maxAllowedSize) }),
+    }, wrap);
+    const cont = runtime.createElement("div", { class: "selectbox-container" }, wrap);
+    for (const df of downloadedFiles) cont.append(await createSelectbox(sender, df, dlg));
+    dlg.dialogContent.append(wrap);
+  }
+};
+
+// --------------------------
+// URL scope (from the manifest)
+// --------------------------
+
+// Set from the mod context in setup
+let scope = null;
+
+/**
+ * Checks whether the content script should be injected into a tab
+ * @param {string} url - URL of the tab
+ * @returns {boolean} True if the mod has no URL scopes or the URL matches one
+ */
+const isUrlInScope = (url) => !scope || scope.matches(url);
+
+// --------------------------
+// Listeners (UI context)
+// --------------------------
+
+/**
+ * Tracks the pointer in UI context so the dialog can be anchored near the input
+ */
+const onWebviewClickCheck = (windowId, mousedown, button, clientX, clientY) => {
+  if (windowId === runtime.windows.id && mousedown && button === 0) {
+    uiPointer.x = clientX;
+    uiPointer.y = clientY;
+  }
+};
+
+// Last click on a file input, so the reopenChooser command can show its chooser again
+let lastFileClick = null;
+
+/**
+ * Handles clicks coming from the content script
+ */
+const onRuntimeMessage = async (info, sender) => {
+  if (sender?.tab?.windowId !== runtime.windows.id || info.type !== config.nameKey) return;
+
+  switch (info.action) {
+    case "click": {
+      lastFileClick = { info: structuredClone(info), sender };
+      const [clipboardFiles, downloadedFiles] = await Promise.all([
+        readClipboard(info.attributes?.accept, config),
+        getDownloadedFiles(info.attributes?.accept, config),
+      ]);
+
+      if (clipboardFiles.length || downloadedFiles.length) {
+        const webview = window[sender.tab.id] || document.elementFromPoint(uiPointer.x, uiPointer.y);
+        const zoom = parseFloat(gnoh.element.getStyle(webview).getPropertyValue("--uiZoomLevel"));
+        const webviewZoom = await new Promise((resolve) => webview.getZoom((z) => resolve(z)));
+        const ratio = webviewZoom / zoom;
+
+        // Convert rect back to absolute viewport coords using UI pointer and zoom ratio
+        info.elementClickedRect.left   = info.elementClickedRect.left   * ratio + uiPointer.x;
+        info.elementClickedRect.top    = info.elementClickedRect.top    * ratio + uiPointer.y;
+        info.elementClickedRect.right  = info.elementClickedRect.right  * ratio + uiPointer.x;
+        info.elementClickedRect.bottom = info.elementClickedRect.bottom * ratio + uiPointer.y;
+        info.elementClickedRect.width  = info.elementClickedRect.width  * ratio;
+        info.elementClickedRect.height = info.elementClickedRect.height * ratio;
+        info.elementClickedRect.x      = info.elementClickedRect.x      * ratio + uiPointer.x;
+        info.elementClickedRect.y      = info.elementClickedRect.y      * ratio + uiPointer.y;
+
+        showDialogChooseFile({ info, sender, clipboardFiles, downloadedFiles });
+      } else {
+        showAllFiles(sender);
+      }
+      break;
+    }
+  }
+};
+
+/**
+ * Opens the chooser again for the file input that was clicked last
+ */
+const reopenChooser = () => {
+  if (lastFileClick) {
+    onRuntimeMessage(structuredClone(lastFileClick.info), lastFileClick.sender);
+  }
+};
+
+/**
+ * Re-injects the content handler into a frame after navigation
+ */
+const onNavigationCommitted = async (details) => {
+  if (details.tabId === -1) return;
+  // Every window hears every navigation, so only the primary window injects
+  if (!(await runtime.windows.isPrimary())) return;
+  if (scope?.isScoped) {
+    // Sub-frames are scoped by the URL of the tab that hosts them
+    const tabUrl = details.frameId === 0 ? details.url : (await chrome.tabs.get(details.tabId)).url;
+    if (!isUrlInScope(tabUrl)) return;
+  }
+  chrome.scripting.executeScript({
+    target: { tabId: details.tabId, frameIds: [details.frameId] },
+    func: injectContent,
+    args: [config.nameKey],
+  });
+};
+
+/**
+ * Runs a function in every frame of the tabs of this Vivaldi window
+ * @param {Function} func - Function to execute in the frames
+ * @param {Array} args - Arguments passed to the function
+ * @param {boolean} scopedOnly - Only target tabs inside the URL scope
+ */
+const executeInWindowTabs = (func, args, scopedOnly) => {
+  chrome.tabs.query({ windowId: runtime.windows.id, windowType: "normal" }, (tabs) => {
+    tabs.filter((tab) => !scopedOnly || isUrlInScope(tab.url || tab.pendingUrl)).forEach((tab) => {
+      chrome.scripting.executeScript({
+        target: { tabId: tab.id, allFrames: true },
+        func,
+        args,
+      });
+    });
+  });
+};
+
+// Removes the dialog stylesheet, set in setup
+let removeStyleSheet = null;
+
+export default {
+  /**
+   * Initializes the mod in the UI context and injects the content handler
+   * @param {Object} ctx - Mod context from the loader
+   */
+  async setup(ctx) {
+    scope = ctx.scope;
+    config = ctx.config.define(CONFIG_SCHEMA);
+    checkConfig(config);
+    runtime = ctx.runtime;
+    t = await runtime.i18n.load();
+    dialog = runtime.createDialogs(DIALOG_CLASS);
+    removeStyleSheet = runtime.addStyleSheet(await ctx.package.text("dialog.css"));
+    ctx.commands.register("reopenChooser", { title: t("Reopen the file chooser"), run: reopenChooser });
+
+    try {
+      vivaldi.tabsPrivate.onWebviewClickCheck.addListener(onWebviewClickCheck);
+    } catch {}
+
+    chrome.runtime.onMessage.addListener(onRuntimeMessage);
+    chrome.webNavigation.onCommitted.addListener(onNavigationCommitted);
+
+    // Wait for Vivaldi browser shell, then inject
+    await runtime.selectors.waitFor("browser");
+    executeInWindowTabs(injectContent, [config.nameKey], true);
+  },
+
+  /**
+   * Removes the listeners, stylesheet and dialogs, and detaches the content handler from open tabs
+   */
+  teardown() {
+    try {
+      vivaldi.tabsPrivate.onWebviewClickCheck.removeListener(onWebviewClickCheck);
+    } catch {}
+
+    chrome.runtime.onMessage.removeListener(onRuntimeMessage);
+    chrome.webNavigation.onCommitted.removeListener(onNavigationCommitted);
+    dialog?.closeAll();
+    removeStyleSheet?.();
+    removeStyleSheet = null;
+
+    // Tabs that left the scope may still have the handler, so detach everywhere
+    executeInWindowTabs(detachContent, [], false);
+    scope = null;
+    lastFileClick = null;
+  },
+};
@@ -85,6 +85,26 @@ public static class ManifestConstants
     /// </summary>
     public const string DefaultLoaderVersion = "1.0.0";
 
+    /// <summary>
+    /// Filename of the package manifest that names the entry point of a mod package directory.
+    /// </summary>
+    public const string PackageManifestFilename = "mod.json";
+
+    /// <summary>
+    /// Filename of the listing of package files written into each copied package, which hot reload watches.
+    /// </summary>
+    public const string PackageFileListingFilename = ".vmm-files.json";
+
+    /// <summary>
+    /// Filename of the shared mod runtime module written next to the loader.
+    /// </summary>
+    public const string ModRuntimeFilename = "vmm-runtime.js";
+
+    /// <summary>
+    /// Version of the shared mod runtime module. Must match <c>VERSION</c> in vmm-runtime.js.
+    /// </summary>
+    public const string ModRuntimeVersion = "1.7.0";
+
     /// <summary>
     /// Backup file suffix for loader files.
     /// </summary>
@@ -104,4 +124,35 @@ public static class ManifestConstants
     /// Version identifier for injection stubs.
     /// </summary>
     public const string InjectionStubVersion = "1.0";
+
+    /// <summary>
+    /// Default interval in milliseconds between hot reload checks in the generated loader.
+    /// </summary>
+    public const int DefaultHotReloadIntervalMs = 1000;
+
+    /// <summary>
+    /// Minimum interval in milliseconds between hot reload checks in the generated loader.
+    /// </summary>
+    public const int MinHotReloadIntervalMs = 250;
+
+    /// <summary>
+    /// Default modifier chord that skips all mods when held while Vivaldi starts.
+    /// </summary>
+    public const string DefaultSafeModeChord = "Ctrl+Shift";
+
+    /// <summary>
+    /// Default number of consecutive failed startups after which the loader skips a mod.
+    /// </summary>
+    public const int DefaultCrashLoopThreshold = 3;
+
+    /// <summary>
+    /// Default time in milliseconds a mod may spend on its own startup work, or in long tasks,
+    /// before the loader flags it as slow.
+    /// </summary>
+    public const int DefaultSlowModThresholdMs = 200;
+
+    /// <summary>
+    /// Default number of uncaught errors after which the loader disables a running mod.
+    /// </summary>
+    public const int DefaultModErrorThreshold = 10;
 }
\ No newline at end of file
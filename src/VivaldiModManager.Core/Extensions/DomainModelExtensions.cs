@@ -1,3 +1,4 @@
+using VivaldiModManager.Core.Constants;
 using VivaldiModManager.Core.Models;
 
 namespace VivaldiModManager.Core.Extensions;
@@ -125,6 +126,22 @@ public static ModInfo Touch(this ModInfo mod)
         return mod;
     }
 
+    /// <summary>
+    /// Determines whether a mod is a package: a directory with a <c>mod.json</c> that names its entry point,
+    /// rather than a single script file.
+    /// </summary>
+    /// <param name="mod">The mod to check.</param>
+    /// <returns>True when the filename does not end in <c>.js</c>.</returns>
+    public static bool IsPackage(this ModInfo mod)
+    {
+        if (mod == null)
+        {
+            throw new ArgumentNullException(nameof(mod));
+        }
+
+        return !mod.Filename.EndsWith(ManifestConstants.ModFileExtension, StringComparison.OrdinalIgnoreCase);
+    }
+
     /// <summary>
     /// Updates the last verified timestamp on an installation.
     /// </summary>
@@ -199,6 +216,8 @@ public static ModInfo Clone(this ModInfo mod, string? newId = null)
             LastModified = mod.LastModified,
             Version = mod.Version,
             UrlScopes = new List<string>(mod.UrlScopes),
+            Config = new Dictionary<string, object>(mod.Config),
+            Compatibility = mod.Compatibility,
             LastKnownCompatibleVivaldi = mod.LastKnownCompatibleVivaldi,
             CreatedAt = DateTimeOffset.UtcNow,
             UpdatedAt = DateTimeOffset.UtcNow,
@@ -1,4 +1,5 @@
 using System.Text.Json.Serialization;
+using VivaldiModManager.Core.Constants;
 
 namespace VivaldiModManager.Core.Models;
 
@@ -42,6 +43,84 @@ public class GlobalSettings
     /// </summary>
     [JsonPropertyName("safeModeActive")]
     public bool SafeModeActive { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the generated loader watches loader.js and the
+    /// mod files for changes and reloads mods in place. Intended for mod development.
+    /// </summary>
+    [JsonPropertyName("hotReloadEnabled")]
+    public bool HotReloadEnabled { get; set; }
+
+    /// <summary>
+    /// Gets or sets how often, in milliseconds, the loader checks for changes when hot reload is enabled.
+    /// </summary>
+    [JsonPropertyName("hotReloadIntervalMs")]
+    public int HotReloadIntervalMs { get; set; } = ManifestConstants.DefaultHotReloadIntervalMs;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether, with hot reload on, the loader imports a mod file that no longer
+    /// matches its checksum with a warning instead of refusing it, so mods can be edited in place.
+    /// </summary>
+    [JsonPropertyName("hotReloadAllowUnverified")]
+    public bool HotReloadAllowUnverified { get; set; }
+
+    /// <summary>
+    /// Gets or sets the modifier chord, such as <c>Ctrl+Shift</c>, that makes the loader skip every mod
+    /// when it is held while Vivaldi starts. An empty value turns the chord off.
+    /// </summary>
+    [JsonPropertyName("safeModeChord")]
+    public string SafeModeChord { get; set; } = ManifestConstants.DefaultSafeModeChord;
+
+    /// <summary>
+    /// Gets or sets the number of consecutive failed startups after which the loader skips a mod.
+    /// Zero turns crash-loop protection off.
+    /// </summary>
+    [JsonPropertyName("crashLoopThreshold")]
+    public int CrashLoopThreshold { get; set; } = ManifestConstants.DefaultCrashLoopThreshold;
+
+    /// <summary>
+    /// Gets or sets what the loader does with a mod whose compatibility range does not include
+    /// the running Vivaldi version.
+    /// </summary>
+    [JsonPropertyName("compatibilityPolicy")]
+    public CompatibilityPolicy CompatibilityPolicy { get; set; } = CompatibilityPolicy.Skip;
+
+    /// <summary>
+    /// Gets or sets the time in milliseconds a mod may spend importing and setting up, not counting
+    /// waits for elements, or in long tasks after startup, before the load report flags it as slow.
+    /// Zero turns the flag off.
+    /// </summary>
+    [JsonPropertyName("slowModThresholdMs")]
+    public int SlowModThresholdMs { get; set; } = ManifestConstants.DefaultSlowModThresholdMs;
+
+    /// <summary>
+    /// Gets or sets the number of uncaught errors a running mod may cause before the loader tears it
+    /// down for the rest of the session. Zero only counts the errors.
+    /// </summary>
+    [JsonPropertyName("modErrorThreshold")]
+    public int ModErrorThreshold { get; set; } = ManifestConstants.DefaultModErrorThreshold;
+}
+
+/// <summary>
+/// Determines how the generated loader treats mods that declare a Vivaldi version range
+/// the running browser is outside of.
+/// </summary>
+public enum CompatibilityPolicy
+{
+    /// <summary>
+    /// The mod is not loaded and is marked as skipped in the load report.
+    /// </summary>
+    Skip,
+
+    /// <summary>
+    /// The mod is loaded and a warning is added to the load report.
+    /// </summary>
+    Warn,
+
+    /// <summary>
+    /// The compatibility range is not checked.
+    /// </summary>
+    Ignore
 }
 
 /// <summary>
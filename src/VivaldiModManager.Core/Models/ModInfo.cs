@@ -63,6 +63,20 @@ public class ModInfo
     [JsonPropertyName("urlScopes")]
     public List<string> UrlScopes { get; set; } = new();
 
+    /// <summary>
+    /// Gets or sets the per-mod settings passed to the mod as <c>ctx.config</c>.
+    /// Missing keys use the defaults declared by the mod.
+    /// </summary>
+    [JsonPropertyName("config")]
+    public Dictionary<string, object> Config { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the range of Vivaldi versions the mod supports, such as <c>6.0+</c> or <c>6.5 - 7.1</c>.
+    /// Overrides the <c>@compatibility</c> tag in the mod header. Null uses the header.
+    /// </summary>
+    [JsonPropertyName("compatibility")]
+    public string? Compatibility { get; set; }
+
     /// <summary>
     /// Gets or sets the last known compatible Vivaldi version.
     /// </summary>
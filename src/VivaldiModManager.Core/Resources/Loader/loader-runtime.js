@@ -0,0 +1,3580 @@
+// ---------------------------------------------------------------------------
+// Loader runtime
+//
+// Appended by LoaderService after the generated constants and the `modsToLoad`
+// list. Everything below runs inside browser.html as part of loader.js.
+// ---------------------------------------------------------------------------
+
+/**
+ * Load states a mod moves through while the loader runs
+ */
+const MOD_STATUS = Object.freeze({
+  PENDING: 'pending',
+  WAITING: 'waiting',
+  LOADED: 'loaded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  DISABLED: 'disabled',
+});
+
+/**
+ * Converts anything thrown by a mod into a plain, serializable error record
+ * @param {*} error - The thrown value
+ * @returns {{name: string, message: string, stack: (string|null)}} Error record
+ */
+const toErrorRecord = (error) => {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, stack: error.stack || null };
+  }
+  return { name: 'Error', message: String(error), stack: null };
+};
+
+/**
+ * Converts a URL scope glob into a regular expression matched against the whole URL.
+ * `*` matches any run of characters and `?` matches a single character.
+ * @param {string} glob - Scope pattern such as `https://*.github.com/*`
+ * @returns {RegExp} Anchored expression for the pattern
+ */
+const globToRegExp = (glob) => {
+  if (glob === '<all_urls>') {
+    return /^.*$/;
+  }
+  const source = glob
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[-\/\\^$+.()|[\]{}]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Tracks the URL of the active tab in this browser window and notifies listeners when it changes
+ * @returns {{getUrl: function(): (string|null), onChange: function(function): function}} Tracker
+ */
+const createActiveTabTracker = () => {
+  const listeners = new Set();
+  let activeUrl = null;
+  let started = false;
+
+  const isThisWindow = (windowId) =>
+    typeof window.vivaldiWindowId === 'undefined' || windowId === window.vivaldiWindowId;
+
+  const setUrl = (url) => {
+    if (url === activeUrl) {
+      return;
+    }
+    const previousUrl = activeUrl;
+    activeUrl = url;
+    for (const listener of listeners) {
+      try {
+        listener(url, previousUrl);
+      } catch (error) {
+        console.error('Vivaldi Mod Manager: scope listener failed:', error);
+      }
+    }
+  };
+
+  const refresh = async () => {
+    const windowId = window.vivaldiWindowId ?? chrome.windows?.WINDOW_ID_CURRENT;
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    setUrl(tab ? tab.url || tab.pendingUrl || null : null);
+  };
+
+  const start = () => {
+    if (started || typeof chrome === 'undefined' || !chrome.tabs) {
+      return;
+    }
+    started = true;
+    chrome.tabs.onActivated.addListener(({ windowId }) => {
+      if (isThisWindow(windowId)) {
+        refresh().catch((error) => console.error('Vivaldi Mod Manager: failed to read active tab:', error));
+      }
+    });
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.url && tab.active && isThisWindow(tab.windowId)) {
+        setUrl(changeInfo.url);
+      }
+    });
+    refresh().catch((error) => console.error('Vivaldi Mod Manager: failed to read active tab:', error));
+  };
+
+  return {
+    getUrl: () => activeUrl,
+    onChange(listener) {
+      start();
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+const activeTabTracker = createActiveTabTracker();
+
+// Detaches a scope from the active tab tracker once its context is replaced
+const scopeDisposers = new WeakMap();
+
+/**
+ * Stops a scope from following the active tab and drops its listeners
+ * @param {Object} scope - Scope created by createUrlScope
+ */
+const disposeUrlScope = (scope) => {
+  const dispose = scopeDisposers.get(scope);
+  if (dispose) {
+    dispose();
+    scopeDisposers.delete(scope);
+  }
+};
+
+/**
+ * Creates the URL scope handed to a mod. A mod without scopes matches every URL.
+ * @param {Array<string>} patterns - The mod's `urlScopes` from the manifest
+ * @returns {Object} Scope with matching helpers and enter/leave notifications
+ */
+const createUrlScope = (patterns) => {
+  const expressions = patterns.map(globToRegExp);
+  const matches = (url) => expressions.length === 0 || (!!url && expressions.some((expression) => expression.test(url)));
+  const listeners = new Set();
+  let inScope = null;
+
+  const handleUrlChange = (url) => {
+    const nowInScope = matches(url);
+    if (nowInScope === inScope) {
+      return;
+    }
+    inScope = nowInScope;
+    for (const listener of listeners) {
+      listener({ inScope: nowInScope, url });
+    }
+  };
+
+  const stopTracking = expressions.length > 0 ? activeTabTracker.onChange(handleUrlChange) : () => {};
+
+  const scope = Object.freeze({
+    patterns: Object.freeze([...patterns]),
+    isScoped: expressions.length > 0,
+
+    /**
+     * @param {string} url - URL to test
+     * @returns {boolean} True when the URL is inside the mod's scope
+     */
+    matches,
+
+    /**
+     * @param {Array<{url: string, pendingUrl: string}>} tabs - Tabs from `chrome.tabs.query`
+     * @returns {Array<Object>} The tabs whose URL is inside the mod's scope
+     */
+    filterTabs(tabs) {
+      return tabs.filter((tab) => matches(tab.url || tab.pendingUrl));
+    },
+
+    /**
+     * @returns {boolean} True when the active tab of this window is inside the mod's scope
+     */
+    get inScope() {
+      return expressions.length === 0 || matches(activeTabTracker.getUrl());
+    },
+
+    /**
+     * Notifies the listener whenever the active tab enters or leaves the scope
+     * @param {function({inScope: boolean, url: string}): void} listener - Change listener
+     * @returns {function(): void} Unsubscribe function
+     */
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  });
+
+  scopeDisposers.set(scope, () => {
+    stopTracking();
+    listeners.clear();
+  });
+  return scope;
+};
+
+/**
+ * Type checks and descriptions for the field types a config schema can declare
+ */
+const CONFIG_TYPES = Object.freeze({
+  number: { check: (value) => typeof value === 'number' && Number.isFinite(value), label: 'a number' },
+  integer: { check: (value) => Number.isInteger(value), label: 'an integer' },
+  string: { check: (value) => typeof value === 'string', label: 'a string' },
+  boolean: { check: (value) => typeof value === 'boolean', label: 'a boolean' },
+  array: { check: (value) => Array.isArray(value), label: 'an array' },
+  object: { check: (value) => value !== null && typeof value === 'object' && !Array.isArray(value), label: 'an object' },
+});
+
+/**
+ * Checks a config value against its schema field
+ * @param {Object} field - Schema field: `type`, and optionally `min`, `max`, `enum` and `validate`
+ * @param {*} value - Value from the manifest
+ * @returns {string|null} What is wrong with the value, or null when it is valid
+ */
+const checkConfigValue = (field, value) => {
+  const type = CONFIG_TYPES[field.type];
+  if (!type.check(value)) {
+    return `expected ${type.label}`;
+  }
+  if (field.min !== undefined && value < field.min) {
+    return `expected at least ${field.min}`;
+  }
+  if (field.max !== undefined && value > field.max) {
+    return `expected at most ${field.max}`;
+  }
+  if (field.enum && !field.enum.includes(value)) {
+    return `expected one of ${field.enum.map((option) => JSON.stringify(option)).join(', ')}`;
+  }
+  if (typeof field.validate === 'function') {
+    const result = field.validate(value);
+    if (result !== true && result !== undefined) {
+      return typeof result === 'string' ? result : 'rejected by the mod';
+    }
+  }
+  return null;
+};
+
+/**
+ * Creates the `ctx.config` API that resolves a mod's manifest settings against the schema the mod declares
+ * @param {Object} values - The mod's `config` object from the manifest
+ * @param {function(string): void} warn - Records a configuration problem for the mod
+ * @returns {{values: Object, define: function(Object): Object}} Config API
+ */
+const createModConfig = (values, warn) => {
+  const raw = Object.freeze({ ...values });
+
+  return Object.freeze({
+    /**
+     * The settings from the manifest, before defaults and validation
+     */
+    values: raw,
+
+    /**
+     * Resolves the settings against a schema. Missing and invalid values fall back to the field's
+     * default; invalid and unknown keys are reported as warnings on the mod.
+     * @param {Object<string, {type: string, default: *, min: number, max: number, enum: Array, validate: function(*): (boolean|string)}>} schema - Fields by key
+     * @returns {Object} Frozen settings object
+     * @throws {TypeError} If a field declares an unknown type
+     */
+    define(schema) {
+      const resolved = {};
+      for (const [key, field] of Object.entries(schema)) {
+        if (!CONFIG_TYPES[field.type]) {
+          throw new TypeError(`Config field '${key}' has unknown type '${field.type}'`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(raw, key)) {
+          resolved[key] = field.default;
+          continue;
+        }
+        const problem = checkConfigValue(field, raw[key]);
+        if (problem) {
+          warn(`Invalid config value for '${key}': ${problem}, using default ${JSON.stringify(field.default)}`);
+          resolved[key] = field.default;
+        } else {
+          resolved[key] = raw[key];
+        }
+      }
+      for (const key of Object.keys(raw)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+          warn(`Unknown config key '${key}' ignored`);
+        }
+      }
+      return Object.freeze(resolved);
+    },
+  });
+};
+
+/**
+ * Kinds of side effects tracked for each mod, as counted in its footprint
+ */
+const EFFECT_KINDS = Object.freeze(['listeners', 'observers', 'timers', 'styleSheets', 'elements', 'overrides', 'styleProperties']);
+
+/**
+ * Checks whether a value looks like a chrome.* or vivaldi.* event
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects with addListener and removeListener
+ */
+const isExtensionEvent = (value) =>
+  !!value && typeof value.addListener === 'function' && typeof value.removeListener === 'function';
+
+/**
+ * Kinds of resources two mods can fight over, with how a warning describes using one
+ */
+const CONFLICT_KINDS = Object.freeze({
+  override: 'Overriding',
+  property: 'Setting',
+  host: 'Inserting into',
+});
+
+/**
+ * Describes an element for conflict reports
+ * @param {Element} element - Element to describe
+ * @returns {string} `#id`, or the tag name followed by its first two classes
+ */
+const describeElement = (element) => (element.id
+  ? `#${element.id}`
+  : [element.localName, ...[...element.classList].slice(0, 2)].join('.'));
+
+/**
+ * Describes an overridden function for conflict reports
+ * @param {Object} target - Object that owns the function
+ * @param {string} functionName - Name of the function
+ * @returns {string} Such as `HTMLDivElement.prototype.appendChild`
+ */
+const describeOverride = (target, functionName) => {
+  if (Object.prototype.hasOwnProperty.call(target, 'constructor') && typeof target.constructor === 'function') {
+    return `${target.constructor.name}.prototype.${functionName}`;
+  }
+  return `${target?.constructor?.name || 'Object'}.${functionName}`;
+};
+
+/**
+ * Creates the side-effect tracker of one mod. Listeners, observers, timers, stylesheets and elements
+ * added through it are recorded, so whatever the mod leaves behind can be removed when it stops.
+ * @param {function(*): void} [onError] - Called with errors thrown by the mod's listeners and timer callbacks
+ * @returns {Object} Sandbox with the `chrome`, `vivaldi` and `dom` views handed to the mod
+ */
+const createModSandbox = (onError = () => {}) => {
+  const effects = new Set();
+
+  // Wrappers of the mod's callbacks, so the same callback always gets the same wrapper
+  const guarded = new WeakMap();
+
+  /**
+   * Wraps a callback so that what it throws, or the rejection of the promise it returns, goes to
+   * `onError` instead of surfacing as an uncaught error nobody can trace back to the mod
+   * @param {Function} callback - Listener or timer callback
+   * @returns {Function} The wrapper, or the value itself when it is not a function
+   */
+  const guard = (callback) => {
+    if (typeof callback !== 'function') {
+      return callback;
+    }
+    if (!guarded.has(callback)) {
+      guarded.set(callback, function (...args) {
+        let result;
+        try {
+          result = callback.apply(this, args);
+        } catch (error) {
+          onError(error);
+          return undefined;
+        }
+        if (typeof result?.then === 'function') {
+          result.then(undefined, onError);
+        }
+        return result;
+      });
+    }
+    return guarded.get(callback);
+  };
+
+  /**
+   * Records a side effect
+   * @param {string} kind - One of EFFECT_KINDS
+   * @param {function(): void} dispose - Undoes the effect
+   * @param {Object} [details] - Values used to find the effect again
+   * @returns {Object} The effect record
+   */
+  const track = (kind, dispose, details = {}) => {
+    const effect = { kind, dispose, ...details };
+    effects.add(effect);
+    return effect;
+  };
+
+  /**
+   * Forgets a side effect and, unless the mod already undid it, undoes it
+   * @param {Object} effect - Effect record from `track`
+   * @param {boolean} [undo] - Run its dispose function
+   */
+  const release = (effect, undo = true) => {
+    if (effect && effects.delete(effect) && undo) {
+      effect.dispose();
+    }
+  };
+
+  const findEffect = (predicate) => [...effects].find(predicate);
+
+  const findStyleProperty = (element, property) =>
+    findEffect((effect) => effect.kind === 'styleProperties' && effect.element === element && effect.property === property);
+
+  // Wrapped chrome.* and vivaldi.* objects, so each is only wrapped once
+  const views = new WeakMap();
+
+  /**
+   * Wraps an extension event so added listeners are recorded and guarded
+   * @param {Object} event - The chrome.* or vivaldi.* event
+   * @returns {Object} Event with tracked addListener and removeListener
+   */
+  const wrapEvent = (event) => new Proxy({}, {
+    get(target, key) {
+      if (key === 'addListener') {
+        return (listener, ...rest) => {
+          event.addListener(guard(listener), ...rest);
+          track('listeners', () => event.removeListener(guard(listener)), { event, listener });
+        };
+      }
+      if (key === 'removeListener') {
+        return (listener) => {
+          event.removeListener(guard(listener));
+          release(findEffect((effect) => effect.event === event && effect.listener === listener), false);
+        };
+      }
+      if (key === 'hasListener') {
+        return (listener) => event.hasListener(guard(listener));
+      }
+      return wrapApi(event[key], event);
+    },
+    has: (target, key) => key in event,
+  });
+
+  /**
+   * Wraps part of the chrome.* or vivaldi.* API. Methods stay bound to their namespace and events
+   * found anywhere below it are tracked.
+   * @param {*} value - Namespace, event, method or plain value
+   * @param {Object} owner - Object the value was read from
+   * @returns {*} The wrapped value
+   */
+  const wrapApi = (value, owner) => {
+    if (typeof value === 'function') {
+      return value.bind(owner);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (!views.has(value)) {
+      views.set(value, isExtensionEvent(value) ? wrapEvent(value) : new Proxy({}, {
+        get: (target, key) => wrapApi(value[key], value),
+        has: (target, key) => key in value,
+        ownKeys: () => Reflect.ownKeys(value),
+        getOwnPropertyDescriptor: (target, key) => {
+          const descriptor = Reflect.getOwnPropertyDescriptor(value, key);
+          return descriptor && { ...descriptor, configurable: true };
+        },
+      }));
+    }
+    return views.get(value);
+  };
+
+  /**
+   * Starts a timer that is forgotten once it has fired
+   * @param {function(Function, number): number} start - setTimeout or setInterval
+   * @param {function(number): void} stop - The matching clear function
+   * @param {boolean} once - Whether the timer fires only once
+   * @param {Function} callback - Timer callback
+   * @param {number} delay - Delay in milliseconds
+   * @param {...*} args - Arguments for the callback
+   * @returns {number} Timer id
+   */
+  const startTimer = (start, stop, once, callback, delay, ...args) => {
+    let effect;
+    const timerId = start((...callbackArgs) => {
+      if (once) {
+        release(effect, false);
+      }
+      guard(callback)(...callbackArgs);
+    }, delay, ...args);
+    effect = track('timers', () => stop(timerId), { timerId });
+    return timerId;
+  };
+
+  const stopTimer = (stop, timerId) => {
+    stop(timerId);
+    release(findEffect((effect) => effect.kind === 'timers' && effect.timerId === timerId), false);
+  };
+
+  const dom = Object.freeze({
+    /**
+     * Adds a DOM event listener that is removed when the mod stops
+     * @param {EventTarget} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} listener - Event handler
+     * @param {boolean|AddEventListenerOptions} [options] - addEventListener options
+     * @returns {function(): void} Removes the listener
+     */
+    addEventListener(target, type, listener, options) {
+      const capture = typeof options === 'boolean' ? options : !!options?.capture;
+      target.addEventListener(type, guard(listener), options);
+      const effect = track('listeners', () => target.removeEventListener(type, guard(listener), options),
+        { target, type, listener, capture });
+      return () => release(effect);
+    },
+
+    /**
+     * Removes a listener added with `addEventListener`
+     * @param {EventTarget} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} listener - Event handler
+     * @param {boolean|EventListenerOptions} [options] - removeEventListener options
+     */
+    removeEventListener(target, type, listener, options) {
+      const capture = typeof options === 'boolean' ? options : !!options?.capture;
+      target.removeEventListener(type, guard(listener), options);
+      release(findEffect((effect) => effect.target === target && effect.type === type &&
+        effect.listener === listener && effect.capture === capture), false);
+    },
+
+    /**
+     * Disconnects an observer the mod created when the mod stops
+     * @param {MutationObserver|ResizeObserver|IntersectionObserver} observer - Observer to track
+     * @returns {MutationObserver|ResizeObserver|IntersectionObserver} The observer
+     */
+    track(observer) {
+      trackObserver(observer);
+      return observer;
+    },
+
+    setTimeout: (callback, delay, ...args) => startTimer(setTimeout, clearTimeout, true, callback, delay, ...args),
+    clearTimeout: (timerId) => stopTimer(clearTimeout, timerId),
+    setInterval: (callback, delay, ...args) => startTimer(setInterval, clearInterval, false, callback, delay, ...args),
+    clearInterval: (timerId) => stopTimer(clearInterval, timerId),
+
+    /**
+     * Inserts an element into the browser UI until the mod stops
+     * @param {Element} element - Element to insert
+     * @param {Element|string} parent - Element or selector to insert into
+     * @param {{prepend: boolean}} [options] - Insert as the first child instead of the last
+     * @returns {Element} The element
+     */
+    inject(element, parent, { prepend = false } = {}) {
+      const parentElement = typeof parent === 'string' ? document.querySelector(parent) : parent;
+      if (prepend) {
+        parentElement.prepend(element);
+      } else {
+        parentElement.append(element);
+      }
+      trackElement(element);
+      return element;
+    },
+  });
+
+  /**
+   * Records an observer, which is forgotten when the mod disconnects it
+   * @param {MutationObserver|ResizeObserver|IntersectionObserver} observer - Observer to track
+   */
+  const trackObserver = (observer) => {
+    const disconnect = observer.disconnect.bind(observer);
+    const effect = track('observers', disconnect, { observer });
+    observer.disconnect = () => {
+      release(effect, false);
+      disconnect();
+    };
+  };
+
+  const trackStyleSheet = (remove) => {
+    const effect = track('styleSheets', remove);
+    return () => release(effect);
+  };
+
+  const trackListener = (remove) => {
+    const effect = track('listeners', remove);
+    return () => release(effect);
+  };
+
+  // Children of an element that is already tracked leave together with it
+  const trackElement = (element) => {
+    if (!findEffect((effect) => effect.kind === 'elements' && effect.element.contains(element))) {
+      track('elements', () => element.remove(), { element });
+    }
+  };
+
+  return {
+    dom,
+    get chrome() {
+      return wrapApi(globalThis.chrome, globalThis);
+    },
+    get vivaldi() {
+      return wrapApi(globalThis.vivaldi, globalThis);
+    },
+    trackObserver,
+    trackStyleSheet,
+    trackListener,
+    trackElement,
+
+    /**
+     * Tracks an override made through the mod runtime
+     * @param {function(): void} remove - Removes the override
+     * @param {string} key - Override key
+     * @param {Function} callback - Override callback
+     * @param {Object} target - Object that owns the function
+     * @param {string} functionName - Name of the function
+     */
+    trackOverride(remove, key, callback, target, functionName) {
+      track('overrides', remove, { key, callback, target, functionName });
+    },
+
+    /**
+     * Forgets an override the mod removed itself
+     * @param {string} key - Override key
+     * @param {Function} callback - Override callback
+     */
+    releaseOverride(key, callback) {
+      release(findEffect((effect) => effect.kind === 'overrides' && effect.key === key && effect.callback === callback), false);
+    },
+
+    /**
+     * Tracks an inline style property set through the mod runtime. Only the first value the mod set
+     * is recorded, so the property goes back to what it was before the mod touched it.
+     * @param {Element} element - Styled element
+     * @param {string} property - CSS property name
+     * @param {function(): void} restore - Puts back the previous value
+     */
+    trackStyleProperty(element, property, restore) {
+      if (!findStyleProperty(element, property)) {
+        track('styleProperties', restore, { element, property });
+      }
+    },
+
+    /**
+     * Forgets a style property the mod removed itself
+     * @param {Element} element - Styled element
+     * @param {string} property - CSS property name
+     */
+    releaseStyleProperty(element, property) {
+      release(findStyleProperty(element, property), false);
+    },
+
+    /**
+     * Lists the shared resources the mod currently uses: functions it overrides, style properties it
+     * set and the elements it inserted into
+     * @returns {Array<{kind: string, owner: Object, name: string, target: string}>} One claim per
+     *   resource, with `kind` from CONFLICT_KINDS and `owner` and `name` identifying the resource
+     */
+    claims() {
+      const claims = [];
+      for (const effect of effects) {
+        if (effect.kind === 'overrides' && effect.target) {
+          const target = describeOverride(effect.target, effect.functionName);
+          claims.push({ kind: 'override', owner: effect.target, name: effect.functionName, target });
+        } else if (effect.kind === 'styleProperties') {
+          const target = `${effect.property} on ${describeElement(effect.element)}`;
+          claims.push({ kind: 'property', owner: effect.element, name: effect.property, target });
+        } else if (effect.kind === 'elements' && effect.element.isConnected && effect.element.parentElement) {
+          const host = effect.element.parentElement;
+          claims.push({ kind: 'host', owner: host, name: '', target: describeElement(host) });
+        }
+      }
+      return claims;
+    },
+
+    /**
+     * @returns {Object<string, number>} Number of side effects still in place, by kind. Elements the mod
+     *   removed itself are not counted.
+     */
+    footprint() {
+      const counts = Object.fromEntries(EFFECT_KINDS.map((kind) => [kind, 0]));
+      for (const effect of effects) {
+        if (effect.kind !== 'elements' || effect.element.isConnected) {
+          counts[effect.kind]++;
+        }
+      }
+      return counts;
+    },
+
+    /**
+     * Undoes every side effect still in place, newest first
+     * @returns {number} How many effects were undone
+     */
+    dispose() {
+      const remaining = [...effects].reverse();
+      effects.clear();
+      for (const effect of remaining) {
+        try {
+          effect.dispose();
+        } catch (error) {
+          console.error(`Vivaldi Mod Manager: could not remove a tracked ${effect.kind} entry:`, error);
+        }
+      }
+      return remaining.length;
+    },
+  };
+};
+
+/**
+ * Rounds a duration for the load report
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {number} The duration with one decimal
+ */
+const roundMs = (durationMs) => Math.round(durationMs * 10) / 10;
+
+/**
+ * Creates the startup timings of a mod, filled in while it loads
+ * @returns {Object} Empty timings
+ */
+const createTimings = () => ({
+  importMs: null,
+  setupMs: null,
+  blockingMs: null,
+  waitMs: 0,
+  browserWaitMs: 0,
+  longTasks: 0,
+  longTaskMs: 0,
+  slow: false,
+});
+
+/**
+ * Creates the uncaught error counts of a mod, filled in by the error boundary while it runs
+ * @returns {{count: number, last: (Object|null), disabled: boolean}} Empty counts
+ */
+const createErrorCounts = () => ({ count: 0, last: null, disabled: false });
+
+/**
+ * Decides whether a mod slows startup down. Time spent waiting for elements does not count,
+ * since the first mod to wait for `#browser` absorbs the time the UI takes to render.
+ * @param {Object} timings - Timings of the mod
+ * @returns {boolean} True when the mod's own work or its long tasks reach the threshold
+ */
+const isSlow = (timings) => {
+  const threshold = PROFILING.slowModThresholdMs;
+  const ownMs = (timings.blockingMs || 0) - timings.waitMs;
+  return threshold > 0 && (ownMs >= threshold || timings.longTaskMs >= threshold);
+};
+
+/**
+ * Creates the context object the loader hands to a mod
+ * @param {{id: string, filename: string, urlScopes: Array<string>, config: Object}} definition - Generated mod definition
+ * @param {function(string): void} warn - Records a problem found while the mod uses its context
+ * @param {Object} sandbox - The mod's side-effect tracker
+ * @returns {Object} Frozen mod context
+ */
+const createModContext = (definition, warn, sandbox) => Object.freeze({
+  id: definition.id,
+  filename: definition.filename,
+  scope: createUrlScope(definition.urlScopes || []),
+  config: createModConfig(definition.config || {}, warn),
+  dom: sandbox.dom,
+
+  /**
+   * @returns {Object|undefined} `chrome`, with listeners added through it removed when the mod stops
+   */
+  get chrome() {
+    return sandbox.chrome;
+  },
+
+  /**
+   * @returns {Object|undefined} `vivaldi`, with listeners added through it removed when the mod stops
+   */
+  get vivaldi() {
+    return sandbox.vivaldi;
+  },
+
+  /**
+   * @returns {Object|null} The shared mod runtime, or null when it could not be imported
+   */
+  get runtime() {
+    return getModRuntime(definition.id);
+  },
+
+  /**
+   * @returns {Object|null} The manifest and files of a package mod, or null for a single-file mod
+   */
+  get package() {
+    return modPackages.get(definition.id) || null;
+  },
+
+  commands: Object.freeze({
+    /**
+     * Registers a command users can run with a key chord. It is unregistered when the mod stops.
+     * @param {string} name - Command name, unique within the mod
+     * @param {{title: string, chord: string, run: Function}} options - Title shown to users, default chord
+     *   such as `Ctrl+Shift+H`, and the action
+     * @returns {function(): void} Unregisters the command
+     */
+    register(name, options) {
+      return sandbox.trackListener(commandRegistry.register(definition.id, name, options));
+    },
+  }),
+});
+
+/**
+ * Creates the mod registry published as `window.__vmm`
+ * @param {Array<{id: string, filename: string}>} definitions - Mods in load order
+ * @param {{enable: function(string): Promise<boolean>, disable: function(string): Promise<boolean>, resetStartupFailures: function(string=): void, reportError: function(string, *): void}} actions -
+ *   Runtime toggles, and where errors thrown by a mod's tracked callbacks go
+ * @returns {Object} Registry with loader-side mutators and the public `api`
+ */
+const createModRegistry = (definitions, actions) => {
+  const entries = new Map();
+  const listeners = new Set();
+  const report = {
+    startedAt: null,
+    completedAt: null,
+    safeMode: false,
+    vivaldiVersion: null,
+    unattributedLongTasks: 0,
+    unattributedErrors: 0,
+    cycles: [],
+  };
+  const generated = { fingerprint: LOADER_FINGERPRINT, generatedAt: GENERATED_AT };
+  let resolveReady;
+  const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+  });
+
+  const contexts = new Map();
+  const modDefinitions = new Map();
+  const sandboxes = new Map();
+
+  // Mod ids by the blob URL a verified mod was imported from
+  const moduleUrls = new Map();
+
+  const warn = (id, message) => {
+    const entry = entries.get(id);
+    if (entry && !entry.warnings.includes(message)) {
+      entry.warnings.push(message);
+      console.warn(`Mod '${entry.filename}': ${message}`);
+    }
+  };
+
+  const setContext = (definition) => {
+    const previous = contexts.get(definition.id);
+    if (previous) {
+      disposeUrlScope(previous.scope);
+    }
+    sandboxes.get(definition.id)?.dispose();
+    const sandbox = createModSandbox((error) => actions.reportError(definition.id, error));
+    modDefinitions.set(definition.id, definition);
+    sandboxes.set(definition.id, sandbox);
+    contexts.set(definition.id, createModContext(definition, (message) => warn(definition.id, message), sandbox));
+  };
+
+  const define = (definition) => {
+    setContext(definition);
+    entries.set(definition.id, {
+      id: definition.id,
+      filename: definition.filename,
+      status: MOD_STATUS.PENDING,
+      supportsTeardown: false,
+      reason: null,
+      error: null,
+      warnings: [],
+      compatibility: null,
+      capabilities: null,
+      integrity: null,
+      runAt: null,
+      errors: createErrorCounts(),
+      timings: createTimings(),
+      timestamps: { queuedAt: Date.now(), startedAt: null, finishedAt: null },
+    });
+  };
+
+  for (const definition of definitions) {
+    define(definition);
+  }
+
+  const snapshot = (entry) => ({
+    ...entry,
+    error: entry.error ? { ...entry.error } : null,
+    warnings: [...entry.warnings],
+    compatibility: entry.compatibility ? { ...entry.compatibility } : null,
+    capabilities: entry.capabilities
+      ? { needs: [...entry.capabilities.needs], missing: [...entry.capabilities.missing] }
+      : null,
+    integrity: entry.integrity ? { ...entry.integrity } : null,
+    runAt: entry.runAt ? { ...entry.runAt, triggers: [...entry.runAt.triggers] } : null,
+    errors: { ...entry.errors, last: entry.errors.last ? { ...entry.errors.last } : null },
+    timings: { ...entry.timings },
+    footprint: sandboxes.get(entry.id)?.footprint() || null,
+    timestamps: { ...entry.timestamps },
+  });
+
+  const notify = (entry, previousStatus) => {
+    const mod = snapshot(entry);
+    for (const listener of listeners) {
+      try {
+        listener(mod, previousStatus);
+      } catch (error) {
+        console.error('Vivaldi Mod Manager: status listener failed:', error);
+      }
+    }
+  };
+
+  const update = (id, changes, timestamp) => {
+    const entry = entries.get(id);
+    if (!entry) {
+      return;
+    }
+    const previousStatus = entry.status;
+    Object.assign(entry, changes);
+    if (timestamp) {
+      entry.timestamps[timestamp] = Date.now();
+    }
+    if (entry.status !== previousStatus) {
+      notify(entry, previousStatus);
+    }
+  };
+
+  const findEntry = (idOrFilename) =>
+    entries.get(idOrFilename) || [...entries.values()].find((entry) => entry.filename === idOrFilename);
+
+  const findEntryByModuleUrl = (moduleUrl) => {
+    if (moduleUrls.has(moduleUrl)) {
+      return entries.get(moduleUrls.get(moduleUrl));
+    }
+    let path;
+    try {
+      path = decodeURIComponent(new URL(moduleUrl).pathname);
+    } catch {
+      return undefined;
+    }
+    return [...entries.values()].find((entry) => (isPackage(entry.filename)
+      ? path.includes(`/mods/${entry.filename}/`)
+      : path.endsWith(`/mods/${entry.filename}`)));
+  };
+
+  const countByStatus = () => {
+    const counts = Object.fromEntries(Object.values(MOD_STATUS).map((status) => [status, 0]));
+    for (const entry of entries.values()) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    return counts;
+  };
+
+  /**
+   * Finds resources used by more than one mod: the same function overridden, the same style
+   * property set on an element, or elements inserted into the same host
+   * @returns {Array<{kind: string, target: string, mods: Array<string>}>} Conflicts with the filenames
+   *   of the mods involved, in load order
+   */
+  const getConflicts = () => {
+    const resources = new Map();
+    for (const entry of entries.values()) {
+      for (const claim of sandboxes.get(entry.id)?.claims() || []) {
+        if (!resources.has(claim.owner)) {
+          resources.set(claim.owner, new Map());
+        }
+        const claims = resources.get(claim.owner);
+        const key = `${claim.kind}:${claim.name}`;
+        if (!claims.has(key)) {
+          claims.set(key, { kind: claim.kind, target: claim.target, ids: new Set() });
+        }
+        claims.get(key).ids.add(entry.id);
+      }
+    }
+    return [...resources.values()]
+      .flatMap((claims) => [...claims.values()])
+      .filter((claim) => claim.ids.size > 1)
+      .map(({ kind, target, ids }) => ({ kind, target, mods: [...ids].map((id) => entries.get(id).filename) }));
+  };
+
+  const getReport = () => ({
+    loaderVersion: LOADER_VERSION,
+    fingerprint: generated.fingerprint,
+    generatedAt: generated.generatedAt,
+    startedAt: report.startedAt,
+    completedAt: report.completedAt,
+    safeMode: report.safeMode,
+    vivaldiVersion: report.vivaldiVersion,
+    counts: countByStatus(),
+    slowMods: [...entries.values()]
+      .filter((entry) => entry.timings.slow)
+      .sort((left, right) => right.timings.blockingMs - left.timings.blockingMs)
+      .map((entry) => entry.filename),
+    unattributedLongTasks: report.unattributedLongTasks,
+    errorDisabledMods: [...entries.values()].filter((entry) => entry.errors.disabled).map((entry) => entry.filename),
+    unattributedErrors: report.unattributedErrors,
+    selectors: modRuntime?.selectors?.report() || null,
+    conflicts: getConflicts(),
+    cycles: report.cycles.map((cycle) => [...cycle]),
+    mods: [...entries.values()].map(snapshot),
+  });
+
+  const api = Object.freeze({
+    STATUS: MOD_STATUS,
+    loaderVersion: LOADER_VERSION,
+    ready,
+
+    /**
+     * @returns {string} Fingerprint of the enabled mod set currently applied
+     */
+    get fingerprint() {
+      return generated.fingerprint;
+    },
+
+    /**
+     * @returns {string} Generation time of the loader.js currently applied
+     */
+    get generatedAt() {
+      return generated.generatedAt;
+    },
+
+    /**
+     * @returns {string|null} The running Vivaldi version, or null until the loader has looked it up
+     */
+    get vivaldiVersion() {
+      return report.vivaldiVersion;
+    },
+
+    /**
+     * @returns {Object|null} The shared mod runtime module, for code that has no mod context
+     */
+    get runtime() {
+      return modRuntime;
+    },
+
+    /**
+     * @returns {Object} Commands the running mods registered, with the user's keymap
+     */
+    get commands() {
+      return commandRegistry.api;
+    },
+
+    /**
+     * Looks up a mod by manifest id or filename
+     * @param {string} idOrFilename - Mod id or filename
+     * @returns {Object|null} A snapshot of the mod entry
+     */
+    getMod(idOrFilename) {
+      const entry = findEntry(idOrFilename);
+      return entry ? snapshot(entry) : null;
+    },
+
+    /**
+     * @returns {Array<Object>} Snapshots of every mod in load order
+     */
+    getMods() {
+      return [...entries.values()].map(snapshot);
+    },
+
+    /**
+     * @returns {Object} The load report: loader metadata, status counts and every mod entry
+     */
+    getReport,
+
+    /**
+     * Returns the context of a mod. Mods call this with their own `import.meta.url`.
+     * @param {string} moduleUrlOrId - The mod's module URL, id or filename
+     * @returns {Object|null} The mod context
+     */
+    getContext(moduleUrlOrId) {
+      const entry = findEntry(moduleUrlOrId) || findEntryByModuleUrl(moduleUrlOrId);
+      return entry ? contexts.get(entry.id) : null;
+    },
+
+    /**
+     * Tears a running mod down without restarting the browser, or keeps a waiting mod from loading
+     * @param {string} idOrFilename - Mod id or filename
+     * @returns {Promise<boolean>} False when the mod is neither running nor waiting, or has no `teardown`
+     */
+    disable(idOrFilename) {
+      const entry = findEntry(idOrFilename);
+      return entry ? actions.disable(entry.id) : Promise.resolve(false);
+    },
+
+    /**
+     * Sets a mod disabled with `disable` up again
+     * @param {string} idOrFilename - Mod id or filename
+     * @returns {Promise<boolean>} False when the mod was not disabled at runtime, or a mod it `@requires` is not running
+     */
+    enable(idOrFilename) {
+      const entry = findEntry(idOrFilename);
+      return entry ? actions.enable(entry.id) : Promise.resolve(false);
+    },
+
+    /**
+     * Clears the consecutive failed startup count of a mod, or of every mod when called without an argument.
+     * A mod skipped by crash-loop protection loads again on the next startup.
+     * @param {string} [idOrFilename] - Mod id or filename
+     */
+    resetStartupFailures(idOrFilename) {
+      const entry = idOrFilename === undefined ? null : findEntry(idOrFilename);
+      actions.resetStartupFailures(entry ? entry.id : idOrFilename);
+    },
+
+    /**
+     * Subscribes to mod status changes
+     * @param {function(Object, string): void} listener - Called with the mod snapshot and its previous status
+     * @param {{replay: boolean}} options - Replay the current state of every mod to the new listener
+     * @returns {function(): void} Unsubscribe function
+     */
+    subscribe(listener, { replay = false } = {}) {
+      if (typeof listener !== 'function') {
+        throw new TypeError('listener must be a function');
+      }
+      listeners.add(listener);
+      if (replay) {
+        for (const entry of entries.values()) {
+          listener(snapshot(entry), entry.status);
+        }
+      }
+      return () => listeners.delete(listener);
+    },
+  });
+
+  return {
+    api,
+    start() {
+      report.startedAt = Date.now();
+    },
+    enterSafeMode() {
+      report.safeMode = true;
+    },
+    setVivaldiVersion(version) {
+      report.vivaldiVersion = version;
+    },
+    setCycles(cycles) {
+      report.cycles = cycles;
+    },
+    markStarted(id) {
+      update(id, { status: MOD_STATUS.PENDING, errors: createErrorCounts() }, 'startedAt');
+    },
+    markLoaded(id, { supportsTeardown = false } = {}) {
+      update(id, { status: MOD_STATUS.LOADED, supportsTeardown, reason: null, error: null }, 'finishedAt');
+    },
+    markFailed(id, error) {
+      update(id, { status: MOD_STATUS.FAILED, error: toErrorRecord(error) }, 'finishedAt');
+    },
+    markDisabled(id, reason = null) {
+      update(id, { status: MOD_STATUS.DISABLED, reason });
+    },
+    markWaiting(id, triggers) {
+      update(id, { status: MOD_STATUS.WAITING, runAt: { triggers, firedBy: null } });
+    },
+    markTriggered(id, trigger) {
+      const entry = entries.get(id);
+      if (entry?.runAt) {
+        entry.runAt.firedBy = trigger;
+      }
+    },
+    markSkipped(id, reason) {
+      update(id, { status: MOD_STATUS.SKIPPED, reason }, 'finishedAt');
+    },
+    complete() {
+      report.completedAt = Date.now();
+      resolveReady(getReport());
+    },
+    define(definition) {
+      define(definition);
+      notify(entries.get(definition.id), null);
+    },
+    definitionOf(id) {
+      return modDefinitions.get(id) || null;
+    },
+    warn,
+    recordTiming(id, changes) {
+      const entry = entries.get(id);
+      if (entry) {
+        Object.assign(entry.timings, changes);
+        entry.timings.slow = isSlow(entry.timings);
+      }
+    },
+    recordWait(id, selector, durationMs) {
+      const entry = entries.get(id);
+      if (entry) {
+        entry.timings.waitMs = roundMs(entry.timings.waitMs + durationMs);
+        if (selector === '#browser') {
+          entry.timings.browserWaitMs = roundMs(entry.timings.browserWaitMs + durationMs);
+        }
+        entry.timings.slow = isSlow(entry.timings);
+      }
+    },
+    recordError(id, error, source) {
+      const entry = entries.get(id);
+      if (!entry) {
+        report.unattributedErrors++;
+        return 0;
+      }
+      entry.errors.count++;
+      entry.errors.last = { ...toErrorRecord(error), source, at: Date.now() };
+      return entry.errors.count;
+    },
+    markErrorDisabled(id) {
+      const entry = entries.get(id);
+      if (entry) {
+        entry.errors.disabled = true;
+      }
+    },
+    recordLongTask(id, durationMs) {
+      const entry = id ? entries.get(id) : null;
+      if (!entry) {
+        report.unattributedLongTasks++;
+        return;
+      }
+      entry.timings.longTasks++;
+      entry.timings.longTaskMs = roundMs(entry.timings.longTaskMs + durationMs);
+      entry.timings.slow = isSlow(entry.timings);
+    },
+    setCompatibility(id, compatibility) {
+      const entry = entries.get(id);
+      if (entry) {
+        entry.compatibility = compatibility;
+      }
+    },
+    setCapabilities(id, capabilities) {
+      const entry = entries.get(id);
+      if (entry) {
+        entry.capabilities = capabilities;
+      }
+    },
+    setIntegrity(id, integrity) {
+      const entry = entries.get(id);
+      if (entry) {
+        entry.integrity = integrity;
+      }
+    },
+    addModuleUrl(id, moduleUrl) {
+      moduleUrls.set(moduleUrl, id);
+    },
+    sandboxOf(id) {
+      return sandboxes.get(id) || null;
+    },
+    warnConflicts(id) {
+      const filename = entries.get(id)?.filename;
+      for (const { kind, target, mods } of getConflicts()) {
+        if (mods.includes(filename)) {
+          for (const other of entries.values()) {
+            if (mods.includes(other.filename)) {
+              const others = mods.filter((mod) => mod !== other.filename).join(', ');
+              warn(other.id, `${CONFLICT_KINDS[kind]} ${target} conflicts with ${others}`);
+            }
+          }
+        }
+      }
+    },
+    disposeEffects(id) {
+      return sandboxes.get(id)?.dispose() || 0;
+    },
+    remove(id) {
+      const context = contexts.get(id);
+      if (context) {
+        disposeUrlScope(context.scope);
+      }
+      sandboxes.get(id)?.dispose();
+      sandboxes.delete(id);
+      contexts.delete(id);
+      modDefinitions.delete(id);
+      entries.delete(id);
+    },
+    renewContext(id) {
+      const entry = entries.get(id);
+      if (entry) {
+        entry.warnings = [];
+        entry.compatibility = null;
+        entry.capabilities = null;
+        entry.integrity = null;
+        setContext(modDefinitions.get(id));
+      }
+    },
+    reorder(ids) {
+      const ordered = ids.filter((id) => entries.has(id)).map((id) => entries.get(id));
+      const rest = [...entries.values()].filter((entry) => !ids.includes(entry.id));
+      entries.clear();
+      for (const entry of [...ordered, ...rest]) {
+        entries.set(entry.id, entry);
+      }
+    },
+    setGenerated(fingerprint, generatedAt) {
+      generated.fingerprint = fingerprint;
+      generated.generatedAt = generatedAt;
+    },
+  };
+};
+
+/**
+ * Returns the lifecycle object of a mod module: a default export with `setup(ctx)` and optionally `teardown()`.
+ * Mods without one are plain scripts that run once when imported.
+ * @param {Object} module - The imported module namespace
+ * @returns {{setup: function(Object): *, teardown: (function(): *|undefined)}|null} The lifecycle or null
+ */
+const getLifecycle = (module) => {
+  const candidate = module && module.default;
+  return candidate && typeof candidate.setup === 'function' ? candidate : null;
+};
+
+// Lifecycle objects of imported mods, by mod id
+const lifecycles = new Map();
+
+/**
+ * Runs the setup of a lifecycle mod. When setup throws, teardown is attempted so a
+ * half-initialized mod does not leave listeners or styles behind.
+ * @param {string} id - Mod id
+ * @param {Object} lifecycle - The mod's lifecycle object
+ */
+const runSetup = async (id, lifecycle) => {
+  try {
+    await lifecycle.setup(registry.api.getContext(id));
+  } catch (error) {
+    if (typeof lifecycle.teardown === 'function') {
+      try {
+        await lifecycle.teardown();
+      } catch (teardownError) {
+        console.error('Vivaldi Mod Manager: teardown after failed setup also failed:', teardownError);
+      }
+    }
+    registry.disposeEffects(id);
+    throw error;
+  }
+};
+
+/**
+ * Tears down a mod whose setup finished after the loader gave up on it, so it does not keep running
+ * while the registry reports it as failed
+ * @param {{id: string, filename: string}} mod - Generated mod definition
+ * @param {Object} lifecycle - The mod's lifecycle object
+ */
+const discardLateSetup = async (mod, lifecycle) => {
+  console.warn(`Vivaldi Mod Manager: '${mod.filename}' finished setting up after it timed out; tearing it down`);
+  if (typeof lifecycle.teardown === 'function') {
+    try {
+      await lifecycle.teardown();
+    } catch (error) {
+      console.error(`Failed to tear down mod '${mod.filename}' after its late setup:`, error);
+    }
+  }
+  registry.disposeEffects(mod.id);
+  lifecycles.delete(mod.id);
+};
+
+/**
+ * Imports a mod and, when it exports a lifecycle, runs its setup
+ * @param {{id: string, filename: string}} mod - Generated mod definition
+ * @param {number} revision - Cache-busting revision used by hot reload, 0 for the initial import
+ * @param {function(): boolean} [isCurrent] - False once the loader has given up on this activation
+ */
+const activateMod = async (mod, revision = 0, isCurrent = () => true) => {
+  const query = revision ? `?revision=${revision}` : '';
+  const module = await measurePhase(mod.id, 'import', async () => {
+    const verifiedUrl = await verifyModFile(mod.id);
+    if (!verifiedUrl) {
+      await preparePackage(mod.id);
+      return import(`${await getModEntryPath(mod.id)}${query}`);
+    }
+    registry.addModuleUrl(mod.id, verifiedUrl);
+    try {
+      return await import(verifiedUrl);
+    } finally {
+      URL.revokeObjectURL(verifiedUrl);
+    }
+  });
+  if (!isCurrent()) {
+    return;
+  }
+  const lifecycle = getLifecycle(module);
+  lifecycles.delete(mod.id);
+  if (lifecycle) {
+    lifecycles.set(mod.id, lifecycle);
+    await measurePhase(mod.id, 'setup', () => runSetup(mod.id, lifecycle));
+    if (!isCurrent()) {
+      await discardLateSetup(mod, lifecycle);
+      return;
+    }
+  }
+  registry.markLoaded(mod.id, { supportsTeardown: !!lifecycle && typeof lifecycle.teardown === 'function' });
+  registry.warnConflicts(mod.id);
+};
+
+/**
+ * Runs the teardown of a loaded mod, or stops a waiting mod from loading
+ * @param {string} id - Mod id
+ * @param {string} [reason] - Why the loader disabled the mod, when the user did not
+ * @returns {Promise<boolean>} True when the mod was torn down or stopped waiting
+ */
+const disableMod = async (id, reason = null) => {
+  const entry = registry.api.getMod(id);
+  const lifecycle = lifecycles.get(id);
+  if (entry?.status === MOD_STATUS.WAITING && cancelTriggers(id)) {
+    registry.markDisabled(id);
+    console.log(`Disabled mod: ${entry.filename}`);
+    return true;
+  }
+  if (!entry || entry.status !== MOD_STATUS.LOADED) {
+    return false;
+  }
+  if (!entry.supportsTeardown) {
+    console.warn(`Mod '${entry.filename}' has no teardown; restart Vivaldi to disable it`);
+    return false;
+  }
+  try {
+    await lifecycle.teardown();
+    registry.disposeEffects(id);
+    registry.markDisabled(id, reason);
+    console.log(`Disabled mod: ${entry.filename}`);
+    return true;
+  } catch (error) {
+    registry.disposeEffects(id);
+    registry.markFailed(id, error);
+    console.error(`Failed to tear down mod '${entry.filename}':`, error);
+    return false;
+  }
+};
+
+/**
+ * Runs the setup of a mod that was disabled at runtime. A mod disabled while it waited for a
+ * trigger is imported now.
+ * @param {string} id - Mod id
+ * @returns {Promise<boolean>} True when the mod is running again, false when it was not disabled
+ *   or a mod it requires is not running
+ */
+const enableMod = async (id) => {
+  const entry = registry.api.getMod(id);
+  const lifecycle = lifecycles.get(id);
+  if (entry?.status === MOD_STATUS.DISABLED && !lifecycle && entry.runAt) {
+    // Disabled while it waited for a trigger, so it was never imported
+    await loadMod(registry.definitionOf(id));
+    return registry.api.getMod(id).status === MOD_STATUS.LOADED;
+  }
+  if (!entry || entry.status !== MOD_STATUS.DISABLED || !lifecycle) {
+    return false;
+  }
+  const unmet = await loadRequirements(registry.definitionOf(id));
+  if (unmet) {
+    console.warn(`Not enabling mod '${entry.filename}': ${unmet}`);
+    return false;
+  }
+  try {
+    registry.markStarted(id);
+    await runSetup(id, lifecycle);
+    registry.markLoaded(id, { supportsTeardown: true });
+    registry.warnConflicts(id);
+    console.log(`Enabled mod: ${entry.filename}`);
+    return true;
+  } catch (error) {
+    registry.markFailed(id, error);
+    console.error(`Failed to set up mod '${entry.filename}':`, error);
+    return false;
+  }
+};
+
+/**
+ * Rejects when a promise does not settle in time
+ * @param {Promise} promise - The work to wait for
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @param {string} message - Error message used on timeout
+ * @returns {Promise} The result of the promise
+ */
+const withTimeout = (promise, timeoutMs, message) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  promise.then(
+    (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    },
+    (error) => {
+      clearTimeout(timer);
+      reject(error);
+    },
+  );
+});
+
+// Activation in progress for each mod, by mod id. A load that timed out is dropped from here, so its
+// import or setup finishing later cannot mark the mod loaded.
+const pendingActivations = new Map();
+
+/**
+ * Imports and sets up one mod, recording the outcome in the registry. A mod that needs a missing
+ * capability, or whose requirements are not running, is skipped.
+ * @param {{id: string, filename: string}} mod - Generated mod definition
+ * @param {{revision: number, timeoutMs: number}} options - Cache-busting revision (0 for the initial import)
+ *   and the time after which the mod counts as hung (0 waits forever)
+ */
+const loadMod = async (mod, { revision = 0, timeoutMs = 0 } = {}) => {
+  const unmet = await checkCapabilities(mod.id) || await loadRequirements(mod);
+  if (unmet) {
+    registry.markSkipped(mod.id, unmet);
+    console.warn(`Skipping mod '${mod.filename}': ${unmet}`);
+    return;
+  }
+  const token = {};
+  const isCurrent = () => pendingActivations.get(mod.id) === token;
+  pendingActivations.set(mod.id, token);
+  try {
+    console.log(`Loading mod: ${mod.filename}`);
+    registry.markStarted(mod.id);
+    const activation = measurePhase(mod.id, 'blocking', () => activateMod(mod, revision, isCurrent));
+    await (timeoutMs > 0
+      ? withTimeout(activation, timeoutMs, `Mod did not finish loading within ${timeoutMs}ms`)
+      : activation);
+    console.log(`Successfully loaded mod: ${mod.filename}`);
+  } catch (error) {
+    registry.markFailed(mod.id, error);
+    console.error(`Failed to load mod '${mod.filename}':`, error);
+  } finally {
+    if (isCurrent()) {
+      pendingActivations.delete(mod.id);
+    }
+  }
+};
+
+/**
+ * Shows a notice bar at the top of the browser UI. A notice with the same id replaces the previous one.
+ * @param {{id: string, message: string, actions: Array<{label: string, onClick: function(): void}>}} notice - Notice content
+ * @returns {function(): void} Removes the notice
+ */
+const showNotice = ({ id, message, actions = [] }) => {
+  const elementId = `vmm-notice-${id}`;
+  document.getElementById(elementId)?.remove();
+
+  const bar = document.createElement('div');
+  bar.id = elementId;
+  bar.setAttribute('role', 'alert');
+  bar.style.cssText = [
+    'position: fixed',
+    'top: 0',
+    'left: 0',
+    'right: 0',
+    'z-index: 2147483647',
+    'display: flex',
+    'align-items: center',
+    'gap: 8px',
+    'padding: 6px 12px',
+    'font: 13px system-ui, sans-serif',
+    'background: var(--colorHighlightBg, #2f6feb)',
+    'color: var(--colorHighlightFg, #ffffff)',
+  ].join('; ');
+
+  const text = document.createElement('span');
+  text.style.flex = '1';
+  text.textContent = message;
+  bar.append(text);
+
+  const dismiss = () => bar.remove();
+  for (const action of [...actions, { label: 'Dismiss', onClick: () => {} }]) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      dismiss();
+      action.onClick();
+    });
+    bar.append(button);
+  }
+
+  (document.body || document.documentElement).append(bar);
+  return dismiss;
+};
+
+/**
+ * Fetches a file relative to loader.js, bypassing the HTTP cache
+ * @param {string} path - Path or URL relative to loader.js
+ * @returns {Promise<string|null>} The file content, or null when it cannot be read
+ */
+const fetchFresh = async (path) => {
+  try {
+    const response = await fetch(new URL(path, import.meta.url), { cache: 'no-store' });
+    return response.ok ? await response.text() : null;
+  } catch {
+    return null;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Integrity
+//
+// The manager records a SHA-256 hash of each mod file it adds and the
+// generated loader embeds it as `sha256`. Such a mod is fetched, hashed with
+// SubtleCrypto and imported from a blob URL of the verified bytes, so the code
+// that runs is the code that was checked. A file changed since it was added is
+// refused, unless hot reload is on with allowUnverified, which imports it from
+// its file with a warning. Packages are not hashed, since their modules are
+// imported from files.
+// ---------------------------------------------------------------------------
+
+// Name of the error recorded for a mod whose file failed verification
+const INTEGRITY_ERROR = 'IntegrityError';
+
+/**
+ * Creates the error a mod is refused with when its file cannot be verified
+ * @param {string} message - What went wrong
+ * @returns {Error} Error named INTEGRITY_ERROR
+ */
+const createIntegrityError = (message) => Object.assign(new Error(message), { name: INTEGRITY_ERROR });
+
+/**
+ * Hashes bytes with SHA-256
+ * @param {ArrayBuffer} bytes - Data to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+const sha256Hex = async (bytes) => [...new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))]
+  .map((byte) => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * Verifies a mod file against the hash from the manifest and records the outcome on its registry entry
+ * @param {string} id - Mod id
+ * @returns {Promise<string|null>} Blob URL of the verified file, or null when the mod has no hash, is a package
+ *   or changed while hot reload allows unverified files
+ * @throws {Error} An INTEGRITY_ERROR when the file cannot be read or does not match
+ */
+const verifyModFile = async (id) => {
+  const { filename, sha256 } = registry.definitionOf(id);
+  // The manager writes no checksum for packages, whose modules are imported from their files
+  if (!sha256 || isPackage(filename)) {
+    return null;
+  }
+
+  let bytes;
+  try {
+    const response = await fetch(new URL(`./mods/${filename}`, import.meta.url), { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    bytes = await response.arrayBuffer();
+  } catch (error) {
+    registry.setIntegrity(id, { expected: sha256, actual: null, verified: false });
+    throw createIntegrityError(`Could not read ${filename} to verify it: ${error.message}`);
+  }
+
+  const actual = await sha256Hex(bytes);
+  const verified = actual === sha256;
+  registry.setIntegrity(id, { expected: sha256, actual, verified });
+  if (verified) {
+    return URL.createObjectURL(new Blob([bytes], { type: 'text/javascript' }));
+  }
+
+  const message = `${filename} was modified since it was added: expected SHA-256 ${sha256}, found ${actual}`;
+  if (!HOT_RELOAD.enabled || !HOT_RELOAD.allowUnverified) {
+    throw createIntegrityError(message);
+  }
+  registry.warn(id, `${message}. Loaded anyway because hot reload allows unverified files`);
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Packages
+//
+// A mod whose filename does not end in .js is a package: a directory under
+// mods/ with a mod.json that names its entry point. The entry point is imported
+// from the directory, so its relative imports resolve to the other modules of
+// the package, and the mod reads its CSS and JSON files through ctx.package.
+// ---------------------------------------------------------------------------
+
+// Name of the manifest every package directory has
+const PACKAGE_MANIFEST_FILENAME = 'mod.json';
+
+// Entry point of a package whose manifest does not name one
+const DEFAULT_PACKAGE_MAIN = 'index.js';
+
+// Listing of every file in a package, written by the manager when it copies the package
+const PACKAGE_FILE_LISTING_FILENAME = '.vmm-files.json';
+
+/**
+ * @param {string} filename - Filename of a mod definition
+ * @returns {boolean} True when the mod is a package directory
+ */
+const isPackage = (filename) => !filename.toLowerCase().endsWith('.js');
+
+/**
+ * Checks that a path names a file inside a package: relative, without a scheme and without `..`
+ * @param {*} path - Path to check
+ * @returns {boolean} True for paths such as `styles/dialog.css`
+ */
+const isPackagePath = (path) => typeof path === 'string' && path !== '' &&
+  !/^([a-z][a-z0-9+.-]*:|[/\\])/i.test(path) && !path.split(/[/\\]/).includes('..');
+
+// Package manifests being read or read, by mod id
+const packageManifests = new Map();
+
+/**
+ * Reads and checks the mod.json of a package. A manifest that cannot be read is read again next time.
+ * @param {string} id - Mod id
+ * @returns {Promise<Object>} The frozen manifest, with `main` set
+ * @throws {Error} If mod.json is missing, is not JSON or names an entry point outside the package
+ */
+const getPackageManifest = (id) => {
+  if (!packageManifests.has(id)) {
+    const { filename } = registry.definitionOf(id);
+    const path = `${filename}/${PACKAGE_MANIFEST_FILENAME}`;
+    const reading = fetchFresh(`./mods/${path}`).then((source) => {
+      if (source === null) {
+        throw new Error(`Package ${filename} has no ${PACKAGE_MANIFEST_FILENAME}`);
+      }
+      let manifest;
+      try {
+        manifest = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`${path} is not valid JSON: ${error.message}`);
+      }
+      const main = manifest?.main ?? DEFAULT_PACKAGE_MAIN;
+      if (!isPackagePath(main) || !main.endsWith('.js')) {
+        throw new Error(`'main' in ${path} must name a .js file inside the package`);
+      }
+      return Object.freeze({ ...manifest, main });
+    });
+    reading.catch(() => packageManifests.delete(id));
+    packageManifests.set(id, reading);
+  }
+  return packageManifests.get(id);
+};
+
+/**
+ * @param {string} id - Mod id
+ * @returns {Promise<string>} Path of the file the mod is imported from, relative to loader.js
+ */
+const getModEntryPath = async (id) => {
+  const { filename } = registry.definitionOf(id);
+  return isPackage(filename) ? `./mods/${filename}/${(await getPackageManifest(id)).main}` : `./mods/${filename}`;
+};
+
+// Package views handed to mods as ctx.package, by mod id
+const modPackages = new Map();
+
+/**
+ * Creates the `ctx.package` of a package mod
+ * @param {string} filename - Package directory name
+ * @param {Object} manifest - Parsed mod.json
+ * @returns {Object} Frozen view with the manifest and readers for the files of the package
+ */
+const createModPackage = (filename, manifest) => {
+  const base = new URL(`./mods/${filename}/`, import.meta.url);
+  const resolve = (path) => {
+    if (!isPackagePath(path)) {
+      throw new TypeError(`'${path}' is not a path inside package ${filename}`);
+    }
+    return new URL(path, base).href;
+  };
+  const read = async (path) => {
+    const response = await fetch(resolve(path), { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Could not read ${filename}/${path}: HTTP ${response.status}`);
+    }
+    return response;
+  };
+
+  return Object.freeze({
+    name: filename,
+    manifest,
+
+    /**
+     * @param {string} path - Path inside the package, such as `locales/en.json`
+     * @returns {string} Absolute URL of the file
+     */
+    url: resolve,
+
+    /**
+     * @param {string} path - Path inside the package
+     * @returns {Promise<string>} Contents of the file, such as a stylesheet
+     */
+    async text(path) {
+      return (await read(path)).text();
+    },
+
+    /**
+     * @param {string} path - Path inside the package
+     * @returns {Promise<*>} Parsed contents of a JSON file
+     */
+    async json(path) {
+      return (await read(path)).json();
+    },
+  });
+};
+
+// Directory of a package that holds its locale files, such as `locales/de.json`
+const DEFAULT_LOCALES_DIRECTORY = 'locales';
+
+/**
+ * Creates the translate function of a mod from the catalogs it passes and, for a package, the locale
+ * files it ships for the browser UI locale and its fallbacks. Locale files that do not exist are skipped.
+ * @param {string} id - Mod id
+ * @param {{messages: Object, directory: string}} [options] - Catalogs by locale, which locale files
+ *   add to, and the package directory to read locale files from
+ * @returns {Promise<function(string, Object=): string>} The translate function
+ * @throws {Error} If a locale file is not valid JSON
+ */
+const loadModTranslator = async (id, { messages = {}, directory = DEFAULT_LOCALES_DIRECTORY } = {}) => {
+  const catalogs = { ...messages };
+  const modPackage = modPackages.get(id);
+  for (const locale of modPackage ? modRuntime.i18n.getLocales() : []) {
+    const path = `${directory}/${locale}.json`;
+    const response = await fetch(modPackage.url(path), { cache: 'no-store' });
+    if (!response.ok) {
+      continue;
+    }
+    try {
+      catalogs[locale] = { ...catalogs[locale], ...JSON.parse(await response.text()) };
+    } catch (error) {
+      throw new Error(`${modPackage.name}/${path} is not valid JSON: ${error.message}`);
+    }
+  }
+  return modRuntime.i18n.createTranslator(catalogs);
+};
+
+/**
+ * Reads the manifest of a package mod and prepares its `ctx.package`
+ * @param {string} id - Mod id
+ * @returns {Promise<void>}
+ */
+const preparePackage = async (id) => {
+  const { filename } = registry.definitionOf(id);
+  if (isPackage(filename)) {
+    modPackages.set(id, createModPackage(filename, await getPackageManifest(id)));
+  }
+};
+
+/**
+ * Reads the file listing the manager writes into a package
+ * @param {string} filename - Filename of the package
+ * @returns {Promise<string[]|null>} Paths of the files in the package, or null without a usable listing
+ */
+const readPackageFileListing = async (filename) => {
+  try {
+    const paths = JSON.parse(await fetchFresh(`./mods/${filename}/${PACKAGE_FILE_LISTING_FILENAME}`));
+    return Array.isArray(paths) ? paths.filter(isPackagePath) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads what hot reload compares to notice a change: the mod file, or every file of a package. A package
+ * without a file listing is read as its manifest and entry point.
+ * @param {string} id - Mod id
+ * @returns {Promise<string|null>} Source text, or null when it cannot be read
+ */
+const readModSource = async (id) => {
+  const { filename } = registry.definitionOf(id);
+  if (!isPackage(filename)) {
+    return fetchFresh(`./mods/${filename}`);
+  }
+  const manifest = await fetchFresh(`./mods/${filename}/${PACKAGE_MANIFEST_FILENAME}`);
+  if (manifest === null) {
+    return null;
+  }
+  const paths = await readPackageFileListing(filename);
+  if (paths === null) {
+    const entry = await getModEntryPath(id).then(fetchFresh, () => null);
+    return `${manifest}\n${entry}`;
+  }
+  const files = await Promise.all(paths.map(async (path) => `${path}\n${await fetchFresh(`./mods/${filename}/${path}`)}`));
+  return [manifest, ...files].join('\n');
+};
+
+// ---------------------------------------------------------------------------
+// Vivaldi compatibility
+//
+// A mod declares the Vivaldi versions it supports with `@compatibility` in its
+// header, or the manifest overrides it. Before a mod is imported its range is
+// checked against the running browser and COMPATIBILITY.policy decides whether
+// an out-of-range mod is skipped, loaded with a warning or not checked at all.
+// ---------------------------------------------------------------------------
+
+// How long the loader waits for vivaldi.utilities.getVersion before falling back to the user agent
+const VERSION_LOOKUP_TIMEOUT_MS = 1000;
+
+/**
+ * Reads the `@tag value` lines of the doc comment at the top of a mod file
+ * @param {string} source - Mod source
+ * @returns {Object<string, Array<string>>} Tag values by tag name, in file order
+ */
+const readModHeader = (source) => {
+  const header = /^\s*\/\*\*([\s\S]*?)\*\//.exec(source);
+  const tags = {};
+  if (!header) {
+    return tags;
+  }
+  for (const line of header[1].split('\n')) {
+    const tag = /^\s*\*?\s*@([\w-]+)\s*(.*?)\s*$/.exec(line);
+    if (tag) {
+      (tags[tag[1]] = tags[tag[1]] || []).push(tag[2]);
+    }
+  }
+  return tags;
+};
+
+/**
+ * Reads the items a list tag holds. Each value may list several, separated by commas or spaces,
+ * and the tag may be repeated.
+ * @param {Object<string, Array<string>>} header - Header tags of the mod
+ * @param {string} tag - Tag name, such as `requires` or `needs`
+ * @returns {Array<string>} The items as written
+ */
+const readHeaderList = (header, tag) =>
+  (header[tag] || []).flatMap((value) => value.split(/[\s,]+/)).filter(Boolean);
+
+// Header tags of each mod file, by mod id, read once so several checks can share one fetch
+const modHeaders = new Map();
+
+/**
+ * Reads the header of a mod file, fetching the file the first time
+ * @param {string} id - Mod id
+ * @returns {Promise<Object<string, Array<string>>>} Tag values by tag name
+ */
+const getModHeader = (id) => {
+  if (!modHeaders.has(id)) {
+    // A package whose manifest cannot be read has no header; importing it reports the problem
+    modHeaders.set(id, getModEntryPath(id).then(fetchFresh, () => null).then((source) => readModHeader(source || '')));
+  }
+  return modHeaders.get(id);
+};
+
+/**
+ * Splits a dotted version into numbers
+ * @param {string} version - Version such as `7.1.3624.46`
+ * @returns {Array<number>|null} Version parts, or null when the text is not a version
+ */
+const parseVersion = (version) =>
+  /^\d+(\.\d+)*$/.test(version) ? version.split('.').map(Number) : null;
+
+/**
+ * Compares two versions. With `precision`, only that many leading parts are compared,
+ * so `7.1.3624` equals `7.1` at precision 2.
+ * @param {Array<number>} left - Version parts
+ * @param {Array<number>} right - Version parts
+ * @param {number} [precision] - Number of parts to compare
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+const compareVersions = (left, right, precision = Math.max(left.length, right.length)) => {
+  for (let index = 0; index < precision; index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Parses a compatibility range: `6.0+`, `6.5 - 7.1`, `>=6.5 <7.2`, `<=7.1`, `7.1` or `*`.
+ * A leading `Vivaldi` is ignored. Bounds written with fewer parts cover every build below
+ * them, so `<=7.1` and `6.5 - 7.1` include `7.1.3624`.
+ * @param {string} range - Range text
+ * @returns {function(Array<number>): boolean|null} Test for a running version, or null when the range is not understood
+ */
+const parseCompatibilityRange = (range) => {
+  const text = range.replace(/^\s*vivaldi\b/i, '').trim();
+  if (text === '' || text === '*') {
+    return () => true;
+  }
+
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+  const comparators = hyphen
+    ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+    : text.split(/\s+/).map((part) => (part.endsWith('+') ? `>=${part.slice(0, -1)}` : part));
+
+  const tests = [];
+  for (const comparator of comparators) {
+    const [, operator, versionText] = /^(>=|<=|>|<|=)?(.*)$/.exec(comparator);
+    const bound = parseVersion(versionText);
+    if (!bound) {
+      return null;
+    }
+    const precision = bound.length;
+    switch (operator) {
+      case '>=':
+        tests.push((version) => compareVersions(version, bound) >= 0);
+        break;
+      case '>':
+        tests.push((version) => compareVersions(version, bound, precision) > 0);
+        break;
+      case '<=':
+        tests.push((version) => compareVersions(version, bound, precision) <= 0);
+        break;
+      case '<':
+        tests.push((version) => compareVersions(version, bound) < 0);
+        break;
+      default:
+        tests.push((version) => compareVersions(version, bound, precision) === 0);
+    }
+  }
+  return (version) => tests.every((test) => test(version));
+};
+
+/**
+ * Looks up the running Vivaldi version, preferring the Vivaldi API over the user agent
+ * @returns {Promise<string|null>} Version such as `7.1.3624.46`, or null when it cannot be determined
+ */
+const detectVivaldiVersion = async () => {
+  const utilities = globalThis.vivaldi?.utilities;
+  if (typeof utilities?.getVersion === 'function') {
+    try {
+      const info = await withTimeout(new Promise((resolve, reject) => {
+        const result = utilities.getVersion(resolve);
+        if (result && typeof result.then === 'function') {
+          result.then(resolve, reject);
+        }
+      }), VERSION_LOOKUP_TIMEOUT_MS, 'vivaldi.utilities.getVersion did not answer');
+      if (info?.vivaldiVersion) {
+        return info.vivaldiVersion;
+      }
+    } catch (error) {
+      console.warn('Vivaldi Mod Manager: could not read the Vivaldi version:', error);
+    }
+  }
+  return /\bVivaldi\/([\d.]+)/.exec(globalThis.navigator?.userAgent || '')?.[1] || null;
+};
+
+let vivaldiVersionLookup = null;
+
+/**
+ * @returns {Promise<string|null>} The running Vivaldi version, looked up once per page
+ */
+const getVivaldiVersion = () => {
+  vivaldiVersionLookup = vivaldiVersionLookup || detectVivaldiVersion();
+  return vivaldiVersionLookup;
+};
+
+/**
+ * Checks a mod against the running Vivaldi version and records the decision on its registry entry.
+ * Under the `skip` policy an out-of-range mod is marked skipped; under `warn` it gets a warning.
+ * A mod without a range, an unreadable range or an unknown browser version is always loaded.
+ * @param {string} id - Mod id
+ * @returns {Promise<boolean>} True when the mod should be loaded
+ */
+const checkCompatibility = async (id) => {
+  if (COMPATIBILITY.policy === 'ignore') {
+    return true;
+  }
+
+  const definition = registry.definitionOf(id);
+  let range = definition.compatibility || null;
+  let source = range ? 'manifest' : null;
+  if (!range) {
+    const header = await getModHeader(id);
+    range = header.compatibility?.[0] || null;
+    source = range ? 'header' : null;
+  }
+
+  const vivaldiVersion = await getVivaldiVersion();
+  const running = vivaldiVersion ? parseVersion(vivaldiVersion) : null;
+  const test = range ? parseCompatibilityRange(range) : null;
+  if (range && !test) {
+    registry.warn(id, `Compatibility range '${range}' is not understood and was not checked`);
+  }
+
+  const compatible = test && running ? test(running) : null;
+  registry.setCompatibility(id, { range, source, vivaldiVersion, compatible, policy: COMPATIBILITY.policy });
+
+  const lastKnown = definition.lastKnownCompatible ? parseVersion(definition.lastKnownCompatible) : null;
+  if (compatible !== false && lastKnown && running && compareVersions(running, lastKnown, lastKnown.length) > 0) {
+    registry.warn(id, `Not verified on Vivaldi ${vivaldiVersion}; last known compatible version is ${definition.lastKnownCompatible}`);
+  }
+
+  if (compatible !== false) {
+    return true;
+  }
+  const reason = `Requires Vivaldi ${range.replace(/^\s*vivaldi\s*/i, '')}, running ${vivaldiVersion}`;
+  if (COMPATIBILITY.policy === 'warn') {
+    registry.warn(id, `${reason}; loaded because the compatibility policy is 'warn'`);
+    return true;
+  }
+  registry.markSkipped(id, reason);
+  console.warn(`Skipping mod '${definition.filename}': ${reason}`);
+  return false;
+};
+
+// ---------------------------------------------------------------------------
+// Load order
+//
+// Mods load in manifest order unless their headers say otherwise:
+//   @requires <mod>    load after the mod, and only when it loaded
+//   @after <mod>       load after the mod when it is enabled
+//   @before <mod>      load before the mod when it is enabled
+// A mod is named by its filename, its filename without `.js`, or its id. The
+// constraints are sorted topologically, keeping manifest order where they
+// leave a choice; a cycle is reported and broken in manifest order.
+// ---------------------------------------------------------------------------
+
+// How the reason for skipping a dependent describes a required mod that is not running
+const REQUIREMENT_OUTCOMES = Object.freeze({
+  [MOD_STATUS.FAILED]: 'failed to load',
+  [MOD_STATUS.SKIPPED]: 'was skipped',
+  [MOD_STATUS.DISABLED]: 'was disabled',
+});
+
+/**
+ * Finds the mod a header tag names
+ * @param {string} reference - Filename, filename without `.js`, or id
+ * @returns {Object|null} Registry snapshot of the mod
+ */
+const findModReference = (reference) =>
+  registry.api.getMod(reference) || (reference.endsWith('.js') ? null : registry.api.getMod(`${reference}.js`));
+
+/**
+ * Finds a cycle among mods that are still waiting for a predecessor. Each of them has one, so
+ * walking back from any of them returns to a mod already seen.
+ * @param {string} start - Id of a mod in `remaining`
+ * @param {Map<string, Set<string>>} predecessors - Ids that must load before each id
+ * @param {Set<string>} remaining - Ids not placed yet
+ * @returns {Array<string>} Ids of the cycle in load direction
+ */
+const findCycle = (start, predecessors, remaining) => {
+  const path = [];
+  let id = start;
+  while (!path.includes(id)) {
+    path.push(id);
+    id = [...predecessors.get(id)].find((candidate) => remaining.has(candidate));
+  }
+  return path.slice(path.indexOf(id)).reverse();
+};
+
+/**
+ * Sorts mod definitions by their `@requires`, `@after` and `@before` tags. Where the tags leave a choice,
+ * and to break a cycle, manifest order wins. Each cycle is recorded in the report and warned about.
+ * @param {Array<{id: string, filename: string}>} definitions - Mods in manifest order
+ * @returns {Promise<Array<{id: string, filename: string}>>} The mods in load order
+ */
+const resolveLoadOrder = async (definitions) => {
+  const ids = definitions.map((definition) => definition.id);
+  const predecessors = new Map(ids.map((id) => [id, new Set()]));
+  const addEdge = (from, to) => {
+    if (from && to && from !== to && predecessors.has(from) && predecessors.has(to)) {
+      predecessors.get(to).add(from);
+    }
+  };
+  for (const id of ids) {
+    const header = await getModHeader(id);
+    for (const reference of [...readHeaderList(header, 'requires'), ...readHeaderList(header, 'after')]) {
+      addEdge(findModReference(reference)?.id, id);
+    }
+    for (const reference of readHeaderList(header, 'before')) {
+      addEdge(id, findModReference(reference)?.id);
+    }
+  }
+
+  const ordered = [];
+  const remaining = new Set(ids);
+  const cycles = [];
+  while (remaining.size > 0) {
+    let next = ids.find((id) => remaining.has(id) && ![...predecessors.get(id)].some((other) => remaining.has(other)));
+    if (!next) {
+      const cycle = findCycle(ids.find((id) => remaining.has(id)), predecessors, remaining);
+      next = ids.find((id) => cycle.includes(id));
+      const breakAt = cycle.indexOf(next);
+      cycles.push([...cycle.slice(breakAt), ...cycle.slice(0, breakAt)]);
+      predecessors.get(next).clear();
+    }
+    ordered.push(next);
+    remaining.delete(next);
+  }
+
+  const filenameOf = (id) => registry.api.getMod(id).filename;
+  registry.setCycles(cycles.map((cycle) => cycle.map(filenameOf)));
+  for (const cycle of cycles) {
+    const path = [...cycle, cycle[0]].map(filenameOf).join(' → ');
+    cycle.forEach((id) => registry.warn(id, `Load order cycle ${path}; these mods load in manifest order`));
+  }
+  return ordered.map((id) => definitions[ids.indexOf(id)]);
+};
+
+/**
+ * Makes sure the mods a mod `@requires` are running before it loads. A required mod that waits for
+ * a trigger is loaded straight away.
+ * @param {{id: string, filename: string}} mod - Generated mod definition
+ * @returns {Promise<string|null>} Why the mod cannot load, or null when every requirement is running
+ */
+const loadRequirements = async (mod) => {
+  for (const reference of readHeaderList(await getModHeader(mod.id), 'requires')) {
+    const required = findModReference(reference);
+    if (!required) {
+      return `Requires ${reference}, which is not enabled`;
+    }
+    if (required.status === MOD_STATUS.WAITING && cancelTriggers(required.id)) {
+      registry.markTriggered(required.id, `required by ${mod.filename}`);
+      await loadMod(registry.definitionOf(required.id), { timeoutMs: MOD_STARTUP_TIMEOUT_MS });
+    }
+    const { status, filename } = registry.api.getMod(required.id);
+    if (status !== MOD_STATUS.LOADED) {
+      return `Requires ${filename}, which ${REQUIREMENT_OUTCOMES[status] || 'has not loaded yet'}`;
+    }
+  }
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Capabilities
+//
+// A mod lists the browser APIs and globals it cannot run without with `@needs`
+// in its header, as paths from the window: `chroma`, `chrome.scripting` or
+// `vivaldi.utilities.storeImage`. The paths are looked up right before the mod
+// is imported, and a mod that needs something this browser lacks is skipped
+// instead of failing halfway through its setup.
+// ---------------------------------------------------------------------------
+
+/**
+ * Looks up a dotted path from the global object
+ * @param {string} path - Path such as `vivaldi.utilities.storeImage`
+ * @returns {boolean} True when the path leads to a value
+ */
+const hasCapability = (path) => {
+  try {
+    const value = path.split('.').reduce((parent, key) => parent?.[key], globalThis);
+    return value !== undefined && value !== null;
+  } catch {
+    // Some private APIs throw when they are read outside the context that may use them
+    return false;
+  }
+};
+
+/**
+ * Checks the `@needs` paths of a mod and records the result on its registry entry
+ * @param {string} id - Mod id
+ * @returns {Promise<string|null>} Why the mod cannot load, or null when everything it needs exists
+ */
+const checkCapabilities = async (id) => {
+  const needs = readHeaderList(await getModHeader(id), 'needs');
+  const missing = needs.filter((path) => !hasCapability(path));
+  registry.setCapabilities(id, needs.length > 0 ? { needs, missing } : null);
+  if (missing.length === 0) {
+    return null;
+  }
+  return `Missing ${missing.length === 1 ? 'capability' : 'capabilities'} ${missing.join(', ')}`;
+};
+
+// ---------------------------------------------------------------------------
+// Startup profiling
+//
+// Each mod's import and setup are wrapped in performance marks and measures
+// (visible in the DevTools Performance panel as `vmm:<id>:<phase>`), and long
+// tasks in the first seconds after startup are attributed to the mod that ran
+// them. The numbers end up in each entry's `timings`.
+// ---------------------------------------------------------------------------
+
+// How long after startup long tasks are counted
+const LONG_TASK_WINDOW_MS = 10000;
+
+// Time ranges in which each mod's import and setup ran, for attributing long tasks without script URLs
+const loadWindows = [];
+
+/**
+ * Runs one phase of loading a mod between performance marks and records its duration
+ * @param {string} id - Mod id
+ * @param {string} phase - `import`, `setup` or `blocking` for the whole activation
+ * @param {function(): Promise} work - The phase
+ * @returns {Promise} The result of the phase
+ */
+const measurePhase = async (id, phase, work) => {
+  const name = `vmm:${id}:${phase}`;
+  const start = performance.now();
+  const loadWindow = phase === 'blocking' ? { id, start, end: Infinity } : null;
+  if (loadWindow) {
+    loadWindows.push(loadWindow);
+    registry.recordTiming(id, { importMs: null, setupMs: null, blockingMs: null, waitMs: 0, browserWaitMs: 0 });
+  }
+  performance.mark(`${name}:start`);
+  try {
+    return await work();
+  } finally {
+    const end = performance.now();
+    performance.mark(`${name}:end`);
+    try {
+      performance.measure(name, `${name}:start`, `${name}:end`);
+    } catch {
+      // Marks can be cleared by page code; the duration below does not depend on them
+    }
+    if (loadWindow) {
+      loadWindow.end = end;
+    }
+    registry.recordTiming(id, { [`${phase}Ms`]: roundMs(end - start) });
+  }
+};
+
+/**
+ * Attributes a long task or long animation frame to the mods that caused it. Long animation frames
+ * name the scripts that ran; plain long tasks go to the mod that was loading when the task started.
+ * @param {PerformanceEntry} entry - A `long-animation-frame` or `longtask` entry
+ */
+const attributeLongTask = (entry) => {
+  if (Array.isArray(entry.scripts)) {
+    const durations = new Map();
+    for (const script of entry.scripts) {
+      const id = script.sourceURL ? registry.api.getContext(script.sourceURL)?.id : null;
+      if (id) {
+        durations.set(id, (durations.get(id) || 0) + script.duration);
+      }
+    }
+    if (durations.size === 0) {
+      registry.recordLongTask(null, entry.duration);
+    }
+    durations.forEach((duration, id) => registry.recordLongTask(id, duration));
+    return;
+  }
+  const loadWindow = loadWindows.find((candidate) => entry.startTime >= candidate.start && entry.startTime < candidate.end);
+  registry.recordLongTask(loadWindow ? loadWindow.id : null, entry.duration);
+};
+
+/**
+ * Counts long tasks from page load until LONG_TASK_WINDOW_MS after the loader started,
+ * then logs the mods flagged as slow
+ */
+const startLongTaskProfiling = () => {
+  const supported = globalThis.PerformanceObserver?.supportedEntryTypes || [];
+  const type = ['long-animation-frame', 'longtask'].find((candidate) => supported.includes(candidate));
+  const finish = () => {
+    const { slowMods } = registry.api.getReport();
+    if (slowMods.length > 0) {
+      console.warn(`Vivaldi Mod Manager: slow mods at startup: ${slowMods.join(', ')}`);
+      console.table(Object.fromEntries(registry.api.getMods().map((mod) => [mod.filename, mod.timings])));
+    }
+  };
+  if (!type) {
+    registry.api.ready.then(finish);
+    return;
+  }
+
+  const windowEnd = performance.now() + LONG_TASK_WINDOW_MS;
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      if (entry.startTime < windowEnd) {
+        attributeLongTask(entry);
+      }
+    }
+  });
+  observer.observe({ type, buffered: true });
+  setTimeout(() => {
+    observer.disconnect();
+    finish();
+  }, LONG_TASK_WINDOW_MS);
+};
+
+// ---------------------------------------------------------------------------
+// Error boundary
+//
+// Uncaught errors and unhandled rejections in the browser UI are attributed to
+// the mod whose module is highest in their stack. Listeners and timers a mod
+// adds through ctx.chrome, ctx.vivaldi and ctx.dom are wrapped, so what they
+// throw is attributed even without a stack. A running mod that causes
+// ERROR_BOUNDARY.threshold errors is torn down for the rest of the session.
+// ---------------------------------------------------------------------------
+
+// URLs in a stack trace, still followed by their line and column numbers
+const STACK_URL_PATTERN = /(?:blob:)?[a-z][\w+.-]*:\/\/[^\s()]+/gi;
+
+// Errors already counted, so one that reaches several handlers counts once
+const countedErrors = new WeakSet();
+
+// Mods the boundary is tearing down, so errors thrown meanwhile do not start another teardown
+const errorDisables = new Set();
+
+/**
+ * Finds the mod whose code is highest in a stack trace
+ * @param {string} [stack] - Stack trace of an error
+ * @returns {string|null} Mod id
+ */
+const findModInStack = (stack) => {
+  for (const url of String(stack || '').match(STACK_URL_PATTERN) || []) {
+    const id = registry.api.getContext(url.replace(/(?::\d+)+$/, ''))?.id;
+    if (id) {
+      return id;
+    }
+  }
+  return null;
+};
+
+/**
+ * Tears a mod down after too many uncaught errors
+ * @param {string} id - Mod id
+ * @param {number} count - Errors the mod caused
+ */
+const disableAfterErrors = async (id, count) => {
+  const { filename } = registry.api.getMod(id);
+  errorDisables.add(id);
+  console.warn(`Vivaldi Mod Manager: disabling mod '${filename}' after ${count} uncaught errors`);
+  try {
+    if (await disableMod(id, `Disabled after ${count} uncaught errors`)) {
+      registry.markErrorDisabled(id);
+    } else {
+      registry.warn(id, `Caused ${count} uncaught errors but could not be disabled`);
+    }
+  } finally {
+    errorDisables.delete(id);
+  }
+};
+
+/**
+ * Counts an uncaught error against a mod, or as unattributed, and disables a running mod that
+ * reaches the threshold
+ * @param {string|null} id - Mod id, or null when no mod could be found
+ * @param {*} error - The thrown value or rejection reason
+ * @param {string} source - `error`, `rejection` or `callback`
+ */
+const recordModError = (id, error, source) => {
+  if (error && typeof error === 'object') {
+    if (countedErrors.has(error)) {
+      return;
+    }
+    countedErrors.add(error);
+  }
+  const count = registry.recordError(id, error, source);
+  const entry = id ? registry.api.getMod(id) : null;
+  if (!entry) {
+    return;
+  }
+  if (source === 'callback') {
+    // The wrapper swallowed the error, so it would not show up in the console otherwise
+    console.error(`Mod '${entry.filename}' threw in a callback:`, error);
+  }
+  if (ERROR_BOUNDARY.threshold > 0 && count >= ERROR_BOUNDARY.threshold &&
+      entry.status === MOD_STATUS.LOADED && !errorDisables.has(id)) {
+    disableAfterErrors(id, count);
+  }
+};
+
+/**
+ * Listens for uncaught errors and unhandled rejections in the browser UI
+ */
+const startErrorBoundary = () => {
+  window.addEventListener('error', (event) => {
+    const id = findModInStack(event.error?.stack) || (event.filename ? registry.api.getContext(event.filename)?.id : null);
+    recordModError(id || null, event.error ?? event.message, 'error');
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    recordModError(findModInStack(event.reason?.stack), event.reason, 'rejection');
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Safe Mode and crash-loop protection
+//
+// Holding SAFE_MODE.chord while the loader starts skips every mod for that
+// session. Separately, each mod's consecutive failed startups are kept in
+// localStorage; a mod that reaches SAFE_MODE.crashLoopThreshold is skipped
+// until it is reset.
+// ---------------------------------------------------------------------------
+
+const CRASH_LOOP_STORAGE_KEY = 'vivaldiModManager.crashLoop';
+
+// How long the loader listens for the Safe Mode chord before loading mods
+const SAFE_MODE_CHORD_WINDOW_MS = 400;
+
+// A mod whose import and setup take longer than this at startup counts as hung
+const MOD_STARTUP_TIMEOUT_MS = 10000;
+
+/**
+ * Waits briefly for the Safe Mode chord to show up on keyboard or mouse events
+ * @param {Array<string>} chord - Modifier names: ctrl, shift, alt, meta
+ * @returns {Promise<boolean>} True when the chord was held
+ */
+const detectSafeModeChord = (chord) => new Promise((resolve) => {
+  if (chord.length === 0) {
+    resolve(false);
+    return;
+  }
+
+  const eventTypes = ['keydown', 'mousemove', 'mousedown'];
+  const aliases = { cmd: 'meta', command: 'meta', control: 'ctrl' };
+  let timer;
+
+  const onEvent = (event) => {
+    if (chord.every((modifier) => event[`${modifier}Key`])) {
+      finish(true);
+    }
+  };
+
+  // Keys pressed while a web page has focus arrive as Vivaldi shortcuts instead of DOM events
+  const onShortcut = (windowId, combination) => {
+    const keys = String(combination).toLowerCase().split('+').map((key) => aliases[key] || key);
+    if (chord.every((modifier) => keys.includes(modifier))) {
+      finish(true);
+    }
+  };
+
+  const finish = (held) => {
+    clearTimeout(timer);
+    eventTypes.forEach((type) => window.removeEventListener(type, onEvent, true));
+    try {
+      vivaldi.tabsPrivate.onKeyboardShortcut.removeListener(onShortcut);
+    } catch {}
+    resolve(held);
+  };
+
+  eventTypes.forEach((type) => window.addEventListener(type, onEvent, true));
+  try {
+    vivaldi.tabsPrivate.onKeyboardShortcut.addListener(onShortcut);
+  } catch {}
+  timer = setTimeout(() => finish(false), SAFE_MODE_CHORD_WINDOW_MS);
+});
+
+// A loading mark older than this was left by a loader that is gone: a live one finishes
+// or gives up on a mod within MOD_STARTUP_TIMEOUT_MS and removes its mark
+const CRASH_LOOP_STALE_MS = MOD_STARTUP_TIMEOUT_MS + 5000;
+
+/**
+ * Keeps the consecutive failed startup count of each mod across browser restarts. Every window
+ * runs its own loader against the same storage, so each loader marks the mod it is loading under
+ * a token of its own, and the stored state is read again before every change instead of being
+ * overwritten with a copy. A mark counts as a crash once it is stale, since a younger one can
+ * belong to another window that is still loading the mod.
+ * @param {number} threshold - Failed startups after which a mod is skipped, 0 to never skip
+ * @returns {Object} Guard used by the startup loop
+ */
+const createCrashLoopGuard = (threshold) => {
+  const token = `${window.vivaldiWindowId ?? 'window'}:${crypto.randomUUID()}`;
+
+  const read = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CRASH_LOOP_STORAGE_KEY) || 'null');
+      // Loaders before per-window marks stored the id of the mod being loaded as a string
+      const loading = typeof stored?.loading === 'string'
+        ? { legacy: { id: stored.loading, startedAt: 0 } }
+        : stored?.loading || {};
+      return { failures: stored?.failures || {}, loading };
+    } catch (error) {
+      console.warn('Vivaldi Mod Manager: could not read crash-loop state:', error);
+      return { failures: {}, loading: {} };
+    }
+  };
+
+  /**
+   * Applies a change to the stored state, first counting the stale marks of loaders that are gone
+   * @param {function(Object): void} [change] - Changes `failures` and `loading` in place
+   */
+  const update = (change = () => {}) => {
+    const state = read();
+    const now = Date.now();
+    for (const [owner, mark] of Object.entries(state.loading)) {
+      if (owner !== token && now - mark.startedAt > CRASH_LOOP_STALE_MS) {
+        state.failures[mark.id] = (state.failures[mark.id] || 0) + 1;
+        delete state.loading[owner];
+      }
+    }
+    change(state);
+    try {
+      localStorage.setItem(CRASH_LOOP_STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.warn('Vivaldi Mod Manager: could not save crash-loop state:', error);
+    }
+  };
+
+  update();
+
+  return {
+    failures: (id) => read().failures[id] || 0,
+    shouldSkip: (id) => threshold > 0 && (read().failures[id] || 0) >= threshold,
+    begin(id) {
+      update((state) => {
+        state.loading[token] = { id, startedAt: Date.now() };
+      });
+    },
+    end(id, failed) {
+      update((state) => {
+        delete state.loading[token];
+        if (failed) {
+          state.failures[id] = (state.failures[id] || 0) + 1;
+        } else {
+          delete state.failures[id];
+        }
+      });
+    },
+    reset(id) {
+      update((state) => {
+        if (id === undefined) {
+          state.failures = {};
+        } else {
+          delete state.failures[id];
+        }
+      });
+    },
+  };
+};
+
+const crashLoopGuard = createCrashLoopGuard(SAFE_MODE.crashLoopThreshold);
+
+/**
+ * Loads a mod as part of startup, counting a throw or a hang as a failed startup for the mod.
+ * A file refused by the integrity check is not a crash, so it does not count.
+ * @param {{id: string, filename: string}} mod - Generated mod definition
+ */
+const loadModAtStartup = async (mod) => {
+  crashLoopGuard.begin(mod.id);
+  await loadMod(mod, { timeoutMs: MOD_STARTUP_TIMEOUT_MS });
+  const { status, error } = registry.api.getMod(mod.id);
+  crashLoopGuard.end(mod.id, status === MOD_STATUS.FAILED && error?.name !== INTEGRITY_ERROR);
+};
+
+/**
+ * Explains in the browser UI which mods were refused because their files changed
+ * @param {Array<Object>} entries - Registry snapshots of the refused mods
+ */
+const showIntegrityNotice = (entries) => {
+  const names = entries.map((entry) => entry.filename).join(', ');
+  showNotice({
+    id: 'integrity',
+    message: `Vivaldi Mod Manager did not load ${names} because the file changed since it was added. ` +
+      'If you changed it yourself, add it to the manager again.',
+  });
+};
+
+/**
+ * Explains in the browser UI which mods the loader skipped and offers to load them anyway
+ * @param {Array<Object>} mods - Skipped mod definitions
+ */
+const showCrashLoopNotice = (mods) => {
+  const names = mods.map((mod) => mod.filename).join(', ');
+  showNotice({
+    id: 'crash-loop',
+    message: `Vivaldi Mod Manager skipped ${names} after ${SAFE_MODE.crashLoopThreshold} failed startups in a row.`,
+    actions: [{
+      label: 'Load anyway',
+      onClick: async () => {
+        for (const mod of mods) {
+          crashLoopGuard.reset(mod.id);
+          if (await checkCompatibility(mod.id)) {
+            await loadModAtStartup(mod);
+          }
+        }
+      },
+    }],
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Deferred activation
+//
+// A mod can name the moments it is needed with `@runAt` tags in its header.
+// `start`, the default, loads it during startup. Any other trigger leaves the
+// mod waiting and imports it once the first of its triggers fires:
+//   @runAt idle                          when the browser is idle after startup
+//   @runAt element:<selector or name>    when a matching element is in the UI
+//   @runAt event:<namespace.event>       the first time a chrome.* or vivaldi.* event fires
+// ---------------------------------------------------------------------------
+
+// How long an idle trigger waits for an idle period before it fires anyway
+const IDLE_TRIGGER_TIMEOUT_MS = 5000;
+
+// Waiting mods, by mod id: definition, parsed triggers and the functions that stop watching them
+const waitingMods = new Map();
+
+// Deferred mods load one after another, like at startup
+let deferredLoads = Promise.resolve();
+
+/**
+ * Parses the `@runAt` values of a mod
+ * @param {string} id - Mod id
+ * @param {Array<string>} values - Tag values such as `idle` or `element:#panels`
+ * @returns {Array<{text: string, kind: string, target: string}>|null} Triggers to wait for, or null
+ *   when the mod loads at startup
+ */
+const parseTriggers = (id, values) => {
+  const triggers = [];
+  for (const text of values) {
+    const [, kind, target = ''] = /^(\w+)(?::\s*(.*))?$/.exec(text) || [];
+    if (kind === 'start') {
+      return null;
+    }
+    if (kind === 'idle' || ((kind === 'element' || kind === 'event') && target)) {
+      triggers.push({ text, kind, target: target.trim() });
+    } else {
+      registry.warn(id, `@runAt '${text}' is not understood and was ignored`);
+    }
+  }
+  return triggers.length > 0 ? triggers : null;
+};
+
+/**
+ * Finds the extension event an event trigger names: `downloads.onCreated` is looked up on
+ * `chrome` and then on `vivaldi`, `vivaldi.tabsPrivate.onKeyboardShortcut` only on `vivaldi`
+ * @param {string} path - Dotted event path
+ * @returns {Object|null} The event, or null when there is none
+ */
+const resolveTriggerEvent = (path) => {
+  const parts = path.split('.');
+  const roots = parts[0] === 'chrome' || parts[0] === 'vivaldi' ? [parts.shift()] : ['chrome', 'vivaldi'];
+  for (const root of roots) {
+    const event = parts.reduce((value, part) => value?.[part], globalThis[root]);
+    if (isExtensionEvent(event)) {
+      return event;
+    }
+  }
+  return null;
+};
+
+/**
+ * Starts watching one trigger
+ * @param {{kind: string, target: string}} trigger - Parsed trigger
+ * @param {function(): void} fire - Called when the trigger fires
+ * @returns {function(): void} Stops watching
+ * @throws {Error} If the trigger names an event or selector that does not exist
+ */
+const watchTrigger = (trigger, fire) => {
+  switch (trigger.kind) {
+    case 'idle': {
+      if (typeof requestIdleCallback === 'function') {
+        const handle = requestIdleCallback(fire, { timeout: IDLE_TRIGGER_TIMEOUT_MS });
+        return () => cancelIdleCallback(handle);
+      }
+      const timer = setTimeout(fire, 0);
+      return () => clearTimeout(timer);
+    }
+    case 'element': {
+      const names = modRuntime?.selectors?.names() || [];
+      const selector = names.includes(trigger.target) ? modRuntime.selectors.get(trigger.target) : trigger.target;
+      if (document.querySelector(selector)) {
+        queueMicrotask(fire);
+        return () => {};
+      }
+      const observer = new MutationObserver(() => {
+        if (document.querySelector(selector)) {
+          fire();
+        }
+      });
+      observer.observe(document.documentElement, { childList: true, subtree: true });
+      return () => observer.disconnect();
+    }
+    default: {
+      const event = resolveTriggerEvent(trigger.target);
+      if (!event) {
+        throw new Error(`there is no event ${trigger.target}`);
+      }
+      const listener = () => fire();
+      event.addListener(listener);
+      return () => event.removeListener(listener);
+    }
+  }
+};
+
+/**
+ * Stops watching the triggers of a waiting mod
+ * @param {string} id - Mod id
+ * @returns {boolean} True when the mod was waiting
+ */
+const cancelTriggers = (id) => {
+  const waiting = waitingMods.get(id);
+  waitingMods.delete(id);
+  waiting?.stops.forEach((stop) => stop());
+  return !!waiting;
+};
+
+/**
+ * Leaves a mod with `@runAt` triggers waiting instead of loading it at startup
+ * @param {{id: string, filename: string}} mod - Generated mod definition
+ * @returns {Promise<boolean>} True when the mod waits for a trigger
+ */
+const deferMod = async (mod) => {
+  const triggers = parseTriggers(mod.id, (await getModHeader(mod.id)).runAt || []);
+  if (!triggers) {
+    return false;
+  }
+  waitingMods.set(mod.id, { mod, triggers, stops: [] });
+  registry.markWaiting(mod.id, triggers.map((trigger) => trigger.text));
+  console.log(`Deferring mod: ${mod.filename} until ${triggers.map((trigger) => trigger.text).join(' or ')}`);
+  return true;
+};
+
+/**
+ * Watches the triggers of every waiting mod. Triggers that cannot be watched are ignored, and a
+ * mod left without any loads straight away.
+ */
+const armTriggers = () => {
+  for (const [id, waiting] of waitingMods) {
+    const fire = (trigger) => {
+      if (!cancelTriggers(id)) {
+        return;
+      }
+      registry.markTriggered(id, trigger.text);
+      deferredLoads = deferredLoads.then(() => loadMod(waiting.mod, { timeoutMs: MOD_STARTUP_TIMEOUT_MS }));
+    };
+    for (const trigger of waiting.triggers) {
+      try {
+        waiting.stops.push(watchTrigger(trigger, () => fire(trigger)));
+      } catch (error) {
+        registry.warn(id, `@runAt '${trigger.text}' cannot be watched (${error.message}) and was ignored`);
+      }
+    }
+    if (waiting.stops.length === 0) {
+      fire({ text: 'start' });
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Commands
+//
+// Mods register named commands with a default key chord through ctx.commands.
+// A chord runs the first command bound to it, unless Vivaldi already uses it.
+// Users remap commands through window.__vmm.commands; their keymap is kept in
+// localStorage and wins over the defaults.
+// ---------------------------------------------------------------------------
+
+const KEYMAP_STORAGE_KEY = 'vivaldiModManager.keymap';
+
+// Modifiers in the order a normalized chord lists them
+const CHORD_MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+// Other spellings of chord keys, by the name a normalized chord uses
+const CHORD_KEY_ALIASES = {
+  control: 'ctrl',
+  cmd: 'meta',
+  command: 'meta',
+  option: 'alt',
+  esc: 'escape',
+  ' ': 'space',
+  spacebar: 'space',
+  return: 'enter',
+  del: 'delete',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+};
+
+/**
+ * Normalizes a chord such as `Ctrl+Shift+K` to `ctrl+shift+k`, with the modifiers in a fixed order
+ * @param {*} chord - Chord as written by a mod, a user or Vivaldi
+ * @returns {string|null} The normalized chord, or null when it is not one key with optional modifiers
+ */
+const parseChord = (chord) => {
+  if (typeof chord !== 'string') {
+    return null;
+  }
+  const keys = chord.toLowerCase().split('+').map((key) => key.trim()).map((key) => CHORD_KEY_ALIASES[key] || key);
+  const modifiers = keys.filter((key) => CHORD_MODIFIERS.includes(key));
+  const others = keys.filter((key) => !CHORD_MODIFIERS.includes(key));
+  if (others.length !== 1 || others[0] === '' || new Set(modifiers).size !== modifiers.length) {
+    return null;
+  }
+  return [...CHORD_MODIFIERS.filter((modifier) => modifiers.includes(modifier)), others[0]].join('+');
+};
+
+/**
+ * @param {string} chord - Normalized chord
+ * @returns {string} The chord for display, such as `Ctrl+Shift+K`
+ */
+const formatChord = (chord) => chord.split('+').map((key) => key.charAt(0).toUpperCase() + key.slice(1)).join('+');
+
+/**
+ * Reads the chord of a key press. Letters and digits come from the physical key, so Shift+1 is
+ * `shift+1` and not `shift+!`.
+ * @param {KeyboardEvent} event - A keydown event
+ * @returns {string|null} The normalized chord, or null for a press of a modifier alone
+ */
+const chordOfEvent = (event) => {
+  const name = String(event.key || '').toLowerCase();
+  if (['control', 'alt', 'shift', 'meta'].includes(name)) {
+    return null;
+  }
+  const key = /^Key[A-Z]$/.test(event.code) ? event.code.slice(3).toLowerCase()
+    : /^Digit\d$/.test(event.code) ? event.code.slice(5)
+      : CHORD_KEY_ALIASES[name] || name;
+  return [...CHORD_MODIFIERS.filter((modifier) => event[`${modifier}Key`]), key].join('+');
+};
+
+/**
+ * Checks whether a key press goes to a text field, where chords without Ctrl, Alt or Meta are typing
+ * @param {KeyboardEvent} event - A keydown event
+ * @returns {boolean} True when the chord should be left to the field
+ */
+const isTyping = (event) => {
+  const target = event.target;
+  const editable = !!target?.matches?.('input, textarea, select') || !!target?.isContentEditable;
+  return editable && !event.ctrlKey && !event.altKey && !event.metaKey;
+};
+
+/**
+ * Lists Vivaldi's own keyboard shortcuts from its `vivaldi.actions` preference
+ * @param {*} actions - Preference value: an object, or a list of objects, of actions with their `shortcuts`
+ * @returns {Map<string, string>} Action names by normalized chord
+ */
+const readVivaldiShortcuts = (actions) => {
+  const shortcuts = new Map();
+  for (const group of [].concat(actions || [])) {
+    for (const [action, settings] of Object.entries(group || {})) {
+      for (const shortcut of settings?.shortcuts || []) {
+        const chord = parseChord(shortcut);
+        if (chord && !shortcuts.has(chord)) {
+          shortcuts.set(chord, action);
+        }
+      }
+    }
+  }
+  return shortcuts;
+};
+
+/**
+ * Creates the registry of mod commands, which listens for chords once the first command is registered
+ * @returns {{register: Function, api: Object}} Loader-side registration and the public `window.__vmm.commands`
+ */
+const createCommandRegistry = () => {
+  // Registered commands by id (`mod/name`), in registration order
+  const commands = new Map();
+  // Commands by the chord that runs them
+  const bindings = new Map();
+  let vivaldiShortcuts = new Map();
+  let listening = false;
+  let keymap = {};
+  try {
+    keymap = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || '{}') || {};
+  } catch (error) {
+    console.warn('Vivaldi Mod Manager: could not read the keymap:', error);
+  }
+
+  const saveKeymap = () => {
+    try {
+      localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(keymap));
+    } catch (error) {
+      console.warn('Vivaldi Mod Manager: could not save the keymap:', error);
+    }
+  };
+
+  // The keymap holds a chord, or null for a command the user unbound
+  const chordOf = (command) => (Object.hasOwn(keymap, command.id) ? keymap[command.id] : command.defaultChord);
+
+  // Binds every chord to its first command and records why the others are not bound
+  const resolveBindings = () => {
+    bindings.clear();
+    for (const command of commands.values()) {
+      const chord = chordOf(command);
+      const vivaldiAction = chord ? vivaldiShortcuts.get(chord) : null;
+      const owner = chord ? bindings.get(chord) : null;
+      command.conflict = vivaldiAction ? { source: 'vivaldi', name: vivaldiAction }
+        : owner ? { source: 'mod', name: owner.id }
+          : null;
+      if (chord && !command.conflict) {
+        bindings.set(chord, command);
+      } else if (command.conflict) {
+        const usedBy = vivaldiAction ? `Vivaldi's ${vivaldiAction}` : `command ${owner.id}`;
+        registry.warn(command.mod, `${formatChord(chord)} of command ${command.id} is already used by ${usedBy}`);
+      }
+    }
+  };
+
+  const snapshot = (command) => {
+    const chord = chordOf(command);
+    return {
+      id: command.id,
+      mod: command.mod,
+      name: command.name,
+      title: command.title,
+      chord: chord ? formatChord(chord) : null,
+      defaultChord: command.defaultChord ? formatChord(command.defaultChord) : null,
+      remapped: Object.hasOwn(keymap, command.id),
+      bound: !!chord && bindings.get(chord) === command,
+      conflict: command.conflict ? { ...command.conflict } : null,
+    };
+  };
+
+  const run = async (command) => {
+    try {
+      await command.run();
+    } catch (error) {
+      console.error(`Vivaldi Mod Manager: command ${command.id} failed:`, error);
+      registry.warn(command.mod, `Command ${command.name} failed: ${error?.message || error}`);
+    }
+  };
+
+  const onKeyDown = (event) => {
+    const chord = event.repeat || isTyping(event) ? null : chordOfEvent(event);
+    const command = chord ? bindings.get(chord) : null;
+    if (command) {
+      event.preventDefault();
+      event.stopPropagation();
+      run(command);
+    }
+  };
+
+  // Keys pressed while a web page has focus arrive as Vivaldi shortcuts, in every window
+  const onShortcut = (windowId, combination) => {
+    const ownWindowId = window.vivaldiWindowId;
+    const command = bindings.get(parseChord(combination));
+    if (command && (ownWindowId === undefined || windowId === ownWindowId)) {
+      run(command);
+    }
+  };
+
+  const onPrefsChanged = (change) => {
+    if (change?.path === 'vivaldi.actions') {
+      vivaldiShortcuts = readVivaldiShortcuts(change.value);
+      resolveBindings();
+    }
+  };
+
+  const listen = () => {
+    listening = true;
+    window.addEventListener('keydown', onKeyDown, true);
+    try {
+      vivaldi.tabsPrivate.onKeyboardShortcut.addListener(onShortcut);
+      vivaldi.prefs.onChanged.addListener(onPrefsChanged);
+      Promise.resolve(vivaldi.prefs.get('vivaldi.actions')).then((actions) => {
+        vivaldiShortcuts = readVivaldiShortcuts(actions);
+        resolveBindings();
+      }, (error) => console.warn("Vivaldi Mod Manager: could not read Vivaldi's shortcuts:", error));
+    } catch {}
+  };
+
+  // Once the last command is gone, so that stopped mods leave no listeners behind
+  const unlisten = () => {
+    listening = false;
+    window.removeEventListener('keydown', onKeyDown, true);
+    try {
+      vivaldi.tabsPrivate.onKeyboardShortcut.removeListener(onShortcut);
+      vivaldi.prefs.onChanged.removeListener(onPrefsChanged);
+    } catch {}
+  };
+
+  /**
+   * Registers a command of a mod
+   * @param {string} mod - Mod id
+   * @param {string} name - Command name, unique within the mod
+   * @param {{title: string, chord: string, run: Function}} options - Title shown to users, default chord and the action
+   * @returns {function(): void} Unregisters the command
+   * @throws {Error} If the name is taken or invalid
+   * @throws {TypeError} If `run` is not a function or the chord is not one key with optional modifiers
+   */
+  const register = (mod, name, { title = name, chord = null, run: action } = {}) => {
+    const id = `${mod}/${name}`;
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+      throw new Error(`Command name '${name}' may only use letters, digits, '.', '_' and '-'`);
+    }
+    if (commands.has(id)) {
+      throw new Error(`Command '${id}' is already registered`);
+    }
+    if (typeof action !== 'function') {
+      throw new TypeError(`run of command '${id}' must be a function`);
+    }
+    const defaultChord = chord === null ? null : parseChord(chord);
+    if (chord !== null && !defaultChord) {
+      throw new TypeError(`Chord '${chord}' of command '${id}' must be one key with optional Ctrl, Alt, Shift or Meta`);
+    }
+    const command = { id, mod, name, title: String(title), defaultChord, run: action, conflict: null };
+    commands.set(id, command);
+    if (!listening) {
+      listen();
+    }
+    resolveBindings();
+    return () => {
+      if (commands.get(id) === command) {
+        commands.delete(id);
+        resolveBindings();
+        if (!commands.size) {
+          unlisten();
+        }
+      }
+    };
+  };
+
+  const api = Object.freeze({
+    /**
+     * @returns {Array<Object>} Snapshots of every registered command: `id`, `mod`, `name`, `title`, the
+     *   `chord` in effect and the `defaultChord`, whether it is `remapped` and `bound`, and the `conflict`
+     *   that keeps it from being bound
+     */
+    list() {
+      return [...commands.values()].map(snapshot);
+    },
+
+    /**
+     * Runs a command as if its chord was pressed
+     * @param {string} id - Command id, `mod/name`
+     * @returns {Promise<boolean>} False when no such command is registered
+     */
+    async run(id) {
+      const command = commands.get(id);
+      if (!command) {
+        return false;
+      }
+      await run(command);
+      return true;
+    },
+
+    /**
+     * Binds a command to another chord, or unbinds it with null, and keeps the choice across restarts.
+     * The command does not need to be registered, so mods that are not running can be remapped too.
+     * @param {string} id - Command id, `mod/name`
+     * @param {string|null} chord - New chord, such as `Ctrl+Alt+P`
+     * @returns {Object|null} The command snapshot, or null when the command is not registered
+     * @throws {TypeError} If the chord is not one key with optional modifiers
+     * @throws {Error} If another command or Vivaldi uses the chord
+     */
+    remap(id, chord) {
+      const normalized = chord === null ? null : parseChord(chord);
+      if (chord !== null && !normalized) {
+        throw new TypeError(`Chord '${chord}' must be one key with optional Ctrl, Alt, Shift or Meta`);
+      }
+      const owner = normalized ? bindings.get(normalized) : null;
+      if (owner && owner.id !== id) {
+        throw new Error(`${formatChord(normalized)} is already used by command ${owner.id}`);
+      }
+      if (normalized && vivaldiShortcuts.has(normalized)) {
+        throw new Error(`${formatChord(normalized)} is already used by Vivaldi's ${vivaldiShortcuts.get(normalized)}`);
+      }
+      keymap[id] = normalized;
+      saveKeymap();
+      resolveBindings();
+      return commands.has(id) ? snapshot(commands.get(id)) : null;
+    },
+
+    /**
+     * Puts a command back on its default chord, or every command when called without an id
+     * @param {string} [id] - Command id, `mod/name`
+     */
+    reset(id) {
+      if (id === undefined) {
+        keymap = {};
+      } else {
+        delete keymap[id];
+      }
+      saveKeymap();
+      resolveBindings();
+    },
+
+    /**
+     * @returns {Object<string, string|null>} The user's chords by command id, as kept in localStorage
+     */
+    keymap() {
+      return Object.fromEntries(Object.entries(keymap).map(([id, chord]) => [id, chord && formatChord(chord)]));
+    },
+  });
+
+  return { register, api };
+};
+
+const commandRegistry = createCommandRegistry();
+
+// ---------------------------------------------------------------------------
+// Hot reload
+//
+// When HOT_RELOAD.enabled is set, loader.js and the loaded mod files are polled.
+// Changed mods are torn down, re-imported with a cache-busting query and set up
+// again. Changes that cannot be applied in place ask for a browser UI reload.
+// ---------------------------------------------------------------------------
+
+// Bumped for every re-import so the browser does not hand back the cached module
+let hotReloadRevision = 0;
+
+// Last seen source of each mod file, by mod id
+const modSources = new Map();
+
+// Fingerprint and mod list of the last loader.js that was looked at
+let seenLoader = null;
+
+/**
+ * Reads the fingerprint, generation time and mod list source from loader.js on disk
+ * @returns {Promise<{fingerprint: string, generatedAt: string, listSource: string}|null>} Generated state, or null when unreadable
+ */
+const readGeneratedLoader = async () => {
+  const source = await fetchFresh(import.meta.url);
+  if (source === null) {
+    return null;
+  }
+  const fingerprint = /const LOADER_FINGERPRINT = "([^"]*)";/.exec(source)?.[1] ?? '';
+  const generatedAt = /const GENERATED_AT = "([^"]*)";/.exec(source)?.[1] ?? '';
+
+  // The generated list always comes before this runtime in the file
+  const listStart = source.indexOf('const modsToLoad = [');
+  if (listStart === -1) {
+    return { fingerprint, generatedAt, listSource: '[]' };
+  }
+  const listEnd = source.indexOf('\n];', listStart);
+  return { fingerprint, generatedAt, listSource: source.slice(listStart + 'const modsToLoad = '.length, listEnd + 3) };
+};
+
+/**
+ * Evaluates the generated mod list without running the rest of loader.js
+ * @param {string} listSource - Array literal copied from loader.js
+ * @returns {Promise<Array<Object>>} Mod definitions
+ */
+const evaluateModList = async (listSource) => {
+  const module = await import(`data:text/javascript,${encodeURIComponent(`export default ${listSource};`)}`);
+  return module.default;
+};
+
+/**
+ * Asks the user to reload the browser UI for a change hot reload cannot apply
+ * @param {string} reason - What could not be reloaded in place
+ */
+const requestFullReload = (reason) => {
+  console.warn(`Vivaldi Mod Manager: ${reason}; reload the browser UI to apply the change`);
+  showNotice({
+    id: 'hot-reload',
+    message: `Vivaldi Mod Manager: ${reason}. Reload the browser UI to apply the change.`,
+    actions: [{ label: 'Reload', onClick: () => location.reload() }],
+  });
+};
+
+/**
+ * Tears a loaded mod down ahead of a reload or removal
+ * @param {Object} entry - Registry snapshot of the mod
+ * @returns {Promise<boolean>} False when teardown failed and the mod may have left state behind
+ */
+const teardownForReload = async (entry) => {
+  if (entry.status !== MOD_STATUS.LOADED) {
+    return true;
+  }
+  try {
+    await lifecycles.get(entry.id).teardown();
+    registry.disposeEffects(entry.id);
+    return true;
+  } catch (error) {
+    registry.disposeEffects(entry.id);
+    registry.markFailed(entry.id, error);
+    console.error(`Failed to tear down mod '${entry.filename}':`, error);
+    requestFullReload(`${entry.filename} failed to tear down`);
+    return false;
+  }
+};
+
+/**
+ * Reloads a mod whose file changed
+ * @param {Object} entry - Registry snapshot of the mod
+ */
+const reloadMod = async (entry) => {
+  if (entry.status === MOD_STATUS.LOADED && !entry.supportsTeardown) {
+    requestFullReload(`${entry.filename} changed but has no teardown`);
+    return;
+  }
+  if (entry.status === MOD_STATUS.LOADED && isPackage(entry.filename)) {
+    // Only the entry point can be imported again; the modules it imports would stay cached
+    requestFullReload(`package ${entry.filename} changed`);
+    return;
+  }
+  if (!(await teardownForReload(entry))) {
+    return;
+  }
+  console.log(`Hot reloading mod: ${entry.filename}`);
+  registry.renewContext(entry.id);
+  modHeaders.delete(entry.id);
+  packageManifests.delete(entry.id);
+  if (await checkCompatibility(entry.id)) {
+    await loadMod(entry, { revision: ++hotReloadRevision });
+  }
+};
+
+/**
+ * Checks whether a registry entry still matches its generated definition: same file, scopes, config,
+ * compatibility settings and hash
+ * @param {Object} entry - Registry snapshot of the mod
+ * @param {Object} definition - Definition from the new loader.js
+ * @returns {boolean} True when the mod can keep running as it is
+ */
+const matchesDefinition = (entry, definition) => {
+  const { scope, config } = registry.api.getContext(entry.id);
+  const current = registry.definitionOf(entry.id);
+  return entry.filename === definition.filename &&
+    scope.patterns.join('\n') === (definition.urlScopes || []).join('\n') &&
+    JSON.stringify(config.values) === JSON.stringify(definition.config || {}) &&
+    current.compatibility === definition.compatibility &&
+    current.lastKnownCompatible === definition.lastKnownCompatible &&
+    current.sha256 === definition.sha256;
+};
+
+/**
+ * Applies a new enabled mod set: removes, replaces and adds mods in place
+ * @param {Array<Object>} definitions - Mod definitions from the new loader.js
+ * @returns {Promise<boolean>} False when a full reload is needed instead
+ */
+const applyModList = async (definitions) => {
+  const byId = new Map(definitions.map((definition) => [definition.id, definition]));
+  const stale = registry.api.getMods().filter((entry) => !byId.has(entry.id) || !matchesDefinition(entry, byId.get(entry.id)));
+
+  const blocked = stale.filter((entry) => entry.status === MOD_STATUS.LOADED && !entry.supportsTeardown);
+  if (blocked.length > 0) {
+    requestFullReload(`the enabled mods changed and ${blocked.map((entry) => entry.filename).join(', ')} cannot be unloaded`);
+    return false;
+  }
+
+  for (const entry of stale) {
+    if (await teardownForReload(entry)) {
+      registry.markDisabled(entry.id);
+      console.log(`Unloaded mod: ${entry.filename}`);
+    }
+    cancelTriggers(entry.id);
+    registry.remove(entry.id);
+    lifecycles.delete(entry.id);
+    modSources.delete(entry.id);
+    modHeaders.delete(entry.id);
+    packageManifests.delete(entry.id);
+    modPackages.delete(entry.id);
+  }
+
+  const added = definitions.filter((definition) => !registry.api.getMod(definition.id));
+  added.forEach((definition) => registry.define(definition));
+  const ordered = await resolveLoadOrder(definitions);
+  for (const definition of ordered) {
+    if (added.includes(definition) && await checkCompatibility(definition.id)) {
+      await loadMod(definition, { revision: ++hotReloadRevision });
+    }
+  }
+
+  registry.reorder(ordered.map((definition) => definition.id));
+  return true;
+};
+
+/**
+ * Picks up a regenerated loader.js with a different enabled mod set
+ */
+const checkLoader = async () => {
+  const loader = await readGeneratedLoader();
+  if (!loader) {
+    return;
+  }
+  const key = `${loader.fingerprint}\n${loader.listSource}`;
+  if (seenLoader === null) {
+    seenLoader = key;
+    if (loader.fingerprint === registry.api.fingerprint) {
+      return;
+    }
+  } else if (key === seenLoader) {
+    return;
+  }
+  seenLoader = key;
+
+  console.log(`Vivaldi Mod Manager: loader changed (fingerprint ${loader.fingerprint}), applying new mod set`);
+  if (await applyModList(await evaluateModList(loader.listSource))) {
+    registry.setGenerated(loader.fingerprint, loader.generatedAt);
+  }
+};
+
+/**
+ * Reloads loaded or failed mods whose file changed on disk. Mods skipped as incompatible or for
+ * a missing capability are checked again, since the edit may have changed their header.
+ */
+const checkModFiles = async () => {
+  for (const entry of registry.api.getMods()) {
+    const incompatible = entry.status === MOD_STATUS.SKIPPED &&
+      (entry.compatibility?.compatible === false || entry.capabilities?.missing.length > 0);
+    if (entry.status !== MOD_STATUS.LOADED && entry.status !== MOD_STATUS.FAILED && !incompatible) {
+      continue;
+    }
+    const source = await readModSource(entry.id);
+    if (source === null) {
+      continue;
+    }
+    const previous = modSources.get(entry.id);
+    modSources.set(entry.id, source);
+    if (previous !== undefined && previous !== source) {
+      await reloadMod(entry);
+    }
+  }
+};
+
+/**
+ * Starts polling for loader and mod file changes
+ */
+const startHotReload = () => {
+  console.log(`Vivaldi Mod Manager: hot reload enabled, checking every ${HOT_RELOAD.intervalMs}ms`);
+  const tick = async () => {
+    try {
+      await checkLoader();
+      await checkModFiles();
+    } catch (error) {
+      console.error('Vivaldi Mod Manager: hot reload check failed:', error);
+    }
+    setTimeout(tick, HOT_RELOAD.intervalMs);
+  };
+  setTimeout(tick, HOT_RELOAD.intervalMs);
+};
+
+// Shared helpers handed to mods as ctx.runtime, set before the first mod loads
+let modRuntime = null;
+
+// Per-mod views of modRuntime, by mod id
+const modRuntimeViews = new Map();
+
+/**
+ * Returns the runtime handed to one mod: the shared module, with `waitForElement` and
+ * `selectors.waitFor` timed so the load report can tell waiting for the UI apart from the
+ * mod's own work, with stylesheets, style properties, inserted elements, observers, overrides,
+ * event subscriptions, window and theme listeners and dialogs tracked by the mod's sandbox, and with `i18n.load`
+ * reading the mod's locale files
+ * @param {string} id - Mod id
+ * @returns {Object|null} The mod's view of the runtime, or null when the runtime is missing
+ */
+const getModRuntime = (id) => {
+  if (!modRuntime) {
+    return null;
+  }
+  if (!modRuntimeViews.has(id)) {
+    // Looked up on every call, since the sandbox is replaced along with the mod's context
+    const sandbox = () => registry.sandboxOf(id);
+    const timeWait = (selector, waiting) => {
+      const start = performance.now();
+      const recordWait = () => registry.recordWait(id, selector, performance.now() - start);
+      waiting.then(recordWait, recordWait);
+      return waiting;
+    };
+    modRuntimeViews.set(id, Object.freeze({
+      ...modRuntime,
+      waitForElement(selector, ...rest) {
+        return timeWait(selector, modRuntime.waitForElement(selector, ...rest));
+      },
+      ...(modRuntime.selectors ? {
+        selectors: Object.freeze({
+          ...modRuntime.selectors,
+          waitFor(name, ...rest) {
+            return timeWait(modRuntime.selectors.get(name), modRuntime.selectors.waitFor(name, ...rest));
+          },
+        }),
+      } : {}),
+      ...(modRuntime.events ? {
+        events: Object.freeze({
+          ...modRuntime.events,
+          subscribe(...args) {
+            const unsubscribe = modRuntime.events.subscribe(...args);
+            return sandbox()?.trackListener(unsubscribe) || unsubscribe;
+          },
+        }),
+      } : {}),
+      ...(modRuntime.i18n?.createTranslator ? {
+        i18n: Object.freeze({
+          ...modRuntime.i18n,
+          load(options) {
+            return loadModTranslator(id, options);
+          },
+        }),
+      } : {}),
+      ...(modRuntime.windows ? {
+        windows: Object.freeze({
+          ...modRuntime.windows,
+          get id() {
+            return modRuntime.windows.id;
+          },
+          onFocusChanged(listener) {
+            const unsubscribe = modRuntime.windows.onFocusChanged(listener);
+            return sandbox()?.trackListener(unsubscribe) || unsubscribe;
+          },
+          onPrimaryChanged(listener) {
+            const unsubscribe = modRuntime.windows.onPrimaryChanged(listener);
+            return sandbox()?.trackListener(unsubscribe) || unsubscribe;
+          },
+          channel(name) {
+            const channel = modRuntime.windows.channel(name);
+            return Object.freeze({
+              ...channel,
+              subscribe(listener) {
+                const unsubscribe = channel.subscribe(listener);
+                return sandbox()?.trackListener(unsubscribe) || unsubscribe;
+              },
+            });
+          },
+        }),
+      } : {}),
+      ...(modRuntime.theme ? {
+        theme: Object.freeze({
+          ...modRuntime.theme,
+          onChanged(listener) {
+            const unsubscribe = modRuntime.theme.onChanged(listener);
+            return sandbox()?.trackListener(unsubscribe) || unsubscribe;
+          },
+        }),
+      } : {}),
+      ...(modRuntime.createDialogs ? {
+        createDialogs(...args) {
+          const dialogs = modRuntime.createDialogs(...args);
+          sandbox()?.trackListener(dialogs.closeAll);
+          return dialogs;
+        },
+      } : {}),
+      addStyleSheet(css) {
+        const remove = modRuntime.addStyleSheet(css);
+        return sandbox()?.trackStyleSheet(remove) || remove;
+      },
+      setStyleProperty(element, property, ...rest) {
+        const restore = modRuntime.setStyleProperty(element, property, ...rest);
+        sandbox()?.trackStyleProperty(element, property, restore);
+        return restore;
+      },
+      removeStyleProperty(element, property) {
+        modRuntime.removeStyleProperty(element, property);
+        sandbox()?.releaseStyleProperty(element, property);
+      },
+      createElement(tagName, attributes, parent, ...rest) {
+        const element = modRuntime.createElement(tagName, attributes, parent, ...rest);
+        if (element.isConnected) {
+          sandbox()?.trackElement(element);
+        }
+        return element;
+      },
+      observeDOM(...args) {
+        const observer = modRuntime.observeDOM(...args);
+        sandbox()?.trackObserver(observer);
+        return observer;
+      },
+      override(target, functionName, callback, ...rest) {
+        const key = modRuntime.override(target, functionName, callback, ...rest);
+        sandbox()?.trackOverride(() => modRuntime.removeOverride(key, callback), key, callback, target, functionName);
+        return key;
+      },
+      removeOverride(key, callback) {
+        modRuntime.removeOverride(key, callback);
+        sandbox()?.releaseOverride(key, callback);
+      },
+    }));
+  }
+  return modRuntimeViews.get(id);
+};
+
+/**
+ * Imports the mod runtime module the manager writes next to loader.js. Mods still load without it,
+ * but those that use `ctx.runtime` fail in setup.
+ * @returns {Promise<Object|null>} The module namespace, or null when it cannot be imported
+ */
+const importModRuntime = async () => {
+  try {
+    const module = await import(`./${MOD_RUNTIME.filename}?v=${MOD_RUNTIME.version}`);
+    if (module.VERSION !== MOD_RUNTIME.version) {
+      console.warn(`Vivaldi Mod Manager: expected mod runtime ${MOD_RUNTIME.version} but found ${module.VERSION}`);
+    }
+    return module;
+  } catch (error) {
+    console.error('Vivaldi Mod Manager: could not import the mod runtime:', error);
+    return null;
+  }
+};
+
+const registry = createModRegistry(modsToLoad, {
+  enable: enableMod,
+  disable: disableMod,
+  resetStartupFailures: (id) => crashLoopGuard.reset(id),
+  reportError: (id, error) => recordModError(id, error, 'callback'),
+});
+window.__vmm = registry.api;
+
+(async function loadMods() {
+  console.log('Vivaldi Mod Manager: Starting mod loading...');
+  console.log(`Loader version: ${LOADER_VERSION}, Generated: ${GENERATED_AT}`);
+
+  registry.start();
+  startLongTaskProfiling();
+  startErrorBoundary();
+
+  try {
+    if (modsToLoad.length > 0 && await detectSafeModeChord(SAFE_MODE.chord)) {
+      registry.enterSafeMode();
+      for (const mod of modsToLoad) {
+        registry.markSkipped(mod.id, 'Safe Mode chord held at startup');
+      }
+      console.warn('Vivaldi Mod Manager: Safe Mode chord held, skipping all mods');
+      showNotice({
+        id: 'safe-mode',
+        message: 'Vivaldi Mod Manager: Safe Mode. No mods were loaded in this window.',
+      });
+      return;
+    }
+
+    modRuntime = await importModRuntime();
+    registry.setVivaldiVersion(await getVivaldiVersion());
+
+    const ordered = await resolveLoadOrder(modsToLoad);
+    registry.reorder(ordered.map((mod) => mod.id));
+
+    const crashLooping = [];
+    for (const mod of ordered) {
+      if (crashLoopGuard.shouldSkip(mod.id)) {
+        const failures = crashLoopGuard.failures(mod.id);
+        registry.markSkipped(mod.id, `Failed on ${failures} consecutive startups`);
+        console.warn(`Skipping mod '${mod.filename}': failed on ${failures} consecutive startups`);
+        crashLooping.push(mod);
+        continue;
+      }
+      if (await checkCompatibility(mod.id) && !(await deferMod(mod))) {
+        await loadModAtStartup(mod);
+      }
+    }
+    armTriggers();
+
+    if (crashLooping.length > 0) {
+      showCrashLoopNotice(crashLooping);
+    }
+
+    const refused = registry.api.getMods().filter((entry) => entry.error?.name === INTEGRITY_ERROR);
+    if (refused.length > 0) {
+      showIntegrityNotice(refused);
+    }
+
+    const { counts } = registry.api.getReport();
+    console.log(`Mod loading complete: ${counts.loaded} loaded, ${counts.failed} failed, ${counts.skipped} skipped`);
+  } catch (error) {
+    console.error('Error during mod loading:', error);
+  } finally {
+    registry.complete();
+  }
+
+  if (HOT_RELOAD.enabled) {
+    startHotReload();
+  }
+})().catch(error => {
+  console.error('Critical error in mod loader:', error);
+});
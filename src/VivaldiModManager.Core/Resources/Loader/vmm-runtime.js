@@ -0,0 +1,1401 @@
+// ---------------------------------------------------------------------------
+// Vivaldi Mod Manager - mod runtime
+//
+// Helpers shared by mods. LoaderService writes this module next to loader.js,
+// the loader imports it once before any mod and hands it to each mod as
+// `ctx.runtime`. Keep changes backwards compatible within a major version and
+// bump VERSION together with ManifestConstants.ModRuntimeVersion.
+// ---------------------------------------------------------------------------
+
+/**
+ * Version of this module. Mods can check it before relying on newer helpers.
+ */
+export const VERSION = '1.7.0';
+
+/**
+ * Waits for an element to appear in the DOM
+ * @param {string} selector - CSS selector for the target element
+ * @param {ParentNode} [startNode] - Node to search from, the document by default
+ * @param {number} [timeoutMs] - Maximum time to wait in milliseconds
+ * @returns {Promise<Element>} The found element
+ * @throws {Error} If the element is not found within the timeout
+ */
+export const waitForElement = (selector, startNode = document, timeoutMs = 10000) => new Promise((resolve, reject) => {
+  const checkInterval = 100;
+  let elapsed = 0;
+
+  const timerId = setInterval(() => {
+    const element = startNode.querySelector(selector);
+    if (element) {
+      clearInterval(timerId);
+      resolve(element);
+      return;
+    }
+    elapsed += checkInterval;
+    if (elapsed >= timeoutMs) {
+      clearInterval(timerId);
+      reject(new Error(`Element ${selector} not found within ${timeoutMs}ms`));
+    }
+  }, checkInterval);
+});
+
+/**
+ * Adds a stylesheet to the document
+ * @param {string|Array<string>} css - CSS rules, or a list of rules joined with newlines
+ * @returns {function(): void} Removes the stylesheet again
+ */
+export const addStyleSheet = (css) => {
+  const text = Array.isArray(css) ? css.join('\n') : css;
+  try {
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(text);
+    document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+    return () => {
+      document.adoptedStyleSheets = document.adoptedStyleSheets.filter((adopted) => adopted !== sheet);
+    };
+  } catch {
+    // Fallback for documents without constructable stylesheets
+    const style = document.createElement('style');
+    style.textContent = text;
+    document.head.append(style);
+    return () => style.remove();
+  }
+};
+
+/**
+ * Sets an inline style property, such as a custom property on `#browser`
+ * @param {Element} element - Element to style
+ * @param {string} property - CSS property name, `--name` for custom properties
+ * @param {string} value - Property value
+ * @param {string} [priority] - `important` to add `!important`
+ * @returns {function(): void} Puts back the value the property had before
+ */
+export const setStyleProperty = (element, property, value, priority = '') => {
+  const previous = element.style.getPropertyValue(property);
+  const previousPriority = element.style.getPropertyPriority(property);
+  element.style.setProperty(property, value, priority);
+  return () => {
+    if (previous) {
+      element.style.setProperty(property, previous, previousPriority);
+    } else {
+      element.style.removeProperty(property);
+    }
+  };
+};
+
+/**
+ * Removes an inline style property
+ * @param {Element} element - Styled element
+ * @param {string} property - CSS property name
+ */
+export const removeStyleProperty = (element, property) => {
+  element.style.removeProperty(property);
+};
+
+/**
+ * Creates an element, sets its attributes and content and optionally inserts it
+ * @param {string} tagName - Element tag name
+ * @param {Object} [attributes] - Attributes and properties. `text` sets textContent, `html` sets innerHTML,
+ *   `style` takes an object of CSS properties and `events` an object of listeners. Object values of other
+ *   attributes are stored as JSON.
+ * @param {Element|string} [parent] - Element or selector to append the new element to
+ * @param {Node|string|Array<Node|string>} [inner] - Child nodes or HTML strings to append
+ * @param {{isPrepend: boolean}} [options] - Prepend to the parent instead of appending
+ * @returns {Element} The new element
+ */
+export const createElement = (tagName, attributes, parent, inner, { isPrepend = false } = {}) => {
+  const element = document.createElement(tagName);
+  for (const [key, value] of Object.entries(attributes || {})) {
+    if (key === 'text') {
+      element.textContent = value;
+    } else if (key === 'html') {
+      element.innerHTML = value;
+    } else if (key === 'style' && typeof value === 'object') {
+      for (const [property, propertyValue] of Object.entries(value)) {
+        element.style.setProperty(property, propertyValue);
+      }
+    } else if (key === 'events' && typeof value === 'object') {
+      for (const [type, listener] of Object.entries(value)) {
+        if (typeof listener === 'function') {
+          element.addEventListener(type, listener);
+        }
+      }
+    } else if (typeof element[key] !== 'undefined') {
+      element[key] = value;
+    } else {
+      element.setAttribute(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+  }
+
+  if (inner) {
+    for (const child of Array.isArray(inner) ? inner : [inner]) {
+      element.append(child?.nodeName ? child : createElementFromHTML(child));
+    }
+  }
+
+  const parentElement = typeof parent === 'string' ? document.querySelector(parent) : parent;
+  if (parentElement) {
+    if (isPrepend) {
+      parentElement.prepend(element);
+    } else {
+      parentElement.append(element);
+    }
+  }
+  return element;
+};
+
+/**
+ * Parses an HTML string into a document fragment
+ * @param {string} html - HTML source
+ * @returns {DocumentFragment} The parsed nodes
+ */
+export const createElementFromHTML = (html) => createElement('template', { html: (html || '').trim() }).content;
+
+/**
+ * Observes DOM changes below a node
+ * @param {Node} target - Node to observe
+ * @param {function(Array<MutationRecord>, MutationObserver): void} callback - Called with the mutations
+ * @param {MutationObserverInit} [options] - Observer options. Without them, child list changes in the
+ *   subtree are observed and the callback only runs when nodes were added or removed.
+ * @returns {MutationObserver} The observer, so the caller can disconnect it
+ */
+export const observeDOM = (target, callback, options) => {
+  const observer = new MutationObserver((mutations, mutationObserver) => {
+    if (options || mutations[0].addedNodes.length || mutations[0].removedNodes.length) {
+      callback(mutations, mutationObserver);
+    }
+  });
+  observer.observe(target, options || { childList: true, subtree: true });
+  return observer;
+};
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} The escaped text
+ */
+export const escapeRegExp = (text) => (!text ? text : text.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'));
+
+export const uuid = Object.freeze({
+  /**
+   * Generates a random UUID v4
+   * @param {Array<string>} [ids] - Ids already in use, which the result will not repeat
+   * @returns {string} The new id
+   */
+  generate(ids) {
+    let id;
+    do {
+      id = crypto.randomUUID();
+    } while (Array.isArray(ids) && ids.includes(id));
+    return id;
+  },
+});
+
+// Locale a mod's messages fall back to when neither its own catalogs nor Vivaldi have a translation
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * @returns {string} Locale of the browser UI, such as `de-AT`
+ */
+const getUiLocale = () => (chrome.i18n?.getUILanguage?.() || navigator.language || FALLBACK_LOCALE).replace(/_/g, '-');
+
+/**
+ * Lists a locale and the more general locales it falls back to: `pt-BR` gives `pt-BR` and `pt`
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {Array<string>} Locales, most specific first
+ */
+const getLocaleChain = (locale) => {
+  const parts = locale.split('-');
+  return parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+};
+
+/**
+ * Checks the catalog of one locale: each message is a string, or an object of plural forms with `other`
+ * @param {string} locale - Locale of the catalog
+ * @param {*} messages - Messages by key
+ * @throws {TypeError} If the catalog or one of its messages has the wrong shape
+ */
+const checkCatalog = (locale, messages) => {
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+    throw new TypeError(`Catalog '${locale}' must be an object of messages`);
+  }
+  for (const [key, message] of Object.entries(messages)) {
+    const isPlural = !!message && typeof message === 'object' && typeof message.other === 'string' &&
+      Object.values(message).every((form) => typeof form === 'string');
+    if (typeof message !== 'string' && !isPlural) {
+      throw new TypeError(`Message '${key}' of '${locale}' must be a string or an object of plural forms with 'other'`);
+    }
+  }
+};
+
+/**
+ * Picks the plural form of a message for a count: an exact form such as `=0` first, then the
+ * locale's plural category and then `other`
+ * @param {Object<string, string>} forms - Plural forms by category
+ * @param {string} locale - Locale the message is in
+ * @param {*} count - The `count` value passed to the translate function
+ * @returns {string} The chosen form
+ */
+const selectPluralForm = (forms, locale, count) => {
+  if (typeof count !== 'number') {
+    return forms.other;
+  }
+  return forms[`=${count}`] ?? forms[new Intl.PluralRules(locale).select(count)] ?? forms.other;
+};
+
+/**
+ * Fills the `{name}` placeholders of a message. Numbers are formatted for the locale and placeholders
+ * without a value are left as they are.
+ * @param {string|Object<string, string>} message - Message text or plural forms
+ * @param {string} locale - Locale the message is in
+ * @param {Object<string, *>} values - Placeholder values by name
+ * @returns {string} The formatted text
+ */
+const formatMessage = (message, locale, values) => {
+  const text = typeof message === 'string' ? message : selectPluralForm(message, locale, values.count);
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!Object.hasOwn(values, name)) {
+      return placeholder;
+    }
+    const value = values[name];
+    return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+  });
+};
+
+export const i18n = Object.freeze({
+  /**
+   * @returns {string} Locale of the browser UI, such as `de-AT`
+   */
+  getLocale() {
+    return getUiLocale();
+  },
+
+  /**
+   * Lists the locales a mod should ship catalogs for to cover a locale, most specific first
+   * @param {string} [locale] - Locale, the browser UI locale by default
+   * @returns {Array<string>} Such as `['de-AT', 'de', 'en']`
+   */
+  getLocales(locale = getUiLocale()) {
+    return [...new Set([...getLocaleChain(locale), FALLBACK_LOCALE])];
+  },
+
+  /**
+   * Creates a translate function for a mod's own messages. A key is looked up in the catalog of
+   * the locale and of its more general locales, then in Vivaldi's catalog as an English UI string,
+   * then in the English catalog, and is returned as it is when none has it. Messages can hold
+   * `{name}` placeholders, and a message given as plural forms such as `{ one, other }` is chosen
+   * by the `count` value.
+   * @param {Object<string, Object<string, string|Object<string, string>>>} [catalogs] - Messages by
+   *   key, by locale, such as `{ en: { files: { one: "{count} file", other: "{count} files" } } }`
+   * @param {{locale: string}} [options] - Locale to translate into, the browser UI locale by default
+   * @returns {function(string, Object<string, *>=): string} Translates a key with its placeholder values
+   * @throws {TypeError} If a catalog or message has the wrong shape
+   */
+  createTranslator(catalogs = {}, { locale = getUiLocale() } = {}) {
+    const catalogsByLocale = new Map();
+    for (const [catalogLocale, messages] of Object.entries(catalogs)) {
+      checkCatalog(catalogLocale, messages);
+      catalogsByLocale.set(catalogLocale.toLowerCase(), messages);
+    }
+    const find = (locales, key) => {
+      for (const candidate of locales) {
+        const messages = catalogsByLocale.get(candidate.toLowerCase());
+        if (messages && Object.hasOwn(messages, key)) {
+          return { message: messages[key], locale: candidate };
+        }
+      }
+      return null;
+    };
+
+    const findInVivaldi = (key) => {
+      const message = chrome.i18n?.getMessage(i18n.getMessageName(key));
+      return message ? { message, locale } : null;
+    };
+
+    return (key, values = {}) => {
+      const found = find(getLocaleChain(locale), key) || findInVivaldi(key) || find([FALLBACK_LOCALE], key) ||
+        { message: key, locale: FALLBACK_LOCALE };
+      return formatMessage(found.message, found.locale, values);
+    };
+  },
+
+  /**
+   * Converts a Vivaldi UI string into the name of its message in the locale files
+   * @param {string} message - English UI string
+   * @param {string} [type] - Message context
+   * @returns {string} The message name
+   */
+  getMessageName(message, type) {
+    const key = (type ? `${type}\x04` : '') + message;
+    return `${key.replace(/[^a-z0-9]/g, (char) => `_${char.codePointAt(0)}_`)}0`;
+  },
+
+  /**
+   * Translates a Vivaldi UI string into the browser language
+   * @param {string} message - English UI string
+   * @param {string} [type] - Message context
+   * @returns {string} The translation, or the message itself when Vivaldi has none
+   */
+  getMessage(message, type) {
+    return chrome.i18n.getMessage(this.getMessageName(message, type)) || message;
+  },
+});
+
+// Overridden functions by key, shared by every mod so patches on the same function stack up
+const overrides = new Map();
+
+// Ids for objects with overridden functions, used to build override keys
+const overrideTargetIds = new WeakMap();
+let nextOverrideTargetId = 0;
+
+/**
+ * Wraps a function of an object so callbacks run before or after it. Any number of mods can
+ * override the same function; every callback is kept until it is removed with `removeOverride`.
+ * @param {Object} target - Object that owns the function, such as `HTMLDivElement.prototype`
+ * @param {string} functionName - Name of the function to wrap
+ * @param {Function} callback - Runs with the call's `this` and arguments. Callbacks that run after
+ *   the function also receive its result as the last argument.
+ * @param {boolean|function(...*): boolean} [condition] - When false, or a function returning false,
+ *   the original function and later callbacks are not run for that call
+ * @param {boolean} [runBefore] - Run the callback before the original function
+ * @returns {string} Key to pass to `removeOverride`
+ */
+export const override = (target, functionName, callback, condition, runBefore = false) => {
+  if (!overrideTargetIds.has(target)) {
+    overrideTargetIds.set(target, ++nextOverrideTargetId);
+  }
+  const key = `${functionName}_${overrideTargetIds.get(target)}`;
+
+  if (!overrides.has(key)) {
+    const record = { target, functionName, original: target[functionName], hooks: [] };
+    record.wrapper = function (...args) {
+      const hooks = [...record.hooks];
+      let shouldRun = true;
+      for (const hook of hooks) {
+        shouldRun = shouldRun &&
+          (typeof hook.condition === 'function' ? !!hook.condition.apply(this, args) : hook.condition !== false);
+        if (shouldRun && hook.runBefore) {
+          hook.callback.apply(this, args);
+        }
+      }
+      const result = shouldRun ? record.original.apply(this, args) : undefined;
+      for (const hook of hooks) {
+        if (!hook.runBefore) {
+          hook.callback.apply(this, [...args, result]);
+        }
+      }
+      return result;
+    };
+    target[functionName] = record.wrapper;
+    overrides.set(key, record);
+  }
+
+  overrides.get(key).hooks.push({ callback, condition, runBefore });
+  return key;
+};
+
+/**
+ * Removes a callback added with `override`. The original function is restored once no callbacks
+ * are left, unless someone else has patched the function on top of the wrapper since.
+ * @param {string} key - Key returned by `override`
+ * @param {Function} callback - The callback to remove
+ */
+export const removeOverride = (key, callback) => {
+  const record = overrides.get(key);
+  if (!record) {
+    return;
+  }
+  const index = record.hooks.findIndex((hook) => hook.callback === callback);
+  if (index > -1) {
+    record.hooks.splice(index, 1);
+  }
+  if (record.hooks.length === 0 && record.target[record.functionName] === record.wrapper) {
+    record.target[record.functionName] = record.original;
+    overrides.delete(key);
+  }
+};
+
+let reactPropsKey;
+
+/**
+ * Finds the property name React uses to store props on DOM nodes of the browser UI
+ * @param {Element|string} [element] - Element or selector to inspect, `#browser` by default
+ * @returns {string|undefined} The `__reactProps…` key, or undefined when React has not rendered yet
+ */
+export const getReactPropsKey = (element) => {
+  if (!reactPropsKey) {
+    const node = typeof element === 'string'
+      ? document.querySelector(element)
+      : element || document.getElementById('browser');
+    if (!node || node.ownerDocument !== document) {
+      return undefined;
+    }
+    reactPropsKey = Object.keys(node).find((key) => key.startsWith('__reactProps'));
+  }
+  return reactPropsKey;
+};
+
+/**
+ * Selector candidates for parts of the browser UI, by semantic name. Candidates are tried in order,
+ * and `since` (inclusive) and `before` (exclusive) limit one to a range of Vivaldi versions. When
+ * Vivaldi renames a class, add a candidate here instead of changing every mod.
+ */
+const SELECTOR_CANDIDATES = Object.freeze({
+  browser: [{ selector: '#browser' }],
+  mainContent: [{ selector: '#main > .inner' }, { selector: '#main > .webpageview' }],
+  webviewContainer: [{ selector: '#webview-container' }],
+  panels: [{ selector: '#panels' }],
+  panelsContainer: [{ selector: '#panels-container' }],
+  overlayPanelsContainer: [{ selector: '#panels-container.overlay' }],
+  panelButton: [{ selector: 'button:is([name^="Panel"], [name^="WEBPANEL_"])' }],
+  activePanelButton: [{ selector: '#panels .active > button' }],
+  tabStrip: [{ selector: '#tabs-container .tab-strip' }],
+  tab: [{ selector: 'div.tab' }],
+  addressBar: [{ selector: '.UrlBar-AddressField' }],
+  addressField: [{ selector: 'input[type="text"].url.vivaldi-addressfield' }],
+  addressDropdown: [{ selector: '.UrlBar-AddressField .OmniDropdown' }],
+});
+
+// Candidates by name, including those added with `selectors.define`
+const selectorCandidates = new Map(Object.entries(SELECTOR_CANDIDATES));
+
+// Prefix of the data-id attribute of tab strip elements, followed by the chrome.tabs id
+const TAB_ID_PREFIX = 'tab-';
+
+// Lookups per selector name: the candidate that matched last and how often lookups found something
+const selectorLookups = new Map();
+
+/**
+ * Reads the running Vivaldi version from the loader, or from the user agent without one
+ * @returns {Array<number>|null} Version parts, or null when the version is not known yet
+ */
+const getVivaldiVersionParts = () => {
+  const version = globalThis.window?.__vmm?.vivaldiVersion ||
+    /\bVivaldi\/([\d.]+)/.exec(globalThis.navigator?.userAgent || '')?.[1];
+  return version ? version.split('.').map(Number) : null;
+};
+
+/**
+ * Compares two versions given as lists of numbers, only as far as `bound` has parts
+ * @param {Array<number>} version - Running version
+ * @param {string} bound - Version such as `7.2`
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+const compareToBound = (version, bound) => {
+  const parts = bound.split('.').map(Number);
+  for (let index = 0; index < parts.length; index++) {
+    const difference = (version[index] || 0) - parts[index];
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Returns the candidates of a name that apply to the running Vivaldi version. All candidates apply
+ * while the version is unknown.
+ * @param {string} name - Semantic selector name
+ * @returns {Array<string>} Selectors in the order they are tried
+ * @throws {Error} If the name is not in the registry
+ */
+const getSelectorCandidates = (name) => {
+  const candidates = selectorCandidates.get(name);
+  if (!candidates) {
+    throw new Error(`Unknown selector name '${name}'`);
+  }
+  const version = getVivaldiVersionParts();
+  return candidates
+    .filter(({ since, before }) => !version ||
+      ((!since || compareToBound(version, since) >= 0) && (!before || compareToBound(version, before) < 0)))
+    .map(({ selector }) => selector);
+};
+
+/**
+ * Records the outcome of a lookup for `selectors.report`
+ * @param {string} name - Semantic selector name
+ * @param {string|null} selector - Candidate that matched, or null when none did
+ */
+const recordSelectorLookup = (name, selector) => {
+  const lookup = selectorLookups.get(name) || { selector: null, found: 0, missed: 0 };
+  if (selector) {
+    lookup.selector = selector;
+    lookup.found++;
+  } else {
+    lookup.missed++;
+  }
+  selectorLookups.set(name, lookup);
+};
+
+export const selectors = Object.freeze({
+  /**
+   * @returns {Array<string>} Every semantic name in the registry
+   */
+  names() {
+    return [...selectorCandidates.keys()];
+  },
+
+  /**
+   * Adds a name, or candidates for an existing name that are tried before the ones already known.
+   * Lets a mod cover a part of the UI the registry does not know yet without waiting for an update.
+   * @param {string} name - Semantic selector name
+   * @param {Array<string|{selector: string, since: string, before: string}>} candidates - Selectors, optionally
+   *   limited to Vivaldi versions from `since` up to but not including `before`
+   */
+  define(name, candidates) {
+    const added = candidates.map((candidate) => (typeof candidate === 'string' ? { selector: candidate } : { ...candidate }));
+    selectorCandidates.set(name, [...added, ...(selectorCandidates.get(name) || [])]);
+  },
+
+  /**
+   * Returns one selector that matches any candidate of a name, for `matches`, `closest` and stylesheets
+   * @param {string} name - Semantic selector name, such as `activePanelButton`
+   * @returns {string} The candidates for the running Vivaldi version, joined with commas
+   * @throws {Error} If the name is not in the registry
+   */
+  get(name) {
+    return getSelectorCandidates(name).join(', ');
+  },
+
+  /**
+   * Finds the first element for a name, trying its candidates in order
+   * @param {string} name - Semantic selector name
+   * @param {ParentNode} [root] - Node to search from, the document by default
+   * @returns {Element|null} The element, or null when no candidate matches
+   * @throws {Error} If the name is not in the registry
+   */
+  query(name, root = document) {
+    for (const selector of getSelectorCandidates(name)) {
+      const element = root.querySelector(selector);
+      if (element) {
+        recordSelectorLookup(name, selector);
+        return element;
+      }
+    }
+    recordSelectorLookup(name, null);
+    return null;
+  },
+
+  /**
+   * Finds every element for the first candidate of a name that matches anything
+   * @param {string} name - Semantic selector name
+   * @param {ParentNode} [root] - Node to search from, the document by default
+   * @returns {Array<Element>} The elements, empty when no candidate matches
+   * @throws {Error} If the name is not in the registry
+   */
+  queryAll(name, root = document) {
+    for (const selector of getSelectorCandidates(name)) {
+      const elements = root.querySelectorAll(selector);
+      if (elements.length > 0) {
+        recordSelectorLookup(name, selector);
+        return [...elements];
+      }
+    }
+    recordSelectorLookup(name, null);
+    return [];
+  },
+
+  /**
+   * @param {Element} element - Element to test
+   * @param {string} name - Semantic selector name
+   * @returns {boolean} True when the element matches any candidate of the name
+   */
+  matches(element, name) {
+    return element.matches(this.get(name));
+  },
+
+  /**
+   * @param {Element} element - Element to start from
+   * @param {string} name - Semantic selector name
+   * @returns {Element|null} The closest ancestor, or the element itself, matching the name
+   */
+  closest(element, name) {
+    return element.closest(this.get(name));
+  },
+
+  /**
+   * Waits for an element for a name to appear. A timeout counts as a failed lookup.
+   * @param {string} name - Semantic selector name
+   * @param {ParentNode} [root] - Node to search from, the document by default
+   * @param {number} [timeoutMs] - Maximum time to wait in milliseconds
+   * @returns {Promise<Element>} The found element
+   * @throws {Error} If the name is not in the registry or no element appears within the timeout
+   */
+  async waitFor(name, root = document, timeoutMs = 10000) {
+    try {
+      const element = await waitForElement(this.get(name), root, timeoutMs);
+      recordSelectorLookup(name, getSelectorCandidates(name).find((selector) => element.matches(selector)));
+      return element;
+    } catch (error) {
+      recordSelectorLookup(name, null);
+      throw new Error(`Element '${name}' not found within ${timeoutMs}ms`, { cause: error });
+    }
+  },
+
+  /**
+   * Reads the id of a tab strip element
+   * @param {Element} tab - Element matching `tab`
+   * @returns {string|null} The chrome.tabs id, or the group id of a tab stack, as text. Null when
+   *   the element has no id.
+   */
+  tabId(tab) {
+    const id = tab.getAttribute('data-id');
+    return id?.startsWith(TAB_ID_PREFIX) ? id.slice(TAB_ID_PREFIX.length) : null;
+  },
+
+  /**
+   * Reports how lookups went since the browser UI loaded
+   * @returns {{vivaldiVersion: string|null, names: Object<string, Object>, unresolved: Array<string>}}
+   *   `names` holds the candidate that matched last and the found and missed counts of every name looked up.
+   *   `unresolved` lists names that were looked up but never matched.
+   */
+  report() {
+    const names = Object.fromEntries([...selectorLookups].map(([name, lookup]) => [name, { ...lookup }]));
+    return {
+      vivaldiVersion: getVivaldiVersionParts()?.join('.') || null,
+      names,
+      unresolved: Object.keys(names).filter((name) => names[name].found === 0),
+    };
+  },
+});
+
+// Payload types a topic field can declare, with the check for each
+const TOPIC_FIELD_TYPES = Object.freeze({
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => !!value && typeof value === 'object' && !Array.isArray(value),
+});
+
+// Topics by name: declared fields, subscribers and the last payload
+const topics = new Map();
+
+/**
+ * Returns the record of a topic, creating it for subscribers that arrive before the topic is defined
+ * @param {string} topic - Topic name such as `colorTabs/accent`
+ * @returns {{fields: Object|null, listeners: Set<Function>, hasValue: boolean, value: *}} The topic record
+ * @throws {Error} If the name has no namespace
+ */
+const getTopic = (topic) => {
+  if (typeof topic !== 'string' || !/^[\w.-]+\/[\w./-]+$/.test(topic)) {
+    throw new Error(`Topic '${topic}' must be named 'namespace/name'`);
+  }
+  if (!topics.has(topic)) {
+    topics.set(topic, { fields: null, listeners: new Set(), hasValue: false, value: undefined });
+  }
+  return topics.get(topic);
+};
+
+/**
+ * Checks a payload against the fields declared for its topic
+ * @param {string} topic - Topic name
+ * @param {Object<string, string>} fields - Field types by name
+ * @param {*} payload - Published value
+ * @throws {TypeError} If the payload is not an object or a field has the wrong type
+ */
+const checkPayload = (topic, fields, payload) => {
+  if (!TOPIC_FIELD_TYPES.object(payload)) {
+    throw new TypeError(`Payload of '${topic}' must be an object`);
+  }
+  for (const [name, type] of Object.entries(fields)) {
+    const optional = type.endsWith('?');
+    const value = payload[name];
+    if (optional && (value === undefined || value === null)) {
+      continue;
+    }
+    if (!TOPIC_FIELD_TYPES[optional ? type.slice(0, -1) : type](value)) {
+      throw new TypeError(`Field '${name}' of '${topic}' must be ${type}`);
+    }
+  }
+};
+
+/**
+ * Calls a subscriber, keeping a throwing one from affecting the publisher and other subscribers
+ * @param {string} topic - Topic name
+ * @param {Function} listener - Subscriber
+ * @param {*} payload - Published value
+ */
+const deliver = (topic, listener, payload) => {
+  try {
+    listener(payload, topic);
+  } catch (error) {
+    console.error(`Vivaldi Mod Manager: subscriber of '${topic}' failed:`, error);
+  }
+};
+
+export const events = Object.freeze({
+  /**
+   * Declares a topic and the fields of its payloads. Defining a topic again replaces its fields,
+   * so a mod can define its topics in every setup.
+   * @param {string} topic - Topic name, `namespace/name`. Use the mod's name as the namespace.
+   * @param {Object<string, string>} fields - Field types by name: `string`, `number`, `boolean`,
+   *   `array` or `object`, with a trailing `?` for fields that may be missing or null
+   * @throws {Error} If the name has no namespace or a field type is unknown
+   */
+  define(topic, fields) {
+    for (const [name, type] of Object.entries(fields)) {
+      if (!TOPIC_FIELD_TYPES[type.replace(/\?$/, '')]) {
+        throw new Error(`Field '${name}' of '${topic}' has unknown type '${type}'`);
+      }
+    }
+    getTopic(topic).fields = Object.freeze({ ...fields });
+  },
+
+  /**
+   * Sends a payload to every subscriber of a topic and keeps it for late subscribers
+   * @param {string} topic - A defined topic
+   * @param {Object} payload - Payload matching the topic's fields
+   * @returns {number} How many subscribers were called
+   * @throws {Error} If the topic is not defined
+   * @throws {TypeError} If the payload does not match the topic's fields
+   */
+  publish(topic, payload) {
+    const record = getTopic(topic);
+    if (!record.fields) {
+      throw new Error(`Topic '${topic}' is not defined`);
+    }
+    checkPayload(topic, record.fields, payload);
+    const value = Object.freeze({ ...payload });
+    record.hasValue = true;
+    record.value = value;
+    const listeners = [...record.listeners];
+    listeners.forEach((listener) => deliver(topic, listener, value));
+    return listeners.length;
+  },
+
+  /**
+   * Calls a listener with every payload published on a topic. The topic does not need to be
+   * defined yet, so mods can subscribe regardless of load order.
+   * @param {string} topic - Topic name
+   * @param {function(Object, string): void} listener - Called with the payload and the topic name
+   * @param {{replay: boolean}} [options] - Call the listener with the last payload straight away, if there is one
+   * @returns {function(): void} Unsubscribes the listener
+   */
+  subscribe(topic, listener, { replay = false } = {}) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('listener must be a function');
+    }
+    const record = getTopic(topic);
+    record.listeners.add(listener);
+    if (replay && record.hasValue) {
+      deliver(topic, listener, record.value);
+    }
+    return () => record.listeners.delete(listener);
+  },
+
+  /**
+   * @param {string} topic - Topic name
+   * @returns {Object|undefined} The last payload published on the topic
+   */
+  last(topic) {
+    return getTopic(topic).value;
+  },
+
+  /**
+   * Forgets the last payload of a topic, for a publisher that stops and whose last value no longer holds
+   * @param {string} topic - Topic name
+   */
+  clear(topic) {
+    const record = getTopic(topic);
+    record.hasValue = false;
+    record.value = undefined;
+  },
+
+  /**
+   * @returns {Array<{topic: string, fields: Object|null, subscribers: number, hasValue: boolean}>} Every
+   *   topic that was defined or subscribed to
+   */
+  topics() {
+    return [...topics].map(([topic, record]) => ({
+      topic,
+      fields: record.fields,
+      subscribers: record.listeners.size,
+      hasValue: record.hasValue,
+    }));
+  },
+});
+
+// Windows of the browser as seen from this one, tracked from the first use of `windows`
+const windowState = {
+  tracking: null,
+  ids: new Set(),
+  focusedId: null,
+  primary: null,
+  focusListeners: new Set(),
+  primaryListeners: new Set(),
+};
+
+// Open BroadcastChannels by channel name, with the listeners of this window
+const windowChannels = new Map();
+
+/**
+ * @returns {number|null} The id of the window this copy of the runtime runs in
+ */
+const getWindowId = () => globalThis.window?.vivaldiWindowId ?? null;
+
+/**
+ * Calls window listeners, keeping a throwing one from affecting the others
+ * @param {Set<Function>} listeners - Listeners to call
+ * @param {...*} args - Arguments for the listeners
+ */
+const notifyWindowListeners = (listeners, ...args) => {
+  for (const listener of [...listeners]) {
+    try {
+      listener(...args);
+    } catch (error) {
+      console.error('Vivaldi Mod Manager: window listener failed:', error);
+    }
+  }
+};
+
+/**
+ * Recomputes whether this window is the primary one: the open window with the lowest id
+ */
+const updatePrimaryWindow = () => {
+  const windowId = getWindowId();
+  const primary = windowId === null || Math.min(...windowState.ids) === windowId;
+  const changed = windowState.primary !== null && windowState.primary !== primary;
+  windowState.primary = primary;
+  if (changed) {
+    notifyWindowListeners(windowState.primaryListeners, primary);
+  }
+};
+
+/**
+ * Starts following window changes through `chrome.windows`. Without that API, or outside a
+ * Vivaldi window, this window is the only one and counts as focused.
+ * @returns {Promise<void>} Resolves once the open windows are known
+ */
+const trackWindows = () => {
+  if (windowState.tracking) {
+    return windowState.tracking;
+  }
+  const api = globalThis.chrome?.windows;
+  const windowId = getWindowId();
+  if (windowId !== null) {
+    windowState.ids.add(windowId);
+  }
+  if (!api || windowId === null) {
+    windowState.focusedId = windowId;
+    updatePrimaryWindow();
+    windowState.tracking = Promise.resolve();
+    return windowState.tracking;
+  }
+
+  api.onCreated.addListener((created) => {
+    windowState.ids.add(created.id);
+    updatePrimaryWindow();
+  });
+  api.onRemoved.addListener((removedId) => {
+    windowState.ids.delete(removedId);
+    updatePrimaryWindow();
+  });
+  api.onFocusChanged.addListener((focusedId) => {
+    const previous = windowState.focusedId;
+    windowState.focusedId = focusedId === api.WINDOW_ID_NONE ? null : focusedId;
+    if (windowState.focusedId !== previous) {
+      notifyWindowListeners(windowState.focusListeners, windowState.focusedId === windowId, windowState.focusedId);
+    }
+  });
+  windowState.tracking = api.getAll().then((windows) => {
+    windows.forEach((open) => windowState.ids.add(open.id));
+    windowState.focusedId = windows.find((open) => open.focused)?.id ?? windowState.focusedId;
+    updatePrimaryWindow();
+  }).catch((error) => {
+    console.warn('Vivaldi Mod Manager: could not list the browser windows:', error);
+    updatePrimaryWindow();
+  });
+  return windowState.tracking;
+};
+
+/**
+ * Returns the shared BroadcastChannel of a channel name, opening it for the first listener
+ * @param {string} name - Channel name
+ * @returns {{channel: BroadcastChannel, listeners: Set<Function>}} The open channel
+ */
+const openWindowChannel = (name) => {
+  if (!windowChannels.has(name)) {
+    const channel = new BroadcastChannel(`vmm:${name}`);
+    const record = { channel, listeners: new Set() };
+    channel.onmessage = ({ data }) => notifyWindowListeners(record.listeners, data.message, data.from);
+    windowChannels.set(name, record);
+  }
+  return windowChannels.get(name);
+};
+
+export const windows = Object.freeze({
+  /**
+   * Id of the Vivaldi window this runs in, as used by `chrome.windows` and `tab.windowId`
+   */
+  get id() {
+    return getWindowId();
+  },
+
+  /**
+   * @returns {Promise<boolean>} True when this window has the focus
+   */
+  async isFocused() {
+    await trackWindows();
+    return windowState.focusedId === getWindowId();
+  },
+
+  /**
+   * @returns {Promise<number|null>} The id of the focused window, or null when no browser window has the focus
+   */
+  async focusedId() {
+    await trackWindows();
+    return windowState.focusedId;
+  },
+
+  /**
+   * Calls a listener whenever the focus moves between windows
+   * @param {function(boolean, (number|null)): void} listener - Called with whether this window has the focus
+   *   and the id of the focused window
+   * @returns {function(): void} Unsubscribes the listener
+   */
+  onFocusChanged(listener) {
+    trackWindows();
+    windowState.focusListeners.add(listener);
+    return () => windowState.focusListeners.delete(listener);
+  },
+
+  /**
+   * Tells whether this window is the primary one. Exactly one open window is primary, so work that
+   * concerns the whole browser, such as handling a `chrome.webNavigation` event, runs once instead of
+   * once per window. When the primary window closes, the open window with the next lowest id takes over.
+   * @returns {Promise<boolean>} True when this window should do window-global work
+   */
+  async isPrimary() {
+    await trackWindows();
+    return windowState.primary;
+  },
+
+  /**
+   * Calls a listener when this window becomes or stops being the primary one
+   * @param {function(boolean): void} listener - Called with whether this window is now primary
+   * @returns {function(): void} Unsubscribes the listener
+   */
+  onPrimaryChanged(listener) {
+    trackWindows();
+    windowState.primaryListeners.add(listener);
+    return () => windowState.primaryListeners.delete(listener);
+  },
+
+  /**
+   * Opens a channel to the same mod in the other windows
+   * @param {string} name - Channel name, such as the mod's name
+   * @returns {{post: function(*): void, subscribe: function(function(*, number): void): function(): void}} Channel.
+   *   `post` sends a structured-cloneable message to every other window, `subscribe` calls a listener with each
+   *   message from another window and the id of that window.
+   */
+  channel(name) {
+    return Object.freeze({
+      post(message) {
+        const open = windowChannels.get(name);
+        const channel = open ? open.channel : new BroadcastChannel(`vmm:${name}`);
+        channel.postMessage({ from: getWindowId(), message });
+        if (!open) {
+          channel.close();
+        }
+      },
+      subscribe(listener) {
+        const record = openWindowChannel(name);
+        record.listeners.add(listener);
+        return () => {
+          record.listeners.delete(listener);
+          if (record.listeners.size === 0 && windowChannels.get(name) === record) {
+            windowChannels.delete(name);
+            record.channel.close();
+          }
+        };
+      },
+    });
+  },
+});
+
+// Pref paths of the current theme id and of the built-in and user-made themes
+const THEME_PREFS = Object.freeze({
+  current: 'vivaldi.themes.current',
+  system: 'vivaldi.themes.system',
+  user: 'vivaldi.themes.user',
+});
+
+// The current theme as last seen, and its listeners, tracked while `theme.onChanged` has listeners
+const themeState = {
+  theme: undefined,
+  reading: null,
+  isPrivate: null,
+  listeners: new Set(),
+};
+
+/**
+ * Parses a CSS color in hex or `rgb()` notation. Alpha is ignored.
+ * @param {string} color - Color such as `#3366cc`, `#36c` or `rgb(51 102 204)`
+ * @returns {Array<number>} Red, green and blue from 0 to 255
+ * @throws {TypeError} If the color is in another notation
+ */
+const parseColor = (color) => {
+  const text = String(color).trim();
+  const hex = /^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.exec(text);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map((digit) => digit + digit).join('') : hex[1];
+    return [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+  }
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(text);
+  if (rgb) {
+    return rgb.slice(1, 4).map((channel) => Math.min(255, Math.round(Number(channel))));
+  }
+  throw new TypeError(`Color '${color}' must be in hex or rgb() notation`);
+};
+
+/**
+ * @param {Array<number>} channels - Red, green and blue from 0 to 255
+ * @returns {string} The color as `#rrggbb`
+ */
+const formatColor = (channels) =>
+  `#${channels.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * @param {Array<number>} channels - Red, green and blue from 0 to 255
+ * @returns {number} Relative luminance as defined by WCAG, from 0 for black to 1 for white
+ */
+const relativeLuminance = (channels) => {
+  const [red, green, blue] = channels.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+};
+
+/**
+ * @param {Array<number>} first - Channels of one color
+ * @param {Array<number>} second - Channels of the other color
+ * @returns {number} WCAG contrast ratio, from 1 for equal luminance to 21 for black on white
+ */
+const contrastBetween = (first, second) => {
+  const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Channels of the colors with the most contrast, which text falls back to
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+
+/**
+ * Tells whether a background needs light text
+ * @param {string} color - Background color
+ * @returns {boolean|null} True for a dark color, null when the color cannot be parsed
+ */
+const isDarkColor = (color) => {
+  try {
+    const channels = parseColor(color);
+    return contrastBetween(channels, WHITE) > contrastBetween(channels, BLACK);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Looks up whether this window is private, once, since that never changes
+ * @returns {Promise<boolean>} True in a private window
+ */
+const isPrivateWindow = () => {
+  if (themeState.isPrivate === null) {
+    const api = globalThis.chrome?.windows;
+    const windowId = getWindowId();
+    themeState.isPrivate = api?.get && windowId !== null
+      ? api.get(windowId).then((window) => Boolean(window.incognito), () => false)
+      : Promise.resolve(false);
+  }
+  return themeState.isPrivate;
+};
+
+/**
+ * Turns the pref entry of a theme into the object `theme.current()` resolves with
+ * @param {Object} settings - Theme from `vivaldi.themes.system` or `vivaldi.themes.user`
+ * @param {boolean} isPrivate - Whether this window is private
+ * @returns {Object} The resolved theme, frozen
+ */
+const resolveTheme = (settings, isPrivate) => Object.freeze({
+  id: settings.id,
+  name: settings.name ?? null,
+  colors: Object.freeze({
+    accentBg: settings.colorAccentBg ?? null,
+    bg: settings.colorBg ?? null,
+    fg: settings.colorFg ?? null,
+    highlightBg: settings.colorHighlightBg ?? null,
+    windowBg: settings.colorWindowBg ?? null,
+  }),
+  accent: Object.freeze({
+    fromPage: Boolean(settings.accentFromPage),
+    onWindow: Boolean(settings.accentOnWindow),
+    saturationLimit: settings.accentSaturationLimit ?? 1,
+  }),
+  transparency: Object.freeze({
+    tabs: Boolean(settings.transparencyTabs),
+    tabBar: Boolean(settings.transparencyTabBar),
+  }),
+  isDark: settings.colorBg ? isDarkColor(settings.colorBg) : null,
+  isPrivate,
+  settings: Object.freeze({ ...settings }),
+});
+
+/**
+ * Reads the current theme from the prefs
+ * @returns {Promise<Object|null>} The resolved theme, or null when the prefs do not name a known theme
+ */
+const readTheme = async () => {
+  const prefs = globalThis.vivaldi?.prefs;
+  if (!prefs) {
+    return null;
+  }
+  const [currentId, system, user, isPrivate] = await Promise.all([
+    prefs.get(THEME_PREFS.current),
+    prefs.get(THEME_PREFS.system),
+    prefs.get(THEME_PREFS.user),
+    isPrivateWindow(),
+  ]);
+  const settings = [...(system || []), ...(user || [])].find((candidate) => candidate?.id === currentId);
+  return settings ? resolveTheme(settings, isPrivate) : null;
+};
+
+/**
+ * Reads the theme again and calls the listeners when it resolves differently than before.
+ * A read started by a later pref change wins over an earlier one still in flight.
+ */
+const refreshTheme = () => {
+  const reading = themeState.reading = readTheme();
+  reading.then((theme) => {
+    if (reading !== themeState.reading) {
+      return;
+    }
+    const previous = themeState.theme;
+    themeState.theme = theme;
+    if (previous === undefined || JSON.stringify(previous) === JSON.stringify(theme)) {
+      return;
+    }
+    for (const listener of [...themeState.listeners]) {
+      try {
+        listener(theme, previous);
+      } catch (error) {
+        console.error('Vivaldi Mod Manager: theme listener failed:', error);
+      }
+    }
+  }, (error) => {
+    console.warn('Vivaldi Mod Manager: could not read the theme:', error);
+  });
+};
+
+/**
+ * Rereads the theme when a pref under `vivaldi.themes` changes
+ * @param {{path: string}} change - Pref change from `vivaldi.prefs.onChanged`
+ */
+const onThemePrefChanged = ({ path }) => {
+  if (path.startsWith('vivaldi.themes')) {
+    refreshTheme();
+  }
+};
+
+export const theme = Object.freeze({
+  /**
+   * Reads the theme this window shows
+   * @returns {Promise<Object|null>} `{ id, name, colors, accent, transparency, isDark, isPrivate, settings }`,
+   *   or null when the prefs do not name a known theme. `colors` holds `accentBg`, `bg`, `fg`, `highlightBg`
+   *   and `windowBg`, `accent` holds `fromPage`, `onWindow` and `saturationLimit`, `transparency` holds `tabs`
+   *   and `tabBar`, and `settings` is the theme's pref entry as Vivaldi stores it.
+   */
+  current() {
+    return readTheme();
+  },
+
+  /**
+   * Calls a listener when the current theme changes: another theme is selected, or the selected one is edited
+   * @param {function((Object|null), (Object|null)): void} listener - Called with the new and the previous theme
+   * @returns {function(): void} Unsubscribes the listener
+   */
+  onChanged(listener) {
+    const prefs = globalThis.vivaldi?.prefs;
+    if (themeState.listeners.size === 0 && prefs) {
+      themeState.theme = undefined;
+      prefs.onChanged.addListener(onThemePrefChanged);
+      refreshTheme();
+    }
+    themeState.listeners.add(listener);
+    return () => {
+      if (!themeState.listeners.delete(listener) || themeState.listeners.size > 0) {
+        return;
+      }
+      prefs?.onChanged.removeListener(onThemePrefChanged);
+      themeState.reading = null;
+      themeState.theme = undefined;
+    };
+  },
+
+  /**
+   * Measures how well two colors can be told apart
+   * @param {string} foreground - Text color in hex or `rgb()` notation
+   * @param {string} background - Background color
+   * @returns {number} WCAG contrast ratio from 1 to 21. Body text needs 4.5, large text 3.
+   */
+  contrastRatio(foreground, background) {
+    return contrastBetween(parseColor(foreground), parseColor(background));
+  },
+
+  /**
+   * Picks the text color that is easier to read on a background
+   * @param {string} background - Background color
+   * @param {{light: string, dark: string}} [options] - The two candidates, white and black by default
+   * @returns {string} `light` or `dark`, as given
+   */
+  contrastColor(background, { light = '#ffffff', dark = '#000000' } = {}) {
+    const channels = parseColor(background);
+    return contrastBetween(parseColor(light), channels) >= contrastBetween(parseColor(dark), channels) ? light : dark;
+  },
+
+  /**
+   * Adjusts a color just enough to reach a contrast ratio on a background, by mixing it with
+   * white on dark backgrounds and with black on light ones
+   * @param {string} color - Preferred color
+   * @param {string} background - Background color
+   * @param {number} [minimumRatio] - Contrast ratio to reach, 4.5 by default
+   * @returns {string} The color as `#rrggbb`; black or white when even they do not reach the ratio
+   */
+  ensureContrast(color, background, minimumRatio = 4.5) {
+    const channels = parseColor(color);
+    const backdrop = parseColor(background);
+    if (contrastBetween(channels, backdrop) >= minimumRatio) {
+      return formatColor(channels);
+    }
+    const target = contrastBetween(WHITE, backdrop) > contrastBetween(BLACK, backdrop) ? WHITE : BLACK;
+    const mix = (amount) => channels.map((channel, index) => Math.round(channel + (target[index] - channel) * amount));
+    // The contrast falls until the mix crosses the luminance of the background and rises after,
+    // so the smallest amount that reaches the ratio can be bisected
+    let low = 0;
+    let high = 1;
+    for (let step = 0; step < 16; step++) {
+      const middle = (low + high) / 2;
+      if (contrastBetween(mix(middle), backdrop) >= minimumRatio) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    return formatColor(mix(high));
+  },
+});
+
+/**
+ * Creates a builder for dialogs that look like Vivaldi's own. A dialog closes on Esc, on a click
+ * outside it while a page has focus, and through its buttons.
+ * @param {string} [className] - Class added to every dialog form, to scope the mod's styles to
+ * @returns {{make: Function, closeAll: function(): void, createConstant: function(): Object}} The builder.
+ *   `make(title, content, buttons, options)` shows a dialog headed by `title` as plain text and returns its
+ *   `dialog` form, `dialogHeader`, `dialogContent`, `modalBg`, `buttons` and `close`. A button is a
+ *   `createElement` attribute object with
+ *   `label`, `click`, `cancel` for the button whose `click` also runs when the dialog is dismissed, and
+ *   `closeDialog: false` to keep the dialog open. `options` takes `autoClose: false` to keep the dialog
+ *   open on outside clicks, `width` in pixels and an extra `class`.
+ */
+export const createDialogs = (className = '') => {
+  const createConstant = () => ({
+    dialogButtons: {
+      submit: { label: i18n.getMessage('OK'), type: 'submit' },
+      cancel: { label: i18n.getMessage('Cancel'), cancel: true },
+    },
+  });
+
+  // Close functions of the dialogs that are currently shown
+  const openDialogs = new Set();
+
+  const make = (title, content, buttons = [], { autoClose = true, width, class: extraClass } = {}) => {
+    const id = uuid.generate();
+    let modalBg = null;
+    let cancelEvent = null;
+
+    const onKeyCloseDialog = (windowId, key) => {
+      if (windowId === windows.id && key === 'Esc') {
+        closeDialog(true);
+      }
+    };
+    const onClickCloseDialog = (windowId, mousedown, button, clientX, clientY) => {
+      if (autoClose && windowId === windows.id && mousedown &&
+          !document.elementFromPoint(clientX, clientY)?.closest(`.dialog-custom[data-dialog-id="${id}"]`)) {
+        closeDialog(true);
+      }
+    };
+    function closeDialog(isCancel) {
+      if (isCancel === true && cancelEvent) {
+        cancelEvent.call(this);
+      }
+      modalBg?.remove();
+      openDialogs.delete(closeDialog);
+      try {
+        vivaldi.tabsPrivate.onKeyboardShortcut.removeListener(onKeyCloseDialog);
+        vivaldi.tabsPrivate.onWebviewClickCheck.removeListener(onClickCloseDialog);
+      } catch {}
+    }
+
+    try {
+      vivaldi.tabsPrivate.onKeyboardShortcut.addListener(onKeyCloseDialog);
+      vivaldi.tabsPrivate.onWebviewClickCheck.addListener(onClickCloseDialog);
+    } catch {}
+
+    const buttonElements = buttons.map((button) => {
+      const { label, click, cancel, closeDialog: closes = true, ...attributes } = button;
+      if (cancel === true && typeof click === 'function') {
+        cancelEvent = click;
+      }
+      button.element = createElement('input', {
+        ...attributes,
+        type: attributes.type || 'button',
+        ...(label ? { value: label } : {}),
+        events: {
+          click(event) {
+            event.preventDefault();
+            if (typeof click === 'function') {
+              click.call(this);
+            }
+            if (closes !== false) {
+              closeDialog();
+            }
+          },
+        },
+      });
+      return button.element;
+    });
+
+    const focusTrap = createElement('span', { class: 'focus_modal', tabindex: '0' });
+    const container = createElement('div', { style: { width: width ? `${width}px` : '', margin: '0 auto' } });
+    const form = createElement('form', { 'data-dialog-id': id, class: `dialog-custom ${className}`.trim() }, container);
+    if (extraClass) {
+      form.classList.add(extraClass);
+    }
+    const header = createElement('header', { class: 'dialog-header' }, form, createElement('h1', { text: title || '' }));
+    const contentElement = createElement('div', { class: 'dialog-content', style: { 'max-height': '65vh' } }, form, content);
+    if (buttonElements.length) {
+      createElement('footer', { class: 'dialog-footer' }, form, buttonElements);
+    }
+
+    modalBg = createElement('div', { id: 'modal-bg', class: 'slide' }, selectors.query('mainContent'),
+      [focusTrap.cloneNode(true), container, focusTrap.cloneNode(true)]);
+    openDialogs.add(closeDialog);
+    return {
+      dialog: form,
+      dialogHeader: header,
+      dialogContent: contentElement,
+      modalBg,
+      buttons: buttonElements,
+      close: closeDialog,
+      constant: createConstant(),
+    };
+  };
+
+  const closeAll = () => {
+    for (const closeDialog of [...openDialogs]) {
+      closeDialog();
+    }
+  };
+
+  return { make, closeAll, createConstant };
+};
@@ -10,7 +10,8 @@ namespace VivaldiModManager.Core.Services;
 public interface ILoaderService
 {
     /// <summary>
-    /// Generates the loader.js file asynchronously based on the manifest configuration.
+    /// Generates the loader.js file asynchronously based on the manifest configuration,
+    /// and writes the shared mod runtime module next to it.
     /// </summary>
     /// <param name="manifest">The manifest data containing enabled mods and configuration.</param>
     /// <param name="outputPath">The path where the loader.js file should be written.</param>
@@ -0,0 +1,17 @@
+namespace VivaldiModManager.Core.Services;
+
+/// <summary>
+/// Provides file operations on mod packages: directories with a <c>mod.json</c> that names their entry point.
+/// </summary>
+public interface IModPackageService
+{
+    /// <summary>
+    /// Copies a package directory with all of its files, replacing any previous copy at the destination,
+    /// and writes the listing of those files that the loader reads to notice changes to any of them.
+    /// </summary>
+    /// <param name="sourceDirectory">The package directory to copy.</param>
+    /// <param name="destinationDirectory">The directory to copy the package to.</param>
+    /// <exception cref="DirectoryNotFoundException">Thrown when the source directory does not exist.</exception>
+    /// <exception cref="IOException">Thrown when an I/O error occurs.</exception>
+    void CopyPackage(string sourceDirectory, string destinationDirectory);
+}
@@ -1,5 +1,7 @@
 using System.Text;
+using System.Text.Encodings.Web;
 using System.Text.Json;
+using System.Text.Unicode;
 using Microsoft.Extensions.Logging;
 using VivaldiModManager.Core.Constants;
 using VivaldiModManager.Core.Exceptions;
@@ -14,6 +16,17 @@ namespace VivaldiModManager.Core.Services;
 /// </summary>
 public class LoaderService : ILoaderService
 {
+    private const string LoaderRuntimeResourceName = "VivaldiModManager.Core.Resources.Loader.loader-runtime.js";
+
+    private const string ModRuntimeResourceName = "VivaldiModManager.Core.Resources.Loader.vmm-runtime.js";
+
+    private static readonly Lazy<string> LoaderRuntimeScript = new(() => ReadEmbeddedScript(LoaderRuntimeResourceName));
+
+    private static readonly Lazy<string> ModRuntimeScript = new(() => ReadEmbeddedScript(ModRuntimeResourceName));
+
+    // Braces inside config strings are escaped so they cannot unbalance the loader's brace check
+    private static readonly JsonSerializerOptions ConfigJsonOptions = CreateConfigJsonOptions();
+
     private readonly ILogger<LoaderService> _logger;
     private readonly IManifestService _manifestService;
     private readonly IHashService _hashService;
@@ -64,6 +77,10 @@ public async Task<LoaderConfiguration> GenerateLoaderAsync(ManifestData manifest
             // Calculate content hash
             configuration.ContentHash = _hashService.ComputeStringHash(jsContent);
 
+            // The loader imports the mod runtime, so it is written first
+            var modRuntimePath = Path.Combine(Path.GetDirectoryName(outputPath) ?? string.Empty, ManifestConstants.ModRuntimeFilename);
+            await WriteLoaderFileAsync(modRuntimePath, ModRuntimeScript.Value, cancellationToken).ConfigureAwait(false);
+
             // Write to file using atomic operations (similar to ManifestService pattern)
             await WriteLoaderFileAsync(outputPath, jsContent, cancellationToken).ConfigureAwait(false);
 
@@ -329,59 +346,70 @@ public string GenerateLoaderJavaScript(ManifestData manifest)
             sb.AppendLine($"const GENERATED_AT = \"{DateTimeOffset.UtcNow:yyyy-MM-ddTHH:mm:ssZ}\";");
             sb.AppendLine();
 
-            // Main loading function
-            sb.AppendLine("(async function loadMods() {");
-            sb.AppendLine("  console.log('Vivaldi Mod Manager: Starting mod loading...');");
-            sb.AppendLine("  console.log(`Loader version: ${LOADER_VERSION}, Generated: ${GENERATED_AT}`);");
-            sb.AppendLine();
+            var hotReloadEnabled = manifest.Settings?.HotReloadEnabled == true;
 
-            if (enabledMods.Any())
+            // With hot reload on, the runtime is emitted even without mods so enabling the first one is picked up
+            if (enabledMods.Any() || hotReloadEnabled)
             {
-                sb.AppendLine("  const modsToLoad = [");
+                var hotReloadInterval = Math.Max(
+                    manifest.Settings?.HotReloadIntervalMs ?? ManifestConstants.DefaultHotReloadIntervalMs,
+                    ManifestConstants.MinHotReloadIntervalMs);
+                var allowUnverified = hotReloadEnabled && manifest.Settings?.HotReloadAllowUnverified == true;
+                sb.AppendLine($"const HOT_RELOAD = {{ enabled: {(hotReloadEnabled ? "true" : "false")}, intervalMs: {hotReloadInterval}, allowUnverified: {(allowUnverified ? "true" : "false")} }};");
+
+                var safeModeChord = FormatJavaScriptStringArray(ParseModifierChord(manifest.Settings?.SafeModeChord));
+                var crashLoopThreshold = Math.Max(manifest.Settings?.CrashLoopThreshold ?? ManifestConstants.DefaultCrashLoopThreshold, 0);
+                sb.AppendLine($"const SAFE_MODE = {{ chord: {safeModeChord}, crashLoopThreshold: {crashLoopThreshold} }};");
+
+                var compatibilityPolicy = (manifest.Settings?.CompatibilityPolicy ?? CompatibilityPolicy.Skip).ToString().ToLowerInvariant();
+                sb.AppendLine($"const COMPATIBILITY = {{ policy: '{compatibilityPolicy}' }};");
+                var slowModThreshold = Math.Max(manifest.Settings?.SlowModThresholdMs ?? ManifestConstants.DefaultSlowModThresholdMs, 0);
+                sb.AppendLine($"const PROFILING = {{ slowModThresholdMs: {slowModThreshold} }};");
+                var modErrorThreshold = Math.Max(manifest.Settings?.ModErrorThreshold ?? ManifestConstants.DefaultModErrorThreshold, 0);
+                sb.AppendLine($"const ERROR_BOUNDARY = {{ threshold: {modErrorThreshold} }};");
+                sb.AppendLine($"const MOD_RUNTIME = {{ filename: '{ManifestConstants.ModRuntimeFilename}', version: '{ManifestConstants.ModRuntimeVersion}' }};");
+                sb.AppendLine();
+
+                sb.AppendLine("const modsToLoad = [");
                 foreach (var mod in enabledMods)
                 {
                     // Escape filename for JavaScript string
                     var escapedFilename = EscapeJavaScriptString(mod.Filename);
-                    sb.AppendLine($"    {{ filename: '{escapedFilename}', id: '{EscapeJavaScriptString(mod.Id)}' }},");
+                    var urlScopes = FormatJavaScriptStringArray(mod.UrlScopes);
+                    var config = mod.Config?.Count > 0
+                        ? $", config: {JsonSerializer.Serialize(mod.Config, ConfigJsonOptions)}"
+                        : string.Empty;
+                    var compatibility = string.IsNullOrWhiteSpace(mod.Compatibility)
+                        ? string.Empty
+                        : $", compatibility: '{EscapeJavaScriptString(mod.Compatibility.Trim())}'";
+                    var lastKnownCompatible = string.IsNullOrWhiteSpace(mod.LastKnownCompatibleVivaldi)
+                        ? string.Empty
+                        : $", lastKnownCompatible: '{EscapeJavaScriptString(mod.LastKnownCompatibleVivaldi.Trim())}'";
+                    var sha256 = FormatChecksum(mod);
+                    sb.AppendLine($"  {{ filename: '{escapedFilename}', id: '{EscapeJavaScriptString(mod.Id)}', urlScopes: {urlScopes}{config}{compatibility}{lastKnownCompatible}{sha256} }},");
                 }
-                sb.AppendLine("  ];");
+                sb.AppendLine("];");
                 sb.AppendLine();
 
-                sb.AppendLine("  let loadedMods = 0;");
-                sb.AppendLine("  let failedMods = 0;");
-                sb.AppendLine();
-
-                sb.AppendLine("  try {");
-                sb.AppendLine("    for (const mod of modsToLoad) {");
-                sb.AppendLine("      try {");
-                sb.AppendLine("        console.log(`Loading mod: ${mod.filename}`);");
-                sb.AppendLine("        await import(`./mods/${mod.filename}`);");
-                sb.AppendLine("        loadedMods++;");
-                sb.AppendLine("        console.log(`Successfully loaded mod: ${mod.filename}`);");
-                sb.AppendLine("      } catch (error) {");
-                sb.AppendLine("        failedMods++;");
-                sb.AppendLine("        console.error(`Failed to load mod '${mod.filename}':`, error);");
-                sb.AppendLine("      }");
-                sb.AppendLine("    }");
-                sb.AppendLine();
-                sb.AppendLine("    console.log(`Mod loading complete: ${loadedMods} loaded, ${failedMods} failed`);");
-                sb.AppendLine("  } catch (error) {");
-                sb.AppendLine("    console.error('Error during mod loading:', error);");
-                sb.AppendLine("  }");
+                // Registry, load report and import loop shared by every generated loader
+                sb.Append(LoaderRuntimeScript.Value);
             }
             else
             {
+                sb.AppendLine("(async function loadMods() {");
+                sb.AppendLine("  console.log('Vivaldi Mod Manager: Starting mod loading...');");
+                sb.AppendLine("  console.log(`Loader version: ${LOADER_VERSION}, Generated: ${GENERATED_AT}`);");
+                sb.AppendLine();
                 sb.AppendLine("  try {");
                 sb.AppendLine("    console.log('No enabled mods to load');");
                 sb.AppendLine("  } catch (error) {");
                 sb.AppendLine("    console.error('Error in loader:', error);");
                 sb.AppendLine("  }");
+                sb.AppendLine("})().catch(error => {");
+                sb.AppendLine("  console.error('Critical error in mod loader:', error);");
+                sb.AppendLine("});");
             }
 
-            sb.AppendLine("})().catch(error => {");
-            sb.AppendLine("  console.error('Critical error in mod loader:', error);");
-            sb.AppendLine("});");
-
             var jsContent = sb.ToString();
             _logger.LogDebug("Generated JavaScript content with {Length} characters", jsContent.Length);
 
@@ -501,6 +529,119 @@ private static string EscapeJavaScriptString(string input)
             .Replace("\t", "\\t");  // Escape tabs
     }
 
+    /// <summary>
+    /// Formats the checksum of a mod as the <c>sha256</c> property the loader verifies before importing the file.
+    /// </summary>
+    /// <param name="mod">The mod.</param>
+    /// <returns>
+    /// The property with a leading comma, or an empty string when the mod is a package or has no valid SHA256 checksum.
+    /// </returns>
+    private string FormatChecksum(ModInfo mod)
+    {
+        var checksum = mod.Checksum?.Trim() ?? string.Empty;
+        if (checksum.Length == 0)
+        {
+            return string.Empty;
+        }
+
+        if (mod.IsPackage())
+        {
+            // The loader verifies single files only: the modules of a package are imported from their files
+            _logger.LogDebug("Mod {ModId} is a package, its checksum is not passed to the loader", mod.Id);
+            return string.Empty;
+        }
+
+        if (checksum.Length != 64 || !checksum.All(Uri.IsHexDigit))
+        {
+            _logger.LogWarning("Mod {ModId} has a checksum that is not a SHA256 hash, its file will not be verified", mod.Id);
+            return string.Empty;
+        }
+
+        return $", sha256: '{checksum.ToLowerInvariant()}'";
+    }
+
+    /// <summary>
+    /// Formats a list of strings as a JavaScript array literal of escaped single-quoted strings.
+    /// </summary>
+    /// <param name="values">The values to format.</param>
+    /// <returns>The array literal, or <c>[]</c> when there are no values.</returns>
+    private static string FormatJavaScriptStringArray(IEnumerable<string>? values)
+    {
+        var items = (values ?? Enumerable.Empty<string>())
+            .Where(v => !string.IsNullOrWhiteSpace(v))
+            .Select(v => $"'{EscapeJavaScriptString(v.Trim())}'");
+
+        return $"[{string.Join(", ", items)}]";
+    }
+
+    /// <summary>
+    /// Creates the serializer options used to embed per-mod config as a JavaScript object literal.
+    /// </summary>
+    /// <returns>Options that escape everything outside Basic Latin, and braces, inside strings.</returns>
+    private static JsonSerializerOptions CreateConfigJsonOptions()
+    {
+        var encoderSettings = new TextEncoderSettings(UnicodeRanges.BasicLatin);
+        encoderSettings.ForbidCharacters('{', '}');
+
+        return new JsonSerializerOptions
+        {
+            Encoder = JavaScriptEncoder.Create(encoderSettings)
+        };
+    }
+
+    /// <summary>
+    /// Parses a modifier chord such as <c>Ctrl+Shift</c> into the lower-case modifier names used by the loader runtime.
+    /// </summary>
+    /// <param name="chord">The chord from the manifest settings.</param>
+    /// <returns>The modifier names, or an empty list when the chord is empty or invalid.</returns>
+    private List<string> ParseModifierChord(string? chord)
+    {
+        if (string.IsNullOrWhiteSpace(chord))
+        {
+            return new List<string>();
+        }
+
+        var modifiers = new List<string>();
+        foreach (var part in chord.Split('+', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        {
+            var modifier = part.ToLowerInvariant() switch
+            {
+                "ctrl" or "control" => "ctrl",
+                "shift" => "shift",
+                "alt" or "option" => "alt",
+                "meta" or "cmd" or "command" or "win" => "meta",
+                _ => null
+            };
+
+            if (modifier == null)
+            {
+                _logger.LogWarning("Ignoring Safe Mode chord '{Chord}': '{Key}' is not a modifier key", chord, part);
+                return new List<string>();
+            }
+
+            if (!modifiers.Contains(modifier))
+            {
+                modifiers.Add(modifier);
+            }
+        }
+
+        return modifiers;
+    }
+
+    /// <summary>
+    /// Reads a JavaScript template embedded in this assembly.
+    /// </summary>
+    /// <param name="resourceName">The manifest resource name of the script.</param>
+    /// <returns>The script content.</returns>
+    /// <exception cref="LoaderGenerationException">Thrown when the resource is missing from the assembly.</exception>
+    private static string ReadEmbeddedScript(string resourceName)
+    {
+        using var stream = typeof(LoaderService).Assembly.GetManifestResourceStream(resourceName)
+            ?? throw new LoaderGenerationException($"Embedded loader script '{resourceName}' was not found");
+        using var reader = new StreamReader(stream, Encoding.UTF8);
+        return reader.ReadToEnd();
+    }
+
     /// <summary>
     /// Generates a backup path for a loader file.
     /// </summary>
@@ -0,0 +1,72 @@
+using System.Text.Json;
+using Microsoft.Extensions.Logging;
+using VivaldiModManager.Core.Constants;
+
+namespace VivaldiModManager.Core.Services;
+
+/// <summary>
+/// Implementation of <see cref="IModPackageService"/> that copies mod packages on disk.
+/// </summary>
+public class ModPackageService : IModPackageService
+{
+    private readonly ILogger<ModPackageService> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ModPackageService"/> class.
+    /// </summary>
+    /// <param name="logger">The logger instance.</param>
+    public ModPackageService(ILogger<ModPackageService> logger)
+    {
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public void CopyPackage(string sourceDirectory, string destinationDirectory)
+    {
+        if (string.IsNullOrWhiteSpace(sourceDirectory))
+        {
+            throw new ArgumentException("Source directory cannot be null or empty.", nameof(sourceDirectory));
+        }
+
+        if (string.IsNullOrWhiteSpace(destinationDirectory))
+        {
+            throw new ArgumentException("Destination directory cannot be null or empty.", nameof(destinationDirectory));
+        }
+
+        if (!Directory.Exists(sourceDirectory))
+        {
+            throw new DirectoryNotFoundException($"Package directory not found: {sourceDirectory}");
+        }
+
+        _logger.LogDebug("Copying mod package from {SourceDirectory} to {DestinationDirectory}", sourceDirectory, destinationDirectory);
+
+        // Replace the whole package so files removed from the library do not linger in Vivaldi
+        if (Directory.Exists(destinationDirectory))
+        {
+            Directory.Delete(destinationDirectory, recursive: true);
+        }
+
+        var files = new List<string>();
+        foreach (var sourcePath in Directory.EnumerateFiles(sourceDirectory, "*", SearchOption.AllDirectories))
+        {
+            var relativePath = Path.GetRelativePath(sourceDirectory, sourcePath);
+            if (relativePath == ManifestConstants.PackageFileListingFilename)
+            {
+                continue;
+            }
+
+            var destinationPath = Path.Combine(destinationDirectory, relativePath);
+            Directory.CreateDirectory(Path.GetDirectoryName(destinationPath)!);
+            File.Copy(sourcePath, destinationPath, overwrite: true);
+            files.Add(relativePath.Replace(Path.DirectorySeparatorChar, '/'));
+        }
+
+        files.Sort(StringComparer.Ordinal);
+        Directory.CreateDirectory(destinationDirectory);
+        File.WriteAllText(
+            Path.Combine(destinationDirectory, ManifestConstants.PackageFileListingFilename),
+            JsonSerializer.Serialize(files));
+
+        _logger.LogDebug("Copied {Count} files of mod package {DestinationDirectory}", files.Count, destinationDirectory);
+    }
+}
@@ -3,6 +3,8 @@
 using System.Text.Json;
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
+using VivaldiModManager.Core.Constants;
+using VivaldiModManager.Core.Extensions;
 using VivaldiModManager.Core.Models;
 using VivaldiModManager.Core.Services;
 using VivaldiModManager.Service.Configuration;
@@ -21,6 +23,7 @@ public class AutoHealService : IHostedService, IDisposable
     private readonly IVivaldiService _vivaldiService;
     private readonly ILoaderService _loaderService;
     private readonly IInjectionService _injectionService;
+    private readonly IModPackageService _modPackageService;
     private readonly FileSystemMonitorService _fileSystemMonitor;
     private readonly IntegrityCheckService _integrityCheckService;
 
@@ -84,6 +87,7 @@ public class AutoHealService : IHostedService, IDisposable
         IVivaldiService vivaldiService,
         ILoaderService loaderService,
         IInjectionService injectionService,
+        IModPackageService modPackageService,
         FileSystemMonitorService fileSystemMonitor,
         IntegrityCheckService integrityCheckService)
     {
@@ -93,6 +97,7 @@ public class AutoHealService : IHostedService, IDisposable
         _vivaldiService = vivaldiService ?? throw new ArgumentNullException(nameof(vivaldiService));
         _loaderService = loaderService ?? throw new ArgumentNullException(nameof(loaderService));
         _injectionService = injectionService ?? throw new ArgumentNullException(nameof(injectionService));
+        _modPackageService = modPackageService ?? throw new ArgumentNullException(nameof(modPackageService));
         _fileSystemMonitor = fileSystemMonitor ?? throw new ArgumentNullException(nameof(fileSystemMonitor));
         _integrityCheckService = integrityCheckService ?? throw new ArgumentNullException(nameof(integrityCheckService));
 
@@ -464,6 +469,18 @@ private async Task PerformHealAsync(VivaldiInstallation installation, ManifestDa
                 var sourcePath = Path.Combine(modsRootPath, mod.Filename);
                 var targetPath = Path.Combine(modsTargetDir, mod.Filename);
 
+                if (mod.IsPackage())
+                {
+                    if (!File.Exists(Path.Combine(sourcePath, ManifestConstants.PackageManifestFilename)))
+                    {
+                        _logger.LogWarning("Mod package not found: {FileName}", mod.Filename);
+                        continue;
+                    }
+
+                    _modPackageService.CopyPackage(sourcePath, targetPath);
+                    continue;
+                }
+
                 if (!File.Exists(sourcePath))
                 {
                     _logger.LogWarning("Mod file not found: {FileName}", mod.Filename);
@@ -1,5 +1,7 @@
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
+using VivaldiModManager.Core.Constants;
+using VivaldiModManager.Core.Extensions;
 using VivaldiModManager.Core.Models;
 using VivaldiModManager.Core.Services;
 using VivaldiModManager.Service.Configuration;
@@ -318,7 +320,10 @@ private async Task CheckInstallationIntegrityAsync(VivaldiInstallation installat
                     if (!string.IsNullOrWhiteSpace(mod.Filename))
                     {
                         var modPath = Path.Combine(modsPath, mod.Filename);
-                        if (!File.Exists(modPath))
+                        var exists = mod.IsPackage()
+                            ? File.Exists(Path.Combine(modPath, ManifestConstants.PackageManifestFilename))
+                            : File.Exists(modPath);
+                        if (!exists)
                         {
                             violations.Add($"Enabled mod file not found: {mod.Filename}");
                         }
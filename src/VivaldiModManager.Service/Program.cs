@@ -58,6 +58,7 @@ public static async Task<int> Main(string[] args)
                 services.AddSingleton<IInjectionService, InjectionService>();
                 services.AddSingleton<ILoaderService, LoaderService>();
                 services.AddSingleton<IHashService, HashService>();
+                services.AddSingleton<IModPackageService, ModPackageService>();
 
                 // Register Safe Mode Manager
                 services.AddSingleton<SafeModeManager>();
@@ -52,6 +52,7 @@ private static IHostBuilder CreateHostBuilder()
                 services.AddTransient<IManifestService, ManifestService>();
                 services.AddTransient<ILoaderService, LoaderService>();
                 services.AddTransient<IHashService, HashService>();
+                services.AddTransient<IModPackageService, ModPackageService>();
 
                 // Register UI services
                 services.AddTransient<IDialogService, DialogService>();
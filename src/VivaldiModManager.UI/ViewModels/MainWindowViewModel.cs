@@ -28,6 +28,7 @@ public partial class MainWindowViewModel : ViewModelBase
     private readonly IManifestService _manifestService;
     private readonly ILoaderService _loaderService;
     private readonly IHashService _hashService;
+    private readonly IModPackageService _modPackageService;
     private readonly IDialogService _dialogService;
     private readonly ISystemTrayService _systemTrayService;
     private readonly ILogger<MainWindowViewModel> _logger;
@@ -67,6 +68,7 @@ public partial class MainWindowViewModel : ViewModelBase
         IManifestService manifestService,
         ILoaderService loaderService,
         IHashService hashService,
+        IModPackageService modPackageService,
         IDialogService dialogService,
         ISystemTrayService systemTrayService,
         ILogger<MainWindowViewModel> logger,
@@ -78,6 +80,7 @@ public partial class MainWindowViewModel : ViewModelBase
         _manifestService = manifestService ?? throw new ArgumentNullException(nameof(manifestService));
         _loaderService = loaderService ?? throw new ArgumentNullException(nameof(loaderService));
         _hashService = hashService ?? throw new ArgumentNullException(nameof(hashService));
+        _modPackageService = modPackageService ?? throw new ArgumentNullException(nameof(modPackageService));
         _dialogService = dialogService ?? throw new ArgumentNullException(nameof(dialogService));
         _systemTrayService = systemTrayService ?? throw new ArgumentNullException(nameof(systemTrayService));
         _logger = logger ?? throw new ArgumentNullException(nameof(logger));
@@ -191,13 +194,19 @@ private async Task InjectModsAsync()
                 foreach (var mod in enabledMods)
                 {
                     var sourcePath = Path.Combine(sourceModsDirectory, mod.Filename);
-                    if (!File.Exists(sourcePath))
+                    if (!ModExists(sourcePath, mod))
                     {
                         _logger.LogWarning("Mod file missing from library: {ModFile}", sourcePath);
                         continue;
                     }
 
                     var destinationPath = Path.Combine(modsDirectory, mod.Filename);
+                    if (mod.IsPackage())
+                    {
+                        _modPackageService.CopyPackage(sourcePath, destinationPath);
+                        continue;
+                    }
+
                     Directory.CreateDirectory(Path.GetDirectoryName(destinationPath)!);
                     File.Copy(sourcePath, destinationPath, overwrite: true);
                 }
@@ -304,6 +313,29 @@ private async Task AddModAsync()
         await RefreshAllInstallationStatusesAsync();
     }
 
+    [RelayCommand]
+    private async Task AddModFolderAsync()
+    {
+        var folderPath = await _dialogService.ShowFolderBrowserDialogAsync("Select Mod Package Folder");
+
+        if (string.IsNullOrEmpty(folderPath))
+        {
+            return;
+        }
+
+        await ExecuteAsync(async () =>
+        {
+            var result = await AddModFromFolderInternalAsync(folderPath);
+            if (!string.IsNullOrEmpty(result))
+            {
+                StatusText = $"Added mod '{result}' successfully";
+                _systemTrayService.ShowNotification("Vivaldi Mod Manager", $"Added mod: {result}", NotificationIcon.Info);
+            }
+        }, "Adding mod...");
+
+        await RefreshAllInstallationStatusesAsync();
+    }
+
     [RelayCommand]
     private async Task DropFilesAsync(string[] filePaths)
     {
@@ -362,7 +394,11 @@ private async Task RemoveModAsync()
 
             try
             {
-                if (File.Exists(modPath))
+                if (mod.IsPackage() && Directory.Exists(modPath))
+                {
+                    Directory.Delete(modPath, recursive: true);
+                }
+                else if (File.Exists(modPath))
                 {
                     File.Delete(modPath);
                 }
@@ -754,7 +790,7 @@ private async Task UpdateInjectionStatusAsync(VivaldiInstallation installation)
                 {
                     foreach (var mod in enabledMods)
                     {
-                        if (!File.Exists(Path.Combine(modsDirectory, mod.Filename)))
+                        if (!ModExists(Path.Combine(modsDirectory, mod.Filename), mod))
                         {
                             missingSet.Add(mod.Id);
                         }
@@ -921,6 +957,13 @@ private static string GetInjectionBaseDirectory(IReadOnlyDictionary<string, stri
         return directory;
     }
 
+    private static bool ModExists(string path, ModInfo mod)
+    {
+        return mod.IsPackage()
+            ? File.Exists(Path.Combine(path, ManifestConstants.PackageManifestFilename))
+            : File.Exists(path);
+    }
+
     private static string GenerateUniqueFileName(string directory, string fileName)
     {
         var baseName = Path.GetFileNameWithoutExtension(fileName);
@@ -928,7 +971,7 @@ private static string GenerateUniqueFileName(string directory, string fileName)
         var candidate = fileName;
         var counter = 1;
 
-        while (File.Exists(Path.Combine(directory, candidate)))
+        while (File.Exists(Path.Combine(directory, candidate)) || Directory.Exists(Path.Combine(directory, candidate)))
         {
             candidate = $"{baseName}_{counter}{extension}";
             counter++;
@@ -967,38 +1010,94 @@ private static string GenerateUniqueFileName(string directory, string fileName)
             File.Copy(filePath, destinationPath, overwrite: false);
 
             var checksum = await _hashService.ComputeFileHashAsync(destinationPath);
-            var nextOrder = _manifest!.Mods.Any() ? _manifest.Mods.Max(m => m.Order) + 1 : 1;
+            return await AddImportedModAsync(targetFileName, new FileInfo(destinationPath).Length, checksum);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to add mod from {FilePath}", filePath);
+            await _dialogService.ShowErrorAsync($"Failed to add mod: {ex.Message}");
+            return null;
+        }
+    }
 
-            var newMod = new ModInfo
+    private async Task<string?> AddModFromFolderInternalAsync(string folderPath)
+    {
+        try
+        {
+            await EnsureManifestLoadedAsync();
+
+            if (!Directory.Exists(folderPath))
             {
-                Id = Guid.NewGuid().ToString("N"),
-                Filename = targetFileName,
-                Enabled = true,
-                Order = nextOrder,
-                Version = string.Empty,
-                FileSize = new FileInfo(destinationPath).Length,
-                Notes = $"Imported on {DateTimeOffset.Now:yyyy-MM-dd}",
-                LastModified = DateTimeOffset.UtcNow,
-                Checksum = checksum,
-                CreatedAt = DateTimeOffset.UtcNow,
-                UpdatedAt = DateTimeOffset.UtcNow
-            };
-
-            _manifest.Mods.Add(newMod);
-            await SaveManifestAsync();
+                await _dialogService.ShowErrorAsync($"Folder not found: {folderPath}");
+                return null;
+            }
+
+            if (!File.Exists(Path.Combine(folderPath, ManifestConstants.PackageManifestFilename)))
+            {
+                await _dialogService.ShowErrorAsync(
+                    $"Only folders with a {ManifestConstants.PackageManifestFilename} can be imported as mod packages.");
+                return null;
+            }
 
-            RebuildModCollection();
+            var folderName = new DirectoryInfo(folderPath).Name;
+            if (folderName.EndsWith(ManifestConstants.ModFileExtension, StringComparison.OrdinalIgnoreCase))
+            {
+                await _dialogService.ShowErrorAsync(
+                    $"Mod package folders cannot end in {ManifestConstants.ModFileExtension}; rename the folder first.");
+                return null;
+            }
 
-            return newMod.Filename;
+            Directory.CreateDirectory(_dataDirectory);
+
+            var modsRoot = ResolveModsRootPath();
+            Directory.CreateDirectory(modsRoot);
+
+            var targetFolderName = GenerateUniqueFileName(modsRoot, folderName);
+            var destinationPath = Path.Combine(modsRoot, targetFolderName);
+
+            _modPackageService.CopyPackage(folderPath, destinationPath);
+
+            var size = Directory.EnumerateFiles(destinationPath, "*", SearchOption.AllDirectories)
+                .Sum(path => new FileInfo(path).Length);
+
+            // Packages are not verified by the loader, so they get no checksum
+            return await AddImportedModAsync(targetFolderName, size, string.Empty);
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Failed to add mod from {FilePath}", filePath);
+            _logger.LogError(ex, "Failed to add mod package from {FolderPath}", folderPath);
             await _dialogService.ShowErrorAsync($"Failed to add mod: {ex.Message}");
             return null;
         }
     }
 
+    private async Task<string> AddImportedModAsync(string filename, long fileSize, string checksum)
+    {
+        var nextOrder = _manifest!.Mods.Any() ? _manifest.Mods.Max(m => m.Order) + 1 : 1;
+
+        var newMod = new ModInfo
+        {
+            Id = Guid.NewGuid().ToString("N"),
+            Filename = filename,
+            Enabled = true,
+            Order = nextOrder,
+            Version = string.Empty,
+            FileSize = fileSize,
+            Notes = $"Imported on {DateTimeOffset.Now:yyyy-MM-dd}",
+            LastModified = DateTimeOffset.UtcNow,
+            Checksum = checksum,
+            CreatedAt = DateTimeOffset.UtcNow,
+            UpdatedAt = DateTimeOffset.UtcNow
+        };
+
+        _manifest.Mods.Add(newMod);
+        await SaveManifestAsync();
+
+        RebuildModCollection();
+
+        return newMod.Filename;
+    }
+
     partial void OnSelectedModChanged(ModItemViewModel? value)
     {
         RemoveModCommand.NotifyCanExecuteChanged();
@@ -238,6 +238,19 @@ public void Touch_WithNullMod_ThrowsArgumentNullException()
             ((ModInfo)null!).Touch());
     }
 
+    [Theory]
+    [InlineData("easyFiles", true)]
+    [InlineData("easyFiles.js", false)]
+    [InlineData("EasyFiles.JS", false)]
+    public void IsPackage_ChecksFilenameExtension(string filename, bool expected)
+    {
+        // Arrange
+        var mod = new ModInfo { Filename = filename };
+
+        // Act & Assert
+        mod.IsPackage().Should().Be(expected);
+    }
+
     [Fact]
     public void MarkAsVerified_UpdatesInstallationTimestamp()
     {
@@ -352,6 +365,9 @@ public void Clone_CreatesNewModWithSameProperties()
             Checksum = "abc123",
             Version = "1.0.0",
             UrlScopes = new List<string> { "*://example.com/*" },
+            Config = new Dictionary<string, object> { ["openDelay"] = 150 },
+            Compatibility = "6.0+",
+            LastKnownCompatibleVivaldi = "7.1",
             FileSize = 1024,
             IsValidated = true
         };
@@ -370,6 +386,10 @@ public void Clone_CreatesNewModWithSameProperties()
         clonedMod.Version.Should().Be(originalMod.Version);
         clonedMod.UrlScopes.Should().BeEquivalentTo(originalMod.UrlScopes);
         clonedMod.UrlScopes.Should().NotBeSameAs(originalMod.UrlScopes);
+        clonedMod.Config.Should().BeEquivalentTo(originalMod.Config);
+        clonedMod.Config.Should().NotBeSameAs(originalMod.Config);
+        clonedMod.Compatibility.Should().Be(originalMod.Compatibility);
+        clonedMod.LastKnownCompatibleVivaldi.Should().Be(originalMod.LastKnownCompatibleVivaldi);
         clonedMod.FileSize.Should().Be(originalMod.FileSize);
         clonedMod.IsValidated.Should().Be(originalMod.IsValidated);
     }
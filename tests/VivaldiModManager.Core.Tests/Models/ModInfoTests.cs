@@ -25,6 +25,8 @@ public void ModInfo_DefaultConstructor_SetsDefaultValues()
         modInfo.Checksum.Should().BeEmpty();
         modInfo.Version.Should().BeEmpty();
         modInfo.UrlScopes.Should().NotBeNull().And.BeEmpty();
+        modInfo.Config.Should().NotBeNull().And.BeEmpty();
+        modInfo.Compatibility.Should().BeNull();
         modInfo.LastKnownCompatibleVivaldi.Should().BeNull();
         modInfo.FileSize.Should().Be(0);
         modInfo.IsValidated.Should().BeFalse();
@@ -139,4 +141,26 @@ public void ModInfo_WithComplexUrlScopes_SerializesCorrectly()
         deserializedModInfo!.UrlScopes.Should().BeEquivalentTo(modInfo.UrlScopes);
         deserializedModInfo.UrlScopes.Should().HaveCount(3);
     }
+
+    [Fact]
+    public void ModInfo_WithConfig_DeserializesFromManifestJson()
+    {
+        // Arrange
+        const string json = """
+            {
+              "id": "test-id",
+              "filename": "test.js",
+              "config": { "openDelay": 150, "autoClose": false, "nameKey": "files" }
+            }
+            """;
+
+        // Act
+        var modInfo = JsonSerializer.Deserialize<ModInfo>(json);
+
+        // Assert
+        modInfo.Should().NotBeNull();
+        modInfo!.Config.Should().HaveCount(3);
+        modInfo.Config.Should().ContainKeys("openDelay", "autoClose", "nameKey");
+        JsonSerializer.Serialize(modInfo.Config).Should().Be("{\"openDelay\":150,\"autoClose\":false,\"nameKey\":\"files\"}");
+    }
 }
\ No newline at end of file
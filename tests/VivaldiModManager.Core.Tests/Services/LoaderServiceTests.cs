@@ -122,6 +122,29 @@ public async Task GenerateLoaderAsync_WithValidManifest_GeneratesLoaderSuccessfu
         content.Should().NotContain("mod2.js"); // Disabled mod
     }
 
+    [Fact]
+    public async Task GenerateLoaderAsync_WritesModRuntimeNextToLoader()
+    {
+        // Arrange
+        var manifest = CreateTestManifest();
+        var outputPath = Path.Combine(_tempDirectory, "loader.js");
+        var runtimePath = Path.Combine(_tempDirectory, ManifestConstants.ModRuntimeFilename);
+
+        // Act
+        await _loaderService.GenerateLoaderAsync(manifest, outputPath);
+
+        // Assert
+        File.Exists(runtimePath).Should().BeTrue();
+        var runtime = await File.ReadAllTextAsync(runtimePath);
+        runtime.Should().Contain($"export const VERSION = '{ManifestConstants.ModRuntimeVersion}';");
+        runtime.Should().Contain("export const waitForElement");
+        runtime.Should().Contain("export const createElement");
+
+        var loader = await File.ReadAllTextAsync(outputPath);
+        loader.Should().Contain($"const MOD_RUNTIME = {{ filename: '{ManifestConstants.ModRuntimeFilename}', version: '{ManifestConstants.ModRuntimeVersion}' }};");
+        loader.Should().Contain("get runtime()");
+    }
+
     [Fact]
     public async Task GenerateLoaderAsync_WithEmptyModsList_GeneratesLoaderWithNoMods()
     {
@@ -400,6 +423,402 @@ public void GenerateLoaderJavaScript_WithEnabledMods_GeneratesValidJavaScript()
         result.Should().Contain("catch");
     }
 
+    [Fact]
+    public void GenerateLoaderJavaScript_WithEnabledMods_PublishesModRegistry()
+    {
+        // Arrange
+        var manifest = CreateTestManifest();
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("window.__vmm = registry.api");
+        result.Should().Contain("getReport");
+        result.Should().Contain("subscribe(listener");
+        result.Should().Contain("PENDING: 'pending'");
+        result.Should().Contain("LOADED: 'loaded'");
+        result.Should().Contain("FAILED: 'failed'");
+        result.Should().Contain("SKIPPED: 'skipped'");
+        result.Should().Contain("{ filename: 'mod1.js', id: 'mod1', urlScopes: [] }");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithEnabledMods_PassesContentValidation()
+    {
+        // Arrange
+        var manifest = CreateTestManifest();
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        _loaderService.ValidateLoaderContent(result).Should().BeTrue();
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithUrlScopes_EmbedsScopesPerMod()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Mods = new List<ModInfo>
+            {
+                new()
+                {
+                    Id = "scoped",
+                    Filename = "scoped.js",
+                    Enabled = true,
+                    Order = 1,
+                    UrlScopes = new List<string> { "https://*.github.com/*", "https://example.com/it's/*", " " }
+                },
+                new() { Id = "global", Filename = "global.js", Enabled = true, Order = 2 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("id: 'scoped', urlScopes: ['https://*.github.com/*', 'https://example.com/it\\'s/*'] }");
+        result.Should().Contain("id: 'global', urlScopes: [] }");
+        result.Should().Contain("getContext(moduleUrlOrId)");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithEnabledMods_SupportsSetupAndTeardown()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "mod1", Filename = "mod1.js", Enabled = true, Order = 1 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("getLifecycle(module)");
+        result.Should().Contain("lifecycle.setup(");
+        result.Should().Contain("lifecycle.teardown(");
+        result.Should().Contain("DISABLED: 'disabled'");
+        result.Should().Contain("disable(idOrFilename)");
+        result.Should().Contain("enable(idOrFilename)");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_ByDefault_DisablesHotReload()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "mod1", Filename = "mod1.js", Enabled = true, Order = 1 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("const HOT_RELOAD = { enabled: false, intervalMs: 1000, allowUnverified: false };");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithHotReloadEnabled_EmbedsHotReloadSettings()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Settings = new GlobalSettings { HotReloadEnabled = true, HotReloadIntervalMs = 500 },
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "mod1", Filename = "mod1.js", Enabled = true, Order = 1 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("const HOT_RELOAD = { enabled: true, intervalMs: 500, allowUnverified: false };");
+        result.Should().Contain("startHotReload()");
+        result.Should().Contain("?revision=");
+        _loaderService.ValidateLoaderContent(result).Should().BeTrue();
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithHotReloadIntervalBelowMinimum_ClampsInterval()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Settings = new GlobalSettings { HotReloadEnabled = true, HotReloadIntervalMs = 10 },
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "mod1", Filename = "mod1.js", Enabled = true, Order = 1 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain($"intervalMs: {ManifestConstants.MinHotReloadIntervalMs}, ");
+    }
+
+    [Theory]
+    [InlineData(true, "true")]
+    [InlineData(false, "false")]
+    public void GenerateLoaderJavaScript_WithHotReloadAllowUnverified_EmbedsItOnlyWhenHotReloadIsOn(bool hotReloadEnabled, string expected)
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Settings = new GlobalSettings { HotReloadEnabled = hotReloadEnabled, HotReloadAllowUnverified = true },
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "mod1", Filename = "mod1.js", Enabled = true, Order = 1 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain($"allowUnverified: {expected} }};");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithHotReloadAndNoEnabledMods_StillEmitsRuntime()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Settings = new GlobalSettings { HotReloadEnabled = true }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("const modsToLoad = [");
+        result.Should().Contain("startHotReload()");
+        result.Should().NotContain("No enabled mods to load");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_ByDefault_EmbedsSafeModeSettings()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "mod1", Filename = "mod1.js", Enabled = true, Order = 1 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("const SAFE_MODE = { chord: ['ctrl', 'shift'], crashLoopThreshold: 3 };");
+        result.Should().Contain("detectSafeModeChord(SAFE_MODE.chord)");
+        result.Should().Contain("crashLoopGuard.shouldSkip(mod.id)");
+    }
+
+    [Theory]
+    [InlineData("Control + Alt", 5, "chord: ['ctrl', 'alt'], crashLoopThreshold: 5")]
+    [InlineData("cmd+shift+Cmd", 1, "chord: ['meta', 'shift'], crashLoopThreshold: 1")]
+    [InlineData("Ctrl+K", 3, "chord: [], crashLoopThreshold: 3")]
+    [InlineData("", 0, "chord: [], crashLoopThreshold: 0")]
+    [InlineData("Shift", -2, "chord: ['shift'], crashLoopThreshold: 0")]
+    public void GenerateLoaderJavaScript_WithSafeModeSettings_NormalizesChordAndThreshold(
+        string chord, int threshold, string expected)
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Settings = new GlobalSettings { SafeModeChord = chord, CrashLoopThreshold = threshold },
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "mod1", Filename = "mod1.js", Enabled = true, Order = 1 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain($"const SAFE_MODE = {{ {expected} }};");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithModConfig_EmbedsConfigObject()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Mods = new List<ModInfo>
+            {
+                new()
+                {
+                    Id = "configured",
+                    Filename = "configured.js",
+                    Enabled = true,
+                    Order = 1,
+                    Config = new Dictionary<string, object> { ["openDelay"] = 150, ["template"] = "{name}'s" }
+                }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("id: 'configured', urlScopes: [], config: {\"openDelay\":150,\"template\":\"\\u007Bname\\u007D\\u0027s\"} }");
+        result.Should().Contain("config: createModConfig(");
+        _loaderService.ValidateLoaderContent(result).Should().BeTrue();
+    }
+
+    [Theory]
+    [InlineData(CompatibilityPolicy.Skip, "skip")]
+    [InlineData(CompatibilityPolicy.Warn, "warn")]
+    [InlineData(CompatibilityPolicy.Ignore, "ignore")]
+    public void GenerateLoaderJavaScript_WithCompatibilityPolicy_EmbedsPolicy(CompatibilityPolicy policy, string expected)
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Settings = new GlobalSettings { CompatibilityPolicy = policy },
+            Mods = new List<ModInfo> { new() { Id = "mod", Filename = "mod.js", Enabled = true, Order = 1 } }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain($"const COMPATIBILITY = {{ policy: '{expected}' }};");
+        result.Should().Contain("checkCompatibility(mod.id)");
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithCompatibilitySettings_EmbedsRangeAndLastKnownVersion()
+    {
+        // Arrange
+        var manifest = new ManifestData
+        {
+            Mods = new List<ModInfo>
+            {
+                new()
+                {
+                    Id = "pinned",
+                    Filename = "pinned.js",
+                    Enabled = true,
+                    Order = 1,
+                    Compatibility = " 6.5 - 7.1 ",
+                    LastKnownCompatibleVivaldi = "7.1.3624.46"
+                },
+                new() { Id = "plain", Filename = "plain.js", Enabled = true, Order = 2 }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain("id: 'pinned', urlScopes: [], compatibility: '6.5 - 7.1', lastKnownCompatible: '7.1.3624.46' }");
+        result.Should().Contain("id: 'plain', urlScopes: [] }");
+        _loaderService.ValidateLoaderContent(result).Should().BeTrue();
+    }
+
+    [Fact]
+    public void GenerateLoaderJavaScript_WithChecksums_EmbedsValidSha256Hashes()
+    {
+        // Arrange
+        var hash = new string('A', 32) + new string('f', 32);
+        var manifest = new ManifestData
+        {
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "verified", Filename = "verified.js", Enabled = true, Order = 1, Checksum = $" {hash} " },
+                new() { Id = "malformed", Filename = "malformed.js", Enabled = true, Order = 2, Checksum = "not-a-hash" },
+                new() { Id = "unhashed", Filename = "unhashed.js", Enabled = true, Order = 3 },
+                new() { Id = "package", Filename = "package", Enabled = true, Order = 4, Checksum = hash }
+            }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain($"id: 'verified', urlScopes: [], sha256: '{hash.ToLowerInvariant()}' }}");
+        result.Should().Contain("id: 'malformed', urlScopes: [] }");
+        result.Should().Contain("id: 'unhashed', urlScopes: [] }");
+        result.Should().Contain("id: 'package', urlScopes: [] }");
+        _loaderService.ValidateLoaderContent(result).Should().BeTrue();
+    }
+
+    [Theory]
+    [InlineData(null, 200)]
+    [InlineData(500, 500)]
+    [InlineData(0, 0)]
+    [InlineData(-50, 0)]
+    public void GenerateLoaderJavaScript_WithSlowModThreshold_EmbedsProfilingSettings(int? threshold, int expected)
+    {
+        // Arrange
+        var settings = new GlobalSettings();
+        if (threshold.HasValue)
+        {
+            settings.SlowModThresholdMs = threshold.Value;
+        }
+        var manifest = new ManifestData
+        {
+            Settings = settings,
+            Mods = new List<ModInfo> { new() { Id = "mod", Filename = "mod.js", Enabled = true, Order = 1 } }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain($"const PROFILING = {{ slowModThresholdMs: {expected} }};");
+        result.Should().Contain("performance.measure(");
+        result.Should().Contain("startLongTaskProfiling();");
+    }
+
+    [Theory]
+    [InlineData(null, 10)]
+    [InlineData(3, 3)]
+    [InlineData(0, 0)]
+    [InlineData(-1, 0)]
+    public void GenerateLoaderJavaScript_WithModErrorThreshold_EmbedsErrorBoundarySettings(int? threshold, int expected)
+    {
+        // Arrange
+        var settings = new GlobalSettings();
+        if (threshold.HasValue)
+        {
+            settings.ModErrorThreshold = threshold.Value;
+        }
+        var manifest = new ManifestData
+        {
+            Settings = settings,
+            Mods = new List<ModInfo> { new() { Id = "mod", Filename = "mod.js", Enabled = true, Order = 1 } }
+        };
+
+        // Act
+        var result = _loaderService.GenerateLoaderJavaScript(manifest);
+
+        // Assert
+        result.Should().Contain($"const ERROR_BOUNDARY = {{ threshold: {expected} }};");
+        result.Should().Contain("startErrorBoundary();");
+    }
+
     [Fact]
     public void GenerateLoaderJavaScript_WithSpecialCharacters_EscapesCorrectly()
     {
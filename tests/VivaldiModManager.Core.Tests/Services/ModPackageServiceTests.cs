@@ -0,0 +1,71 @@
+using FluentAssertions;
+using Microsoft.Extensions.Logging;
+using Moq;
+using VivaldiModManager.Core.Constants;
+using VivaldiModManager.Core.Services;
+using Xunit;
+
+namespace VivaldiModManager.Core.Tests.Services;
+
+/// <summary>
+/// Unit tests for the <see cref="ModPackageService"/> class.
+/// </summary>
+public class ModPackageServiceTests : IDisposable
+{
+    private readonly ModPackageService _modPackageService;
+    private readonly string _tempDirectory;
+
+    public ModPackageServiceTests()
+    {
+        _modPackageService = new ModPackageService(new Mock<ILogger<ModPackageService>>().Object);
+        _tempDirectory = Path.Combine(Path.GetTempPath(), Guid.NewGuid().ToString());
+        Directory.CreateDirectory(_tempDirectory);
+    }
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_tempDirectory))
+        {
+            Directory.Delete(_tempDirectory, recursive: true);
+        }
+    }
+
+    [Fact]
+    public void Constructor_WithNullLogger_ThrowsArgumentNullException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentNullException>(() => new ModPackageService(null!));
+    }
+
+    [Fact]
+    public void CopyPackage_WithMissingSource_ThrowsDirectoryNotFoundException()
+    {
+        // Act & Assert
+        Assert.Throws<DirectoryNotFoundException>(() =>
+            _modPackageService.CopyPackage(Path.Combine(_tempDirectory, "missing"), Path.Combine(_tempDirectory, "copy")));
+    }
+
+    [Fact]
+    public void CopyPackage_ReplacesPreviousCopyAndListsItsFiles()
+    {
+        // Arrange
+        var source = Path.Combine(_tempDirectory, "library", "easyFiles");
+        var destination = Path.Combine(_tempDirectory, "vivaldi", "easyFiles");
+        Directory.CreateDirectory(Path.Combine(source, "src"));
+        File.WriteAllText(Path.Combine(source, ManifestConstants.PackageManifestFilename), "{}");
+        File.WriteAllText(Path.Combine(source, "src", "main.js"), "export default {};");
+        File.WriteAllText(Path.Combine(source, ManifestConstants.PackageFileListingFilename), "[\"stale.js\"]");
+        Directory.CreateDirectory(destination);
+        File.WriteAllText(Path.Combine(destination, "removed.js"), "");
+
+        // Act
+        _modPackageService.CopyPackage(source, destination);
+
+        // Assert
+        File.ReadAllText(Path.Combine(destination, "src", "main.js")).Should().Be("export default {};");
+        File.Exists(Path.Combine(destination, ManifestConstants.PackageManifestFilename)).Should().BeTrue();
+        File.Exists(Path.Combine(destination, "removed.js")).Should().BeFalse();
+        File.ReadAllText(Path.Combine(destination, ManifestConstants.PackageFileListingFilename))
+            .Should().Be("[\"mod.json\",\"src/main.js\"]");
+    }
+}
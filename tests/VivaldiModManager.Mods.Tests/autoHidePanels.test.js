@@ -0,0 +1,189 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi } from './harness/loader.js';
+
+// Records the panels autoHidePanels opens and closes
+const PANEL_LISTENER_MOD = `
+export default {
+  setup(ctx) {
+    const panels = window.panelsReceived = [];
+    ctx.runtime.events.subscribe('autoHidePanels/panel', ({ action, panel }) => panels.push(\`\${action} \${panel}\`));
+  },
+};
+`;
+
+describe('autoHidePanels.js', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads the mod with real timers, then hands the timers to the test
+   */
+  const start = async (t, config, mods = []) => {
+    session = await startVivaldi({ mods: [...mods, { filename: 'autoHidePanels.js', config }] });
+    assert.equal(session.report.counts.loaded, mods.length + 1);
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    return session.browser;
+  };
+
+  it('opens a panel after the open delay', async (t) => {
+    const browser = await start(t);
+
+    browser.hover(browser.panelButton('PanelBookmarks'));
+    t.mock.timers.tick(279);
+    assert.equal(browser.activePanel, null);
+
+    t.mock.timers.tick(1);
+    assert.equal(browser.activePanel, 'PanelBookmarks');
+  });
+
+  it('does not open a panel when the pointer leaves before the delay', async (t) => {
+    const browser = await start(t);
+
+    browser.hover(browser.panelButton('PanelBookmarks'));
+    t.mock.timers.tick(200);
+    browser.hover(browser.panelButton('PanelBookmarks'), 'mouseleave');
+    t.mock.timers.tick(1000);
+
+    assert.equal(browser.activePanel, null);
+  });
+
+  it('switches between open panels after the shorter switch delay', async (t) => {
+    const browser = await start(t);
+    browser.hover(browser.panelButton('PanelBookmarks'));
+    t.mock.timers.tick(280);
+
+    browser.hover(browser.panelButton('PanelHistory'));
+    t.mock.timers.tick(39);
+    assert.equal(browser.activePanel, 'PanelBookmarks');
+
+    t.mock.timers.tick(1);
+    assert.equal(browser.activePanel, 'PanelHistory');
+  });
+
+  it('opens a panel at once when something is dragged onto its button', async (t) => {
+    const browser = await start(t);
+
+    browser.hover(browser.panelButton('PanelDownloads'), 'dragenter');
+    t.mock.timers.tick(0);
+
+    assert.equal(browser.activePanel, 'PanelDownloads');
+  });
+
+  it('ignores hovers with modifier keys and on the web panel button', async (t) => {
+    const browser = await start(t);
+
+    browser.hover(browser.panelButton('PanelBookmarks'), 'mouseenter', { ctrlKey: true });
+    browser.hover(browser.panelButton('PanelWeb'));
+    t.mock.timers.tick(1000);
+
+    assert.equal(browser.activePanel, null);
+  });
+
+  it('closes an overlay panel after the close delay when the pointer moves to the page', async (t) => {
+    const browser = await start(t);
+    browser.hover(browser.panelButton('PanelBookmarks'));
+    t.mock.timers.tick(280);
+
+    browser.hover(browser.document.getElementById('webview-container'));
+    t.mock.timers.tick(279);
+    assert.equal(browser.activePanel, 'PanelBookmarks');
+
+    t.mock.timers.tick(1);
+    assert.equal(browser.activePanel, null);
+  });
+
+  it('publishes the panels it opens and closes for other mods', async (t) => {
+    const browser = await start(t, undefined, [{ filename: 'panelListener.js', source: PANEL_LISTENER_MOD }]);
+    browser.hover(browser.panelButton('PanelBookmarks'));
+    t.mock.timers.tick(280);
+    browser.hover(browser.document.getElementById('webview-container'));
+    t.mock.timers.tick(280);
+
+    assert.deepEqual(browser.window.panelsReceived, ['open PanelBookmarks', 'close PanelBookmarks']);
+  });
+
+  it('keeps docked panels open unless closeFixed is set', async (t) => {
+    const browser = await start(t);
+    browser.document.getElementById('panels-container').classList.remove('overlay');
+    browser.hover(browser.panelButton('PanelBookmarks'));
+    t.mock.timers.tick(280);
+
+    browser.hover(browser.document.getElementById('webview-container'));
+    t.mock.timers.tick(1000);
+
+    assert.equal(browser.activePanel, 'PanelBookmarks');
+  });
+
+  it('uses the delays from the mod config', async (t) => {
+    const browser = await start(t, { openDelay: 50, closeFixed: true, closeDelay: 10 });
+    browser.document.getElementById('panels-container').classList.remove('overlay');
+
+    browser.hover(browser.panelButton('PanelHistory'));
+    t.mock.timers.tick(50);
+    assert.equal(browser.activePanel, 'PanelHistory');
+
+    browser.hover(browser.document.getElementById('webview-container'));
+    t.mock.timers.tick(10);
+    assert.equal(browser.activePanel, null);
+  });
+
+  it('closes the downloads panel after a download starts', async (t) => {
+    const browser = await start(t);
+    browser.hover(browser.panelButton('PanelDownloads'), 'dragenter');
+    t.mock.timers.tick(0);
+
+    t.mock.method(console, 'log', () => {});
+    await session.chrome.downloads.onCreated.dispatch({ id: 1, filename: 'file.zip' });
+    t.mock.timers.tick(19999);
+    assert.equal(browser.activePanel, 'PanelDownloads');
+
+    t.mock.timers.tick(1);
+    assert.equal(browser.activePanel, null);
+  });
+
+  it('leaves downloads to the focused window', async (t) => {
+    const browser = await start(t);
+    browser.hover(browser.panelButton('PanelDownloads'), 'dragenter');
+    t.mock.timers.tick(0);
+
+    session.chrome.windows.items.splice(0, 1, { id: 1, focused: false }, { id: 2, focused: true });
+    await session.chrome.downloads.onCreated.dispatch({ id: 1, filename: 'file.zip' });
+    t.mock.timers.tick(20000);
+
+    assert.equal(browser.activePanel, 'PanelDownloads');
+  });
+
+  it('turns hover behaviour off and on with its toggleAutoHide command', async (t) => {
+    const browser = await start(t);
+    browser.hover(browser.panelButton('PanelBookmarks'));
+
+    browser.press('Ctrl+Alt+H');
+    t.mock.timers.tick(1000);
+    browser.hover(browser.panelButton('PanelHistory'));
+    t.mock.timers.tick(1000);
+    assert.equal(browser.activePanel, null);
+
+    browser.press('Ctrl+Alt+H');
+    browser.hover(browser.panelButton('PanelHistory'));
+    t.mock.timers.tick(280);
+    assert.equal(browser.activePanel, 'PanelHistory');
+  });
+
+  it('stops reacting to hovers and cancels pending timers on teardown', async (t) => {
+    const browser = await start(t);
+    browser.hover(browser.panelButton('PanelBookmarks'));
+
+    assert.equal(await session.vmm.disable('autoHidePanels'), true);
+    t.mock.timers.tick(1000);
+    browser.hover(browser.panelButton('PanelHistory'));
+    t.mock.timers.tick(1000);
+
+    assert.equal(browser.activePanel, null);
+    assert.equal(session.chrome.downloads.onCreated.hasListeners(), false);
+  });
+});
@@ -0,0 +1,64 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi } from './harness/loader.js';
+
+/**
+ * A mod with the given `@needs` line that records its setup in `window.setupRan`
+ * @param {string} needs - Value of the `@needs` tag
+ */
+const modSource = (needs) => `/**
+ * @needs ${needs}
+ */
+export default {
+  setup(ctx) {
+    (window.setupRan = window.setupRan || []).push(ctx.id);
+  },
+  teardown() {},
+};
+`;
+
+describe('capabilities', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const reasons = () => session.report.mods.map(({ id, status, reason }) => [id, status, reason]);
+
+  it('skips mods that need an API this browser lacks before importing them', async () => {
+    session = await startVivaldi({
+      mods: [
+        { filename: 'images.js', source: modSource('vivaldi.utilities.storeImage, vivaldi.mailPrivate.readFileToBuffer') },
+        { filename: 'scripts.js', source: modSource('chrome.scripting.executeScript\n * @needs chrome.offscreen, vivaldi.notes') },
+        { filename: 'tabs.js', source: modSource('chrome.tabs, vivaldi.tabsPrivate.onWebviewClickCheck') },
+        { filename: 'dependent.js', source: modSource('chroma\n * @requires images.js') },
+      ],
+      beforeLoad: () => delete globalThis.vivaldi.mailPrivate,
+    });
+
+    assert.deepEqual(reasons(), [
+      ['images', 'skipped', 'Missing capability vivaldi.mailPrivate.readFileToBuffer'],
+      ['scripts', 'skipped', 'Missing capabilities chrome.offscreen, vivaldi.notes'],
+      ['tabs', 'loaded', null],
+      ['dependent', 'skipped', 'Requires images.js, which was skipped'],
+    ]);
+    assert.deepEqual(session.browser.window.setupRan, ['tabs']);
+    assert.deepEqual(session.vmm.getMod('scripts').capabilities, {
+      needs: ['chrome.scripting.executeScript', 'chrome.offscreen', 'vivaldi.notes'],
+      missing: ['chrome.offscreen', 'vivaldi.notes'],
+    });
+  });
+
+  it('skips colorTabs.js when Vivaldi no longer provides chroma-js', async () => {
+    session = await startVivaldi({
+      mods: ['colorTabs.js'],
+      vivaldi: { prefs: { 'vivaldi.themes.system': [], 'vivaldi.themes.user': [] } },
+      beforeLoad: () => delete globalThis.chroma,
+    });
+
+    assert.deepEqual(reasons(), [['colorTabs', 'skipped', 'Missing capability chroma']]);
+    assert.equal(session.report.counts.failed, 0);
+  });
+});
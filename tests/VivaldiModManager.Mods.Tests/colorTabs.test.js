@@ -0,0 +1,184 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTurn } from 'node:timers/promises';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+const RED = [200, 30, 30];
+const BLUE = [20, 40, 200];
+const YELLOW = [250, 230, 20];
+
+// Records the accent colors colorTabs publishes
+const ACCENT_LISTENER_MOD = `
+export default {
+  setup(ctx) {
+    const accents = window.accentsReceived = [];
+    ctx.runtime.events.subscribe('colorTabs/accent', (accent) => accents.push(accent));
+  },
+};
+`;
+
+/**
+ * Theme preferences with tab coloring from page accents turned on
+ */
+const themePrefs = (theme = {}) => ({
+  'vivaldi.themes.current': 'theme-1',
+  'vivaldi.themes.system': [{
+    id: 'theme-1',
+    accentFromPage: true,
+    transparencyTabs: false,
+    accentOnWindow: false,
+    colorAccentBg: '#3366cc',
+    accentSaturationLimit: 1,
+    ...theme,
+  }],
+  'vivaldi.themes.user': [],
+});
+
+describe('colorTabs.js', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads the mod with a window of tabs and waits until it has started
+   */
+  const start = async (t, { theme, tabs, mods = [] } = {}) => {
+    const chromeTabs = tabs || [
+      { id: 1, windowId: 1, url: 'https://blue.example/', active: true, faviconColor: BLUE },
+      { id: 2, windowId: 1, url: 'https://red.example/', faviconColor: RED },
+      { id: 3, windowId: 1, url: 'vivaldi://settings/', faviconColor: YELLOW },
+    ];
+
+    // The mod waits a second for the UI before it starts, let the test skip that
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    session = await startVivaldi({
+      mods: [...mods, 'colorTabs.js'],
+      chrome: { tabs: chromeTabs.map(({ faviconColor, ...tab }) => tab) },
+      vivaldi: { prefs: themePrefs(theme) },
+      beforeLoad: (browser) => chromeTabs.forEach((tab) => browser.addTab(tab)),
+    });
+    assert.equal(session.report.counts.loaded, mods.length + 1);
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(100);
+    await waitFor(() => session.browser.window.colorTabs);
+    return session.browser;
+  };
+
+  const tab = (id) => session.browser.document.querySelector(`div.tab[data-id="tab-${id}"]`);
+
+  it('colors inactive tabs with the main color of their favicon', async (t) => {
+    await start(t);
+    await waitFor(() => tab(2).style.backgroundColor);
+
+    assert.equal(tab(2).style.backgroundColor, 'rgb(200, 30, 30)');
+    assert.equal(tab(2).style.color, 'rgb(255, 255, 255)');
+  });
+
+  it('uses dark text on bright favicon colors', async (t) => {
+    await start(t, {
+      tabs: [
+        { id: 1, windowId: 1, url: 'https://blue.example/', active: true, faviconColor: BLUE },
+        { id: 4, windowId: 1, url: 'https://yellow.example/', faviconColor: YELLOW },
+      ],
+    });
+    await waitFor(() => tab(4).style.backgroundColor);
+
+    assert.equal(tab(4).style.color, 'rgb(0, 0, 0)');
+  });
+
+  it('sets the window accent from the favicon of the active tab', async (t) => {
+    const browser = await start(t);
+    const accent = () => browser.document.getElementById('browser').style.getPropertyValue('--colorAccentBg');
+    await waitFor(accent);
+
+    assert.equal(accent(), 'rgb(20 40 200)');
+    assert.equal(tab(1).style.backgroundColor, '');
+  });
+
+  it('publishes the accent colors for other mods', async (t) => {
+    const browser = await start(t, { mods: [{ filename: 'accentListener.js', source: ACCENT_LISTENER_MOD }] });
+    await waitFor(() => browser.window.accentsReceived.length);
+
+    assert.deepEqual(browser.window.accentsReceived.at(-1), { background: '#1428c8', foreground: '#ffffff', isBright: false });
+  });
+
+  it('gives internal pages the theme background instead of a favicon color', async (t) => {
+    await start(t);
+    await waitFor(() => tab(3).style.color);
+
+    assert.equal(tab(3).style.backgroundColor, 'var(--colorBgDark)');
+    assert.equal(tab(3).style.color, 'var(--colorFg)');
+  });
+
+  it('leaves tabs alone when the theme does not take accents from pages', async (t) => {
+    await start(t, { theme: { accentFromPage: false } });
+    for (let turn = 0; turn < 20; turn++) {
+      await nextTurn();
+    }
+
+    assert.equal(tab(2).style.backgroundColor, '');
+  });
+
+  it('resets the tab colors when the theme turns on transparent tabs', async (t) => {
+    await start(t);
+    await waitFor(() => tab(2).style.backgroundColor);
+
+    await session.vivaldi.prefs.set({
+      path: 'vivaldi.themes.system',
+      value: themePrefs({ transparencyTabs: true })['vivaldi.themes.system'],
+    });
+
+    await waitFor(() => !tab(2).style.backgroundColor);
+  });
+
+  it('colors tabs opened later', async (t) => {
+    const browser = await start(t);
+    session.chrome.tabs.items.push({ id: 5, windowId: 1, url: 'https://red.example/other' });
+    browser.addTab({ id: 5, faviconColor: RED });
+
+    await session.chrome.tabs.onCreated.dispatch({ id: 5, windowId: 1 });
+
+    await waitFor(() => tab(5).style.backgroundColor === 'rgb(200, 30, 30)');
+  });
+
+  it('colors every tab again when the recolor command runs', async (t) => {
+    await start(t);
+    await waitFor(() => tab(2).style.backgroundColor);
+    tab(2).style.backgroundColor = '';
+
+    assert.equal(await session.vmm.commands.run('colorTabs/recolor'), true);
+
+    await waitFor(() => tab(2).style.backgroundColor === 'rgb(200, 30, 30)');
+  });
+
+  it('ignores tabs activated in other windows', async (t) => {
+    const browser = await start(t);
+    const accent = () => browser.document.getElementById('browser').style.getPropertyValue('--colorAccentBg');
+    await waitFor(accent);
+    browser.document.getElementById('browser').style.removeProperty('--colorAccentBg');
+
+    await session.chrome.tabs.onActivated.dispatch({ tabId: 21, windowId: 2 });
+    for (let turn = 0; turn < 20; turn++) {
+      await nextTurn();
+    }
+
+    assert.equal(accent(), '');
+  });
+
+  it('restores the tab and accent colors on teardown', async (t) => {
+    const browser = await start(t);
+    await waitFor(() => tab(2).style.backgroundColor);
+
+    assert.equal(await session.vmm.disable('colorTabs'), true);
+
+    assert.equal(tab(2).style.backgroundColor, '');
+    assert.equal(browser.document.getElementById('browser').style.getPropertyValue('--colorAccentBg'), '');
+    assert.equal(browser.window.colorTabs, undefined);
+    assert.equal(session.chrome.tabs.onCreated.hasListeners(), false);
+    assert.equal(session.vivaldi.prefs.onChanged.hasListeners(), false);
+  });
+});
@@ -0,0 +1,124 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+// A mod with two commands that count their runs, and one that fails to start
+const MODS = [
+  {
+    filename: 'counter.js',
+    source: `
+export default {
+  setup(ctx) {
+    window.counted = [];
+    ctx.commands.register('increment', { title: 'Increment the counter', chord: 'Ctrl+Alt+I', run: () => window.counted.push('increment') });
+    ctx.commands.register('reset', { title: 'Reset the counter', run: () => window.counted.push('reset') });
+  },
+  teardown() {},
+};
+`,
+  },
+  { filename: 'broken.js', source: "export default { setup() { throw new Error('No toolbar'); } };" },
+];
+
+describe('commandPalette.js', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads the palette next to the test mods and opens it
+   */
+  const open = async () => {
+    session = await startVivaldi({ mods: ['commandPalette.js', ...MODS] });
+    session.browser.press('Ctrl+Alt+P');
+    await waitFor(() => session.browser.document.querySelector('.command-palette .search'));
+    return session.browser.document.querySelector('.command-palette');
+  };
+
+  const items = (palette) => [...palette.querySelectorAll('.items li')].map((item) => [
+    item.querySelector('.label').textContent,
+    item.querySelector('.detail').textContent,
+  ]);
+
+  const search = (palette, query) => {
+    const input = palette.querySelector('.search');
+    input.value = query;
+    input.dispatchEvent(new session.browser.window.Event('input'));
+    return input;
+  };
+
+  it('lists the commands of the other mods and the load status of each mod', async () => {
+    const palette = await open();
+
+    assert.equal(palette.closest('#modal-bg').parentElement, session.browser.document.querySelector('#main > .inner'));
+    assert.deepEqual(items(palette), [
+      ['Increment the counter', 'Ctrl+Alt+I · counter'],
+      ['Reset the counter', 'counter'],
+      ['Disable counter', 'loaded'],
+      ['broken', 'failed: No toolbar'],
+    ]);
+    assert.equal(palette.querySelector('li.selected .label').textContent, 'Increment the counter');
+    assert.ok(palette.querySelector('li:last-child').classList.contains('unavailable'));
+  });
+
+  it('ranks fuzzy matches and runs the selected command with the keyboard', async () => {
+    const palette = await open();
+    const { browser } = session;
+
+    const input = search(palette, 're');
+    assert.deepEqual(items(palette).map(([label]) => label), ['Reset the counter', 'Increment the counter', 'broken']);
+
+    browser.press('ArrowDown', input);
+    browser.press('ArrowDown', input);
+    assert.equal(palette.querySelector('li.selected .label').textContent, 'Increment the counter');
+    browser.press('ArrowUp', input);
+    browser.press('Enter', input);
+
+    await waitFor(() => browser.window.counted.length === 1);
+    assert.deepEqual(browser.window.counted, ['reset']);
+    assert.equal(browser.document.querySelector('.command-palette'), null);
+  });
+
+  it('disables and enables mods for the session', async () => {
+    let palette = await open();
+    const { browser } = session;
+
+    browser.press('Enter', search(palette, 'disable counter'));
+    await waitFor(() => session.vmm.getMod('counter').status === 'disabled');
+    assert.deepEqual(session.vmm.commands.list().map(({ id }) => id), ['commandPalette/open']);
+
+    browser.press('Ctrl+Alt+P');
+    palette = browser.document.querySelector('.command-palette');
+    assert.deepEqual(items(palette)[0], ['Enable counter', 'disabled']);
+    palette.querySelector('li').click();
+
+    await waitFor(() => session.vmm.getMod('counter').status === 'loaded');
+  });
+
+  it('closes with Escape or the command that opened it', async () => {
+    const palette = await open();
+    const { browser } = session;
+
+    browser.press('Escape', palette.querySelector('.search'));
+    assert.equal(browser.document.querySelector('.command-palette'), null);
+
+    browser.press('Ctrl+Alt+P');
+    assert.ok(browser.document.querySelector('.command-palette'));
+    browser.press('Ctrl+Alt+P');
+    assert.equal(browser.document.querySelector('#modal-bg'), null);
+  });
+
+  it('shows dialog titles from mod strings as text', async () => {
+    session = await startVivaldi({ mods: MODS });
+    const { runtime } = session.vmm.getContext('counter');
+
+    const { dialogHeader, close } = runtime.createDialogs('counter').make('<img src="x"> & "Files"', 'Body', []);
+
+    assert.equal(dialogHeader.querySelector('h1').textContent, '<img src="x"> & "Files"');
+    assert.equal(dialogHeader.querySelector('img'), null);
+    close();
+  });
+});
@@ -0,0 +1,137 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+/**
+ * A mod that registers one command per entry, counting its runs in `window.commandRuns`
+ */
+const commandMod = (commands) => `
+export default {
+  setup(ctx) {
+    window.commandRuns = window.commandRuns || {};
+    for (const [name, chord] of ${JSON.stringify(Object.entries(commands))}) {
+      ctx.commands.register(name, {
+        title: name,
+        chord,
+        run: () => {
+          window.commandRuns[ctx.id + '/' + name] = (window.commandRuns[ctx.id + '/' + name] || 0) + 1;
+        },
+      });
+    }
+  },
+  teardown() {},
+};
+`;
+
+// Vivaldi's actions preference with one shortcut
+const VIVALDI_ACTIONS = [{ COMMAND_NEW_TAB: { shortcuts: ['ctrl+t'] } }];
+
+describe('commands', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = (mods, { actions = VIVALDI_ACTIONS } = {}) => startVivaldi({
+    mods: Object.entries(mods).map(([id, commands]) => ({ filename: `${id}.js`, source: commandMod(commands) })),
+    vivaldi: { prefs: { 'vivaldi.actions': actions } },
+  });
+
+  it('runs a command when its chord is pressed in the browser UI or in a page', async () => {
+    session = await start({ first: { toggle: 'ctrl+alt+H' } });
+    const { browser, vivaldi } = session;
+
+    assert.equal(browser.press('Ctrl+Alt+H'), false);
+    await vivaldi.tabsPrivate.onKeyboardShortcut.dispatch(1, 'Ctrl+Alt+H');
+    await vivaldi.tabsPrivate.onKeyboardShortcut.dispatch(2, 'Ctrl+Alt+H');
+    browser.press('H');
+
+    assert.deepEqual(browser.window.commandRuns, { 'first/toggle': 2 });
+    assert.deepEqual(session.vmm.commands.list(), [{
+      id: 'first/toggle',
+      mod: 'first',
+      name: 'toggle',
+      title: 'toggle',
+      chord: 'Ctrl+Alt+H',
+      defaultChord: 'Ctrl+Alt+H',
+      remapped: false,
+      bound: true,
+      conflict: null,
+    }]);
+  });
+
+  it('leaves chords without Ctrl, Alt or Meta to text fields', async () => {
+    session = await start({ first: { next: 'Shift+N' } });
+    const { browser } = session;
+
+    browser.press('Shift+N', browser.addressField);
+    assert.equal(browser.window.commandRuns['first/next'], undefined);
+
+    browser.press('Shift+N');
+    assert.equal(browser.window.commandRuns['first/next'], 1);
+  });
+
+  it("binds a chord to the first command and reports the others and Vivaldi's own shortcuts", async () => {
+    session = await start({ first: { open: 'Ctrl+Alt+O' }, second: { open: 'Alt+Ctrl+O', tab: 'Ctrl+T' } });
+    await waitFor(() => session.vmm.commands.list().some((command) => command.conflict?.source === 'vivaldi'));
+
+    session.browser.press('Ctrl+Alt+O');
+
+    assert.deepEqual(session.browser.window.commandRuns, { 'first/open': 1 });
+    assert.deepEqual(session.vmm.commands.list().map(({ id, bound, conflict }) => [id, bound, conflict]), [
+      ['first/open', true, null],
+      ['second/open', false, { source: 'mod', name: 'first/open' }],
+      ['second/tab', false, { source: 'vivaldi', name: 'COMMAND_NEW_TAB' }],
+    ]);
+    assert.deepEqual(session.vmm.getMod('second').warnings, [
+      'Ctrl+Alt+O of command second/open is already used by command first/open',
+      "Ctrl+T of command second/tab is already used by Vivaldi's COMMAND_NEW_TAB",
+    ]);
+  });
+
+  it('keeps remapped chords across restarts until they are reset', async () => {
+    session = await start({ first: { open: 'Ctrl+Alt+O' }, second: { close: 'Ctrl+Alt+C' } });
+    const { commands } = session.vmm;
+
+    assert.throws(() => commands.remap('first/open', 'Ctrl+Alt+C'), /^Error: Ctrl\+Alt\+C is already used by command second\/close$/);
+    assert.throws(() => commands.remap('first/open', 'Ctrl+Alt'), { name: 'TypeError' });
+    assert.equal(commands.remap('first/open', 'Ctrl+Shift+1').chord, 'Ctrl+Shift+1');
+    commands.remap('second/close', null);
+
+    session.browser.press('Ctrl+Shift+1');
+    session.browser.press('Ctrl+Alt+C');
+    assert.deepEqual(session.browser.window.commandRuns, { 'first/open': 1 });
+    assert.deepEqual(commands.keymap(), { 'first/open': 'Ctrl+Shift+1', 'second/close': null });
+
+    const stored = session.browser.window.localStorage.getItem('vivaldiModManager.keymap');
+    commands.reset('second/close');
+    assert.equal(commands.list()[1].chord, 'Ctrl+Alt+C');
+    assert.deepEqual(JSON.parse(stored), { 'first/open': 'ctrl+shift+1', 'second/close': null });
+  });
+
+  it('removes the commands of a mod that stops', async () => {
+    session = await start({ first: { open: 'Ctrl+Alt+O' }, second: { open: 'Ctrl+Alt+O' } });
+
+    await session.vmm.disable('first');
+    session.browser.press('Ctrl+Alt+O');
+
+    assert.deepEqual(session.vmm.commands.list().map(({ id, bound }) => [id, bound]), [['second/open', true]]);
+    assert.deepEqual(session.browser.window.commandRuns, { 'second/open': 1 });
+    assert.equal(await session.vmm.commands.run('first/open'), false);
+  });
+
+  it('rejects commands it cannot bind', async () => {
+    session = await startVivaldi({
+      mods: [{
+        filename: 'broken.js',
+        source: "export default { setup(ctx) { ctx.commands.register('open', { chord: 'Ctrl+K+L', run() {} }); } };",
+      }],
+    });
+
+    assert.equal(session.report.mods[0].status, 'failed');
+    assert.equal(session.report.mods[0].error.message,
+      "Chord 'Ctrl+K+L' of command 'broken/open' must be one key with optional Ctrl, Alt, Shift or Meta");
+  });
+});
@@ -0,0 +1,89 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { modSource, startVivaldi } from './harness/loader.js';
+
+describe('conflict detection', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads one mod per list of statements, named first.js, second.js and so on
+   */
+  const start = (...statements) => startVivaldi({
+    mods: statements.map((source, index) => ({
+      filename: `${['first', 'second', 'third'][index]}.js`,
+      source: modSource(source),
+    })),
+  });
+
+  it('reports mods that override the same function', async () => {
+    session = await start(
+      "ctx.runtime.override(HTMLDivElement.prototype, 'appendChild', () => {});",
+      "ctx.runtime.override(HTMLDivElement.prototype, 'appendChild', () => {}, true, true);",
+      "ctx.runtime.override(HTMLDivElement.prototype, 'prepend', () => {});",
+    );
+
+    assert.deepEqual(session.report.conflicts, [{
+      kind: 'override',
+      target: 'HTMLDivElement.prototype.appendChild',
+      mods: ['first.js', 'second.js'],
+    }]);
+    assert.deepEqual(session.vmm.getMod('first').warnings, [
+      'Overriding HTMLDivElement.prototype.appendChild conflicts with second.js',
+    ]);
+    assert.deepEqual(session.vmm.getMod('second').warnings, [
+      'Overriding HTMLDivElement.prototype.appendChild conflicts with first.js',
+    ]);
+    assert.deepEqual(session.vmm.getMod('third').warnings, []);
+  });
+
+  it('reports mods that set the same style property and restores it when one stops', async () => {
+    session = await start(
+      "ctx.runtime.setStyleProperty(browser, '--colorAccentBg', 'red');",
+      "ctx.runtime.setStyleProperty(browser, '--colorAccentBg', 'blue'); ctx.runtime.setStyleProperty(browser, '--colorAccentFg', 'white');",
+    );
+    const browser = session.browser.document.getElementById('browser');
+
+    assert.deepEqual(session.report.conflicts, [{
+      kind: 'property',
+      target: '--colorAccentBg on #browser',
+      mods: ['first.js', 'second.js'],
+    }]);
+
+    await session.vmm.disable('second');
+
+    assert.equal(browser.style.getPropertyValue('--colorAccentBg'), 'red');
+    assert.equal(browser.style.getPropertyValue('--colorAccentFg'), '');
+  });
+
+  it('reports mods that insert elements into the same host', async () => {
+    session = await start(
+      "ctx.runtime.createElement('div', { id: 'first-panel' }, browser);",
+      "ctx.dom.inject(document.createElement('span'), '#browser', { prepend: true });",
+      "ctx.runtime.createElement('div', { id: 'third-panel' }, '#first-panel');",
+    );
+
+    assert.deepEqual(session.report.conflicts, [{
+      kind: 'host',
+      target: '#browser',
+      mods: ['first.js', 'second.js'],
+    }]);
+    assert.match(session.vmm.getMod('second').warnings[0], /^Inserting into #browser conflicts with first.js$/);
+  });
+
+  it('drops a conflict once one of the mods is disabled', async () => {
+    session = await start(
+      "ctx.runtime.override(HTMLDivElement.prototype, 'appendChild', () => {});",
+      "ctx.runtime.override(HTMLDivElement.prototype, 'appendChild', () => {});",
+    );
+    assert.equal(session.report.conflicts.length, 1);
+
+    await session.vmm.disable('first');
+
+    assert.deepEqual(session.vmm.getReport().conflicts, []);
+  });
+});
@@ -0,0 +1,104 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+const STORAGE_KEY = 'vivaldiModManager.crashLoop';
+
+// Writes to the crash-loop state while it sets up, the way the loader of another window starting at the same time does
+const OTHER_WINDOW_MOD = `
+export default {
+  setup() {
+    const state = JSON.parse(localStorage.getItem('${STORAGE_KEY}'));
+    state.loading['2:other-window'] = { id: 'second', startedAt: Date.now() };
+    state.failures.flaky = 1;
+    localStorage.setItem('${STORAGE_KEY}', JSON.stringify(state));
+  },
+};
+`;
+
+// Adds a stylesheet, then finishes setting up only when the test calls window.finishSetup
+const SLOW_MOD = `
+export default {
+  setup(ctx) {
+    ctx.runtime.addStyleSheet('#browser { outline: 1px solid red; }');
+    return new Promise((resolve) => {
+      window.finishSetup = resolve;
+    });
+  },
+  teardown() {
+    window.tornDown = true;
+  },
+};
+`;
+
+describe('crash-loop protection', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Starts the loader with a crash-loop threshold of 3 and the given stored state, and hands the browser to `onOpen`
+   */
+  const start = (mods, stored, onOpen) => startVivaldi({
+    mods,
+    settings: { crashLoopThreshold: 3 },
+    beforeLoad: (browser) => {
+      browser.window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+      onOpen?.(browser);
+    },
+  });
+
+  const stored = () => JSON.parse(session.browser.window.localStorage.getItem(STORAGE_KEY));
+
+  it('leaves the marks and counts of another window that starts at the same time alone', async () => {
+    session = await start([
+      { filename: 'first.js', source: OTHER_WINDOW_MOD },
+      { filename: 'second.js', source: 'export default { setup() {} };' },
+    ], {
+      failures: { second: 2 },
+      loading: { '2:other-window': { id: 'second', startedAt: Date.now() } },
+    });
+
+    assert.equal(session.vmm.getMod('second').status, 'loaded');
+    assert.deepEqual(stored().failures, { flaky: 1 });
+    assert.deepEqual(Object.keys(stored().loading), ['2:other-window']);
+  });
+
+  it('counts a mark left by a loader that is gone as a failed startup', async () => {
+    session = await start([{ filename: 'broken.js', source: 'export default { setup() {} };' }], {
+      failures: { broken: 2 },
+      loading: { '1:closed-window': { id: 'broken', startedAt: Date.now() - 60000 } },
+    });
+
+    const broken = session.vmm.getMod('broken');
+    assert.equal(broken.status, 'skipped');
+    assert.equal(broken.reason, 'Failed on 3 consecutive startups');
+    assert.deepEqual(stored().loading, {});
+  });
+
+  it('keeps a mod that timed out failed and tears it down when its setup finishes late', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let browser;
+    const starting = start([{ filename: 'slow.js', source: SLOW_MOD }], { failures: {}, loading: {} }, (opened) => {
+      browser = opened;
+    });
+    // Importing the loader and the mod reads files, which takes more event loop turns than waitFor allows by default
+    await waitFor(() => typeof browser?.window.finishSetup === 'function', 5000);
+    t.mock.timers.tick(10000);
+    session = await starting;
+
+    const slow = () => session.vmm.getMod('slow');
+    assert.equal(slow().status, 'failed');
+    assert.equal(slow().error.message, 'Mod did not finish loading within 10000ms');
+    assert.deepEqual(stored().failures, { slow: 1 });
+
+    browser.window.finishSetup();
+    await waitFor(() => browser.window.tornDown === true);
+
+    assert.equal(slow().status, 'failed');
+    assert.equal(slow().footprint.styleSheets, 0);
+  });
+});
@@ -0,0 +1,223 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gunzipSync } from 'node:zlib';
+import { startVivaldi, waitFor, waitForStatus } from './harness/loader.js';
+
+const REPORT = new TextEncoder().encode('quarterly numbers');
+
+const DOWNLOADS = [
+  { id: 1, filename: '/home/user/Downloads/report.pdf', mime: 'application/pdf', exists: true, state: 'complete', fileSize: REPORT.length },
+  { id: 2, filename: '/home/user/Downloads/photo.png', mime: 'image/png', exists: true, state: 'complete', fileSize: 2048 },
+  { id: 3, filename: '/home/user/Downloads/setup.exe', mime: 'application/x-msdownload', exists: true, state: 'complete', fileSize: 4096 },
+  { id: 4, filename: '/home/user/Downloads/partial.zip', mime: 'application/zip', exists: true, state: 'in_progress', fileSize: 10 },
+];
+
+const TABS = [
+  { id: 11, windowId: 1, url: 'https://mail.example.com/compose' },
+  { id: 12, windowId: 1, url: 'https://news.example.org/' },
+  { id: 21, windowId: 2, url: 'https://mail.example.com/inbox' },
+];
+
+// Sender of messages from the content handler in the first tab
+const SENDER = { tab: { id: 11, windowId: 1 }, frameId: 0 };
+
+/**
+ * Message the content handler sends when the page clicks a file input
+ * @param {string} [accept] - Accept attribute of the input
+ */
+const clickMessage = (accept) => ({
+  type: 'easy-files',
+  action: 'click',
+  attributes: accept ? { type: 'file', accept } : { type: 'file' },
+  elementClickedRect: { left: 0, top: 0, right: 80, bottom: 20, width: 80, height: 20, x: 0, y: 0 },
+});
+
+describe('easyFiles', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = async ({ urlScopes, downloads = DOWNLOADS, locale, messages } = {}) => {
+    session = await startVivaldi({
+      mods: [{ filename: 'easyFiles', urlScopes }],
+      chrome: { tabs: TABS.map((tab) => ({ ...tab })), downloads: downloads.map((item) => ({ ...item })), locale, messages },
+      vivaldi: { files: { '/home/user/Downloads/report.pdf': REPORT.buffer } },
+      beforeLoad: (browser) => TABS.filter((tab) => tab.windowId === 1).forEach((tab) => browser.addTab(tab)),
+    });
+    // The mod waits until the browser is idle after startup
+    assert.equal(session.report.counts.waiting, 1);
+    await waitForStatus(session.vmm, 'easyFiles', 'loaded');
+    return session.browser;
+  };
+
+  /**
+   * Sends a click from the content handler and waits for the dialog
+   */
+  const openDialog = async (browser, accept) => {
+    await session.chrome.runtime.onMessage.dispatch(clickMessage(accept), SENDER);
+    await waitFor(() => browser.document.querySelector('.dialog-custom .selectbox'));
+    return browser.document.querySelector('.dialog-custom');
+  };
+
+  const sections = (dialog) => [...dialog.querySelectorAll('.selectbox-wrapper')].map((wrapper) => ({
+    title: wrapper.querySelector('h3').textContent,
+    files: [...wrapper.querySelectorAll('.selectbox')].map((box) => box.title.split('\n')[0]),
+  }));
+
+  const messages = (action) => session.chrome.calls.sendMessage.filter(({ message }) => message.action === action);
+
+  it('injects the content handler into the tabs of its own window', async () => {
+    await start();
+
+    await waitFor(() => session.chrome.calls.executeScript.length === 2);
+    const injections = session.chrome.calls.executeScript;
+    assert.deepEqual(injections.map(({ target }) => target), [{ tabId: 11, allFrames: true }, { tabId: 12, allFrames: true }]);
+    assert.equal(injections[0].func.name, 'injectContent');
+    assert.deepEqual(injections[0].args, ['easy-files']);
+  });
+
+  it('only injects into tabs inside the URL scope', async () => {
+    await start({ urlScopes: ['https://mail.example.com/*'] });
+
+    await waitFor(() => session.chrome.calls.executeScript.length === 1);
+    await session.chrome.webNavigation.onCommitted.dispatch({ tabId: 12, frameId: 0, url: 'https://news.example.org/page' });
+    await session.chrome.webNavigation.onCommitted.dispatch({ tabId: 11, frameId: 0, url: 'https://mail.example.com/draft' });
+
+    assert.deepEqual(session.chrome.calls.executeScript.map(({ target }) => target), [
+      { tabId: 11, allFrames: true },
+      { tabId: 11, frameIds: [0] },
+    ]);
+  });
+
+  it('offers clipboard files and finished downloads in one dialog', async () => {
+    const browser = await start();
+    browser.setClipboard([{ file: new File(['hello'], 'notes.txt', { type: 'text/plain' }) }]);
+
+    const dialog = await openDialog(browser);
+
+    assert.equal(browser.document.querySelectorAll('.dialog-custom').length, 1);
+    assert.equal(dialog.closest('#modal-bg').parentElement, browser.document.querySelector('#main > .inner'));
+    assert.equal(dialog.querySelector('h1').textContent, 'Choose a File...');
+    assert.deepEqual(sections(dialog), [
+      { title: 'Clipboard', files: ['notes.txt'] },
+      { title: 'Downloads', files: ['report.pdf', 'photo.png'] },
+    ]);
+    assert.ok(dialog.querySelector('.selectbox[title^="photo.png"] .selectbox-image.preview img'));
+    assert.ok(dialog.querySelector('.selectbox[title^="report.pdf"] .selectbox-image.icon .file-icon'));
+    assert.deepEqual([...dialog.querySelectorAll('.dialog-footer input')].map((button) => button.value), ['Show more', 'Cancel']);
+  });
+
+  it('labels the dialog with its own strings and those Vivaldi has for the browser UI language', async () => {
+    // Filled in once the runtime can name Vivaldi's messages
+    const messages = {};
+    const browser = await start({ locale: 'de-DE', messages });
+    const { getMessageName } = session.vmm.runtime.i18n;
+    Object.assign(messages, { [getMessageName('Choose a File...')]: 'Datei auswählen...', [getMessageName('Downloads')]: 'Downloads' });
+
+    const dialog = await openDialog(browser);
+
+    assert.equal(dialog.querySelector('h1').textContent, 'Datei auswählen...');
+    assert.equal(dialog.querySelector('h3[title]').title, 'Ihre letzten 2 Downloads unter 5.00 MB');
+    assert.equal(dialog.querySelector('.selectbox[title^="report.pdf"]').title, 'report.pdf\nGröße: 17.00 B');
+    // Vivaldi has no German "Show more" here, and the mod does not ship one
+    assert.equal(dialog.querySelector('.dialog-footer input').value, 'Show more');
+  });
+
+  it('only offers files matching the accept attribute', async () => {
+    const browser = await start();
+    browser.setClipboard([{ file: new File(['hello'], 'notes.txt', { type: 'text/plain' }) }]);
+
+    const dialog = await openDialog(browser, 'image/*');
+
+    assert.deepEqual(sections(dialog), [{ title: 'Downloads', files: ['photo.png'] }]);
+  });
+
+  it('sends the chosen download to the page in chunks', async () => {
+    const browser = await start();
+    const dialog = await openDialog(browser);
+
+    dialog.querySelector('.selectbox[title^="report.pdf"]').click();
+    await waitFor(() => messages('file').length > 0);
+
+    const [{ tabId, message, options }] = messages('file');
+    assert.equal(tabId, 11);
+    assert.deepEqual(options, { frameId: 0 });
+    assert.equal(message.file.fileName, 'report.pdf');
+    assert.equal(message.file.mimeType, 'application/pdf');
+    assert.equal(message.file.fileDataLength, 1);
+    assert.deepEqual(new Uint8Array(gunzipSync(Buffer.from(message.file.fileData, 'base64'))), REPORT);
+    assert.equal(browser.document.querySelector('.dialog-custom'), null);
+  });
+
+  it('sends a pasted file under its own name', async () => {
+    const browser = await start({ downloads: [] });
+    browser.setClipboard([{ file: new File(['hello'], 'notes.txt', { type: 'text/plain' }) }]);
+    const dialog = await openDialog(browser);
+
+    dialog.querySelector('.selectbox').click();
+    await waitFor(() => messages('file').length > 0);
+
+    const { message } = messages('file')[0];
+    assert.equal(message.file.fileName, 'notes.txt');
+    assert.equal(gunzipSync(Buffer.from(message.file.fileData, 'base64')).toString(), 'hello');
+  });
+
+  it('opens the native picker from the Show more button', async () => {
+    const browser = await start();
+    const dialog = await openDialog(browser);
+
+    dialog.querySelector('.dialog-footer input[value="Show more"]').click();
+
+    assert.equal(messages('picker').length, 1);
+    assert.equal(browser.document.querySelector('.dialog-custom'), null);
+  });
+
+  it('closes the dialog with Cancel or Esc without sending anything', async () => {
+    const browser = await start();
+    let dialog = await openDialog(browser);
+    dialog.querySelector('.dialog-footer input[value="Cancel"]').click();
+    assert.equal(browser.document.querySelector('.dialog-custom'), null);
+
+    dialog = await openDialog(browser);
+    await session.vivaldi.tabsPrivate.onKeyboardShortcut.dispatch(1, 'Esc');
+    assert.equal(browser.document.querySelector('.dialog-custom'), null);
+
+    assert.equal(session.chrome.calls.sendMessage.length, 0);
+  });
+
+  it('goes straight to the native picker when there is nothing to offer', async () => {
+    await start({ downloads: [] });
+
+    await session.chrome.runtime.onMessage.dispatch(clickMessage(), SENDER);
+
+    await waitFor(() => messages('picker').length === 1);
+    assert.deepEqual(messages('picker')[0].message, { type: 'easy-files', action: 'picker', tabId: 11, frameId: 0 });
+  });
+
+  it('ignores clicks from tabs of other windows', async () => {
+    const browser = await start();
+
+    await session.chrome.runtime.onMessage.dispatch(clickMessage(), { tab: { id: 21, windowId: 2 }, frameId: 0 });
+
+    assert.equal(browser.document.querySelector('.dialog-custom'), null);
+    assert.equal(session.chrome.calls.sendMessage.length, 0);
+  });
+
+  it('closes open dialogs and detaches the content handler on teardown', async () => {
+    const browser = await start();
+    await openDialog(browser);
+    session.chrome.calls.executeScript.length = 0;
+
+    assert.equal(await session.vmm.disable('easyFiles'), true);
+
+    assert.equal(browser.document.querySelector('.dialog-custom'), null);
+    assert.equal(session.chrome.runtime.onMessage.hasListeners(), false);
+    assert.equal(session.chrome.webNavigation.onCommitted.hasListeners(), false);
+    assert.equal(session.vivaldi.tabsPrivate.onWebviewClickCheck.hasListeners(), false);
+    await waitFor(() => session.chrome.calls.executeScript.length === 2);
+    assert.ok(session.chrome.calls.executeScript.every(({ func }) => func.name === 'detachContent'));
+  });
+});
@@ -0,0 +1,88 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { modSource, startVivaldi, waitFor } from './harness/loader.js';
+
+describe('error boundary', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = (statements, settings) => startVivaldi({
+    mods: [{ filename: 'thrower.js', source: modSource(statements) }, { filename: 'quiet.js', source: modSource('') }],
+    settings,
+  });
+
+  const click = () => session.browser.document.getElementById('browser').click();
+
+  it('attributes uncaught errors and rejections to the mod in their stack', async () => {
+    session = await start(`
+      browser.addEventListener('click', () => { throw new TypeError('Cannot read tab color'); });
+      window.createModError = () => new Error('Favicon did not load');
+    `);
+    const { window } = session.browser;
+
+    click();
+    window.dispatchEvent(Object.assign(new window.Event('unhandledrejection'), { reason: window.createModError() }));
+    window.dispatchEvent(Object.assign(new window.Event('unhandledrejection'), { reason: new Error('Not from a mod') }));
+
+    const { errors } = session.vmm.getMod('thrower');
+    assert.equal(errors.count, 2);
+    assert.equal(errors.last.message, 'Favicon did not load');
+    assert.equal(errors.last.source, 'rejection');
+    assert.equal(session.vmm.getMod('quiet').errors.count, 0);
+    assert.equal(session.vmm.getReport().unattributedErrors, 1);
+  });
+
+  it('attributes what callbacks added through the context throw, with or without a stack', async () => {
+    session = await start(`
+      ctx.chrome.tabs.onCreated.addListener(() => { throw 'No tab strip'; });
+      ctx.dom.addEventListener(browser, 'click', async () => { throw new Error('Rejected later'); });
+    `);
+
+    await session.chrome.tabs.onCreated.dispatch({ id: 5, windowId: 1 });
+    click();
+    await waitFor(() => session.vmm.getMod('thrower').errors.count === 2);
+
+    const { errors } = session.vmm.getMod('thrower');
+    assert.equal(errors.last.message, 'Rejected later');
+    assert.equal(errors.last.source, 'callback');
+    assert.equal(session.vmm.getReport().unattributedErrors, 0);
+  });
+
+  it('disables a mod that reaches the threshold and flags it in the report', async () => {
+    session = await start("ctx.dom.addEventListener(browser, 'click', () => { throw new Error('Broken handler'); });",
+      { modErrorThreshold: 3 });
+
+    click();
+    click();
+    assert.equal(session.vmm.getMod('thrower').status, 'loaded');
+    click();
+    await waitFor(() => session.vmm.getMod('thrower').status === 'disabled');
+    click();
+
+    const report = session.vmm.getReport();
+    const thrower = report.mods.find((mod) => mod.id === 'thrower');
+    assert.equal(thrower.reason, 'Disabled after 3 uncaught errors');
+    assert.equal(thrower.errors.count, 3);
+    assert.deepEqual(report.errorDisabledMods, ['thrower.js']);
+
+    assert.equal(await session.vmm.enable('thrower'), true);
+    assert.deepEqual(session.vmm.getMod('thrower').errors, { count: 0, last: null, disabled: false });
+    assert.deepEqual(session.vmm.getReport().errorDisabledMods, []);
+  });
+
+  it('only counts errors when the threshold is 0', async () => {
+    session = await start("ctx.dom.addEventListener(browser, 'click', () => { throw new Error('Broken handler'); });",
+      { modErrorThreshold: 0 });
+
+    for (let i = 0; i < 12; i++) {
+      click();
+    }
+
+    assert.equal(session.vmm.getMod('thrower').status, 'loaded');
+    assert.equal(session.vmm.getMod('thrower').errors.count, 12);
+  });
+});
@@ -0,0 +1,125 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi } from './harness/loader.js';
+
+// Publishes a topic of its own and hands its runtime to the test
+const PUBLISHER_MOD = `
+export default {
+  setup(ctx) {
+    ctx.runtime.events.define('publisher/count', { count: 'number', label: 'string?' });
+    window.publisherRuntime = ctx.runtime;
+  },
+  teardown() {
+    delete window.publisherRuntime;
+  },
+};
+`;
+
+// Records every payload of the publisher's topic
+const SUBSCRIBER_MOD = `
+export default {
+  setup(ctx) {
+    const received = window.subscriberReceived = [];
+    ctx.runtime.events.subscribe('publisher/count', (payload) => received.push(payload.count), { replay: true });
+  },
+  teardown() {},
+};
+`;
+
+describe('event bus', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads the given mods and returns the event bus of the publisher's runtime
+   */
+  const start = async (mods = [{ filename: 'publisher.js', source: PUBLISHER_MOD }]) => {
+    session = await startVivaldi({ mods });
+    return session.browser.window.publisherRuntime.events;
+  };
+
+  it('delivers payloads to subscribers of other mods', async () => {
+    const events = await start([
+      { filename: 'publisher.js', source: PUBLISHER_MOD },
+      { filename: 'subscriber.js', source: SUBSCRIBER_MOD },
+    ]);
+
+    assert.equal(events.publish('publisher/count', { count: 1 }), 1);
+    events.publish('publisher/count', { count: 2, label: 'two' });
+
+    assert.deepEqual(session.browser.window.subscriberReceived, [1, 2]);
+    assert.deepEqual(events.last('publisher/count'), { count: 2, label: 'two' });
+    assert.ok(Object.isFrozen(events.last('publisher/count')));
+  });
+
+  it('replays the last payload to subscribers that ask for it', async () => {
+    const events = await start();
+    events.publish('publisher/count', { count: 3 });
+    const received = [];
+
+    events.subscribe('publisher/count', (payload) => received.push(payload.count), { replay: true });
+    events.subscribe('publisher/count', (payload) => received.push(-payload.count));
+
+    assert.deepEqual(received, [3]);
+    events.clear('publisher/count');
+    events.subscribe('publisher/count', (payload) => received.push(payload.count), { replay: true });
+    assert.deepEqual(received, [3]);
+  });
+
+  it('rejects payloads that do not match the fields of the topic', async () => {
+    const events = await start();
+
+    assert.throws(() => events.publish('publisher/count', { count: '1' }), {
+      name: 'TypeError',
+      message: "Field 'count' of 'publisher/count' must be number",
+    });
+    assert.throws(() => events.publish('publisher/count', { count: 1, label: 2 }), {
+      message: "Field 'label' of 'publisher/count' must be string?",
+    });
+    assert.throws(() => events.publish('publisher/other', { count: 1 }), {
+      message: "Topic 'publisher/other' is not defined",
+    });
+    assert.throws(() => events.subscribe('count', () => {}), {
+      message: "Topic 'count' must be named 'namespace/name'",
+    });
+    assert.equal(events.last('publisher/count'), undefined);
+  });
+
+  it('keeps a failing subscriber from affecting the others', async (t) => {
+    const events = await start();
+    const received = [];
+    t.mock.method(console, 'error', () => {});
+    events.subscribe('publisher/count', () => {
+      throw new Error('subscriber failed');
+    });
+    events.subscribe('publisher/count', (payload) => received.push(payload.count));
+
+    assert.equal(events.publish('publisher/count', { count: 4 }), 2);
+
+    assert.deepEqual(received, [4]);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('unsubscribes a mod when it is disabled', async () => {
+    const events = await start([
+      { filename: 'publisher.js', source: PUBLISHER_MOD },
+      { filename: 'subscriber.js', source: SUBSCRIBER_MOD },
+    ]);
+    assert.equal(session.vmm.getMod('subscriber').footprint.listeners, 1);
+
+    await session.vmm.disable('subscriber');
+    events.publish('publisher/count', { count: 5 });
+
+    assert.deepEqual(session.browser.window.subscriberReceived, []);
+    assert.deepEqual(events.topics(), [{
+      topic: 'publisher/count',
+      fields: { count: 'number', label: 'string?' },
+      subscribers: 0,
+      hasValue: true,
+    }]);
+  });
+});
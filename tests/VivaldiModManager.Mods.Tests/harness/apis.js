@@ -0,0 +1,190 @@
+// ---------------------------------------------------------------------------
+// Scriptable chrome.* and vivaldi.* stubs
+//
+// Each API keeps its state in plain objects the tests can change, records the
+// calls mods make, and exposes its events so tests can fire them.
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates an extension event with the usual listener methods
+ * @returns {{addListener: Function, removeListener: Function, hasListener: Function, hasListeners: Function,
+ *   dispatch: function(...*): Promise<Array>, listeners: Set<Function>}} The event
+ */
+export const createEvent = () => {
+  const listeners = new Set();
+  return {
+    listeners,
+    addListener: (listener) => listeners.add(listener),
+    removeListener: (listener) => listeners.delete(listener),
+    hasListener: (listener) => listeners.has(listener),
+    hasListeners: () => listeners.size > 0,
+    /**
+     * Calls every listener with the arguments and waits for the ones that return promises
+     */
+    dispatch: (...args) => Promise.all([...listeners].map((listener) => listener(...args))),
+  };
+};
+
+/**
+ * Answers through the callback when one is given, otherwise returns the promise
+ * @param {Promise} promise - Result of the call
+ * @param {Function} [callback] - Callback style result handler
+ * @returns {Promise|undefined} The promise when there is no callback
+ */
+const respond = (promise, callback) => {
+  if (typeof callback !== 'function') {
+    return promise;
+  }
+  promise.then(callback);
+  return undefined;
+};
+
+/**
+ * Checks a download against the properties of a `chrome.downloads.search` query
+ * @param {Object} item - Download item
+ * @param {Object} query - Search query
+ * @returns {boolean} True if the item matches
+ */
+const matchesDownloadQuery = (item, query) => Object.entries(query)
+  .filter(([key]) => !['orderBy', 'limit'].includes(key))
+  .every(([key, value]) => item[key] === value);
+
+/**
+ * Creates the chrome.* APIs
+ * @param {Object} [state] - Initial state
+ * @param {Array<Object>} [state.tabs] - Tabs returned by `tabs.get` and `tabs.query`
+ * @param {Array<Object>} [state.downloads] - Download items returned by `downloads.search`
+ * @param {Object<string, string>} [state.messages] - Translations returned by `i18n.getMessage`
+ * @param {string} [state.locale] - Browser UI locale returned by `i18n.getUILanguage`
+ * @param {Array<Object>} [state.windows] - Windows returned by `windows.get` and `windows.getAll`. The window of the browser UI has id 1.
+ * @returns {Object} The `chrome` object, with `calls` recording messages and injected scripts
+ */
+export const createChrome = ({ tabs = [], downloads = [], messages = {}, locale = 'en-US', windows = [{ id: 1, focused: true }] } = {}) => {
+  const calls = { sendMessage: [], executeScript: [] };
+
+  return {
+    calls,
+    tabs: {
+      items: tabs,
+      get: (tabId, callback) => {
+        const tab = tabs.find((candidate) => candidate.id === tabId);
+        return respond(tab ? Promise.resolve({ ...tab }) : Promise.reject(new Error(`No tab with id: ${tabId}.`)), callback);
+      },
+      query: (query, callback) => {
+        const matches = tabs.filter((tab) => query.windowId === undefined || tab.windowId === query.windowId);
+        return respond(Promise.resolve(matches.map((tab) => ({ ...tab }))), callback);
+      },
+      sendMessage: (tabId, message, options) => {
+        calls.sendMessage.push({ tabId, message, options });
+        return Promise.resolve();
+      },
+      onCreated: createEvent(),
+      onActivated: createEvent(),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+    },
+    windows: {
+      WINDOW_ID_NONE: -1,
+      WINDOW_ID_CURRENT: -2,
+      items: windows,
+      get: (windowId, query, callback) => {
+        const window = windows.find((candidate) => candidate.id === windowId);
+        return respond(
+          window ? Promise.resolve({ ...window }) : Promise.reject(new Error(`No window with id: ${windowId}.`)),
+          typeof query === 'function' ? query : callback
+        );
+      },
+      getAll: (query, callback) => respond(
+        Promise.resolve(windows.map((item) => ({ ...item }))),
+        typeof query === 'function' ? query : callback
+      ),
+      onCreated: createEvent(),
+      onRemoved: createEvent(),
+      onFocusChanged: createEvent(),
+    },
+    downloads: {
+      items: downloads,
+      search: (query, callback) => respond(
+        Promise.resolve(downloads.filter((item) => matchesDownloadQuery(item, query)).map((item) => ({ ...item }))),
+        callback
+      ),
+      onCreated: createEvent(),
+      onChanged: createEvent(),
+    },
+    runtime: {
+      onMessage: createEvent(),
+      sendMessage: () => Promise.resolve(),
+    },
+    webNavigation: {
+      onCommitted: createEvent(),
+    },
+    scripting: {
+      executeScript: (injection) => {
+        calls.executeScript.push(injection);
+        return Promise.resolve([]);
+      },
+    },
+    i18n: {
+      getMessage: (name) => messages[name] ?? '',
+      getUILanguage: () => locale,
+    },
+  };
+};
+
+/**
+ * Creates the vivaldi.* APIs
+ * @param {Object} [state] - Initial state
+ * @param {string} [state.version] - Version reported by `utilities.getVersion`
+ * @param {Object<string, *>} [state.prefs] - Preference values by path
+ * @param {Array<Object>} [state.searchEngines] - Template URLs returned by `searchEngines.getTemplateUrls`
+ * @param {Object<string, ArrayBuffer>} [state.files] - File contents by path for `mailPrivate.readFileToBuffer`
+ * @returns {Object} The `vivaldi` object
+ */
+export const createVivaldi = ({ version = '7.5.3735.74', prefs = {}, searchEngines = [], files = {} } = {}) => {
+  const prefsChanged = createEvent();
+  const templateUrlsChanged = createEvent();
+  let storedImages = 0;
+
+  return {
+    prefs: {
+      values: prefs,
+      get: (path, callback) => respond(Promise.resolve(structuredClone(prefs[path])), callback),
+      set: ({ path, value }) => {
+        prefs[path] = value;
+        return prefsChanged.dispatch({ path, value });
+      },
+      onChanged: prefsChanged,
+    },
+    searchEngines: {
+      templateUrls: searchEngines,
+      getTemplateUrls: () => Promise.resolve({
+        templateUrls: searchEngines.map((engine) => ({ ...engine })),
+        defaultSearch: searchEngines[0]?.guid,
+        defaultPrivate: searchEngines[0]?.guid,
+      }),
+      /**
+       * Replaces the engine list and fires `onTemplateUrlsChanged`, like editing the engines in Settings
+       * @param {Array<Object>} engines - New template URLs
+       */
+      update: (engines) => {
+        searchEngines.splice(0, searchEngines.length, ...engines);
+        return templateUrlsChanged.dispatch();
+      },
+      onTemplateUrlsChanged: templateUrlsChanged,
+    },
+    tabsPrivate: {
+      onThemeColorChanged: createEvent(),
+      onKeyboardShortcut: createEvent(),
+      onWebviewClickCheck: createEvent(),
+    },
+    utilities: {
+      getVersion: (callback) => respond(Promise.resolve({ vivaldiVersion: version }), callback),
+      storeImage: () => Promise.resolve(`chrome://vivaldi-data/local-image/${++storedImages}`),
+    },
+    mailPrivate: {
+      readFileToBuffer: (path) => (path in files
+        ? Promise.resolve(files[path])
+        : Promise.reject(new Error(`File not found: ${path}`))),
+    },
+  };
+};
@@ -0,0 +1,368 @@
+// ---------------------------------------------------------------------------
+// Fake Vivaldi browser UI
+//
+// A jsdom copy of the parts of Vivaldi's browser.html skeleton the example mods
+// touch, with the window installed as the global scope the way mods see it in
+// the real browser UI. Only one browser can be open at a time per process.
+// ---------------------------------------------------------------------------
+
+import { JSDOM } from 'jsdom';
+import chroma from 'chroma-js';
+
+/**
+ * Property name React uses for the props of rendered nodes in the fixture
+ */
+export const REACT_PROPS_KEY = '__reactProps$vmmtest';
+
+/**
+ * Panels shown in the panel bar, in order
+ */
+export const PANELS = ['PanelBookmarks', 'PanelDownloads', 'PanelHistory', 'PanelWeb', 'WEBPANEL_example'];
+
+const BROWSER_HTML = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Vivaldi</title></head>
+<body>
+  <div id="app">
+    <div id="browser" class="normal">
+      <div id="header">
+        <div class="toolbar-mainbar">
+          <div class="UrlBar-AddressField">
+            <div class="observer">
+              <input type="text" class="url vivaldi-addressfield" value="">
+            </div>
+          </div>
+        </div>
+      </div>
+      <div id="tabs-tabbar-container">
+        <div id="tabs-container">
+          <div class="tab-strip"></div>
+        </div>
+      </div>
+      <div id="main">
+        <div class="inner">
+          <div id="panels-container" class="overlay">
+            <div id="panels">
+              <div id="switch">
+                ${PANELS.map((name) => `<div class="button-toolbar"><button name="${name}" tabindex="-1"></button></div>`).join('\n')}
+              </div>
+            </div>
+            <div class="panel-group"></div>
+          </div>
+          <div id="webview-container"></div>
+        </div>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+
+// Globals that Node defines too, but that must come from the window so DOM code accepts them
+const WINDOW_OWNED_GLOBALS = ['Event', 'EventTarget', 'CustomEvent', 'DOMException', 'navigator'];
+
+/**
+ * Minimal PointerEvent, which jsdom does not implement
+ * @param {Window} window - jsdom window
+ * @returns {Function} PointerEvent class
+ */
+const createPointerEvent = (window) => class PointerEvent extends window.MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.pointerId = init.pointerId ?? 0;
+    this.pointerType = init.pointerType ?? 'mouse';
+  }
+};
+
+/**
+ * ResizeObserver that reports the observed element once, with an empty rect
+ */
+class ResizeObserver {
+  #callback;
+
+  constructor(callback) {
+    this.#callback = callback;
+  }
+
+  observe(target) {
+    queueMicrotask(() => this.#callback([{ target, contentRect: { width: 0, height: 0, top: 0, left: 0 } }], this));
+  }
+
+  unobserve() {}
+
+  disconnect() {}
+}
+
+/**
+ * Installs the window and its interfaces as globals
+ * @param {Window} window - jsdom window
+ * @returns {function(): void} Restores the globals that were replaced
+ */
+const installGlobals = (window) => {
+  const replaced = new Map();
+  const names = new Set(['window', 'self', 'globalThis', 'top', 'parent', 'frames']);
+
+  for (const name of Object.getOwnPropertyNames(window)) {
+    if (names.has(name) || name.startsWith('_') || (name in globalThis && !WINDOW_OWNED_GLOBALS.includes(name))) {
+      continue;
+    }
+    replaced.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+    const value = window[name];
+    Object.defineProperty(globalThis, name, {
+      configurable: true,
+      writable: true,
+      value: typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(window) : value,
+    });
+  }
+
+  for (const [name, value] of Object.entries({ window, self: window, chroma })) {
+    replaced.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+    Object.defineProperty(globalThis, name, { configurable: true, writable: true, value });
+  }
+
+  return () => {
+    for (const [name, descriptor] of replaced) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    }
+  };
+};
+
+/**
+ * Makes an input behave like one rendered by React: the value is tracked through an own
+ * `value` property and edits go through the `onChange` prop
+ * @param {HTMLInputElement} input - Input element
+ * @param {Object} props - Extra props
+ */
+const renderReactInput = (input, props = {}) => {
+  const prototypeDescriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value');
+  Object.defineProperty(input, 'value', {
+    configurable: true,
+    get() {
+      return prototypeDescriptor.get.call(this);
+    },
+    set(value) {
+      prototypeDescriptor.set.call(this, value);
+    },
+  });
+
+  input[REACT_PROPS_KEY] = {
+    className: input.className,
+    onChange: (event) => {
+      input.value = event.currentTarget.value;
+      input.setAttribute('value', event.currentTarget.value);
+    },
+    onKeyDown: () => {},
+    ...props,
+  };
+};
+
+/**
+ * Canvas 2D context that returns the colors registered for the drawn image
+ * @param {Map<string, Array<number>>} imageColors - RGB color by image source
+ * @returns {Object} Context with the members the mods use
+ */
+const createCanvasContext = (imageColors) => {
+  let color = [0, 0, 0];
+  return {
+    imageSmoothingEnabled: true,
+    drawImage(image) {
+      color = imageColors.get(image.getAttribute('src')) || [0, 0, 0];
+    },
+    getImageData(x, y, width, height) {
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let offset = 0; offset < data.length; offset += 4) {
+        data.set([...color, 255], offset);
+      }
+      return { width, height, data };
+    },
+  };
+};
+
+/**
+ * Opens the fake browser UI and installs it as the global scope
+ * @param {Object} [options]
+ * @param {number} [options.windowId] - Id of the Vivaldi window, exposed as `window.vivaldiWindowId`
+ * @returns {Object} The browser with helpers to script the UI
+ */
+export const openBrowser = ({ windowId = 1 } = {}) => {
+  const dom = new JSDOM(BROWSER_HTML, {
+    // Vivaldi serves the UI from a chrome-extension: origin, jsdom only gives http(s) pages storage
+    url: 'https://mpognobbkildjkofajifpdfhcoklimli/browser.html',
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+  const { document } = window;
+  const imageColors = new Map();
+
+  window.vivaldiWindowId = windowId;
+  window.PointerEvent = createPointerEvent(window);
+  window.ResizeObserver = ResizeObserver;
+  document.elementFromPoint = () => null;
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    return createCanvasContext(imageColors);
+  };
+
+  const browserElement = document.getElementById('browser');
+  browserElement[REACT_PROPS_KEY] = { id: 'browser', className: browserElement.className };
+  const observer = document.querySelector('.UrlBar-AddressField .observer');
+  observer[REACT_PROPS_KEY] = { className: 'observer' };
+  const addressField = document.querySelector('input.vivaldi-addressfield');
+  renderReactInput(addressField);
+
+  // Clicking a panel button toggles its panel, like Vivaldi does
+  document.getElementById('switch').addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    if (!button) {
+      return;
+    }
+    const toolbar = button.parentElement;
+    const wasActive = toolbar.classList.contains('active');
+    document.querySelectorAll('#switch .button-toolbar.active').forEach((active) => active.classList.remove('active'));
+    toolbar.classList.toggle('active', !wasActive);
+  });
+
+  const restoreGlobals = installGlobals(window);
+
+  const browser = {
+    window,
+    document,
+    addressField,
+
+    /**
+     * Adds a tab to the tab strip and a webview for it
+     * @param {Object} tab
+     * @param {number|string} tab.id - Tab id, or a tab stack id for stacks
+     * @param {boolean} [tab.active] - Whether the tab is the active one
+     * @param {Array<number>} [tab.faviconColor] - RGB color the favicon is drawn in, no favicon without it
+     * @param {number} [tab.zoom] - Zoom reported by the webview
+     * @returns {HTMLElement} The tab element
+     */
+    addTab({ id, active = false, faviconColor, zoom = 1 }) {
+      const position = document.createElement('div');
+      position.className = 'tab-position';
+      const tab = document.createElement('div');
+      tab.className = active ? 'tab active' : 'tab';
+      tab.setAttribute('data-id', `tab-${id}`);
+      if (faviconColor) {
+        const favicon = document.createElement('img');
+        favicon.className = 'favicon';
+        favicon.setAttribute('src', `chrome://favicon/${id}`);
+        favicon.width = 16;
+        favicon.height = 16;
+        imageColors.set(favicon.getAttribute('src'), faviconColor);
+        tab.append(favicon);
+      }
+      const title = document.createElement('span');
+      title.className = 'title';
+      tab.append(title);
+      position.append(tab);
+      document.querySelector('#tabs-container .tab-strip').append(position);
+
+      const webview = document.createElement('webview');
+      webview.id = String(id);
+      webview.setAttribute('tab_id', String(id));
+      webview.style.setProperty('--uiZoomLevel', '1');
+      webview.getZoom = (callback) => callback(zoom);
+      document.getElementById('webview-container').append(webview);
+      return tab;
+    },
+
+    /**
+     * Opens the address bar dropdown the way React renders it
+     * @returns {HTMLElement} The dropdown element
+     */
+    openAddressDropdown() {
+      const dropdown = document.createElement('div');
+      dropdown.className = 'OmniDropdown';
+      dropdown[REACT_PROPS_KEY] = { className: 'OmniDropdown' };
+      observer.appendChild(dropdown);
+      return dropdown;
+    },
+
+    /**
+     * Types into the address field as the user would
+     * @param {string} value - New value
+     */
+    typeAddress(value) {
+      addressField.value = value;
+    },
+
+    /**
+     * Gets a panel button
+     * @param {string} name - Panel name, see `PANELS`
+     * @returns {HTMLButtonElement} The button
+     */
+    panelButton(name) {
+      return document.querySelector(`#switch button[name="${name}"]`);
+    },
+
+    /**
+     * @returns {string|null} Name of the open panel
+     */
+    get activePanel() {
+      return document.querySelector('#switch .button-toolbar.active > button')?.getAttribute('name') ?? null;
+    },
+
+    /**
+     * Moves the pointer onto or off an element
+     * @param {Element} element - Target element
+     * @param {'mouseenter'|'mouseleave'|'dragenter'} [type] - Event to dispatch
+     * @param {MouseEventInit} [init] - Extra event properties, such as modifier keys
+     */
+    hover(element, type = 'mouseenter', init = {}) {
+      const EventType = type === 'dragenter' ? window.Event : window.MouseEvent;
+      element.dispatchEvent(new EventType(type, init));
+    },
+
+    /**
+     * Presses a key chord while the browser UI has focus
+     * @param {string} chord - Chord such as `Ctrl+Shift+K`
+     * @param {Element} [target] - Element the key goes to, the body by default
+     * @returns {boolean} False when a listener prevented the default action
+     */
+    press(chord, target = document.body) {
+      const keys = chord.split('+');
+      const key = keys.pop();
+      const modifiers = Object.fromEntries(keys.map((modifier) => [`${modifier.toLowerCase()}Key`, true]));
+      const code = /^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : /^\d$/.test(key) ? `Digit${key}` : key;
+      return target.dispatchEvent(new window.KeyboardEvent('keydown', {
+        key: key.length === 1 ? key.toLowerCase() : key, code, bubbles: true, cancelable: true, ...modifiers,
+      }));
+    },
+
+    /**
+     * Makes the next `document.execCommand('paste')` paste the given files
+     * @param {Array<{file: File, isDirectory?: boolean}>} items - Files on the clipboard
+     */
+    setClipboard(items) {
+      document.execCommand = (command) => {
+        if (command !== 'paste') {
+          return false;
+        }
+        const event = new window.Event('paste', { bubbles: true, cancelable: true });
+        event.clipboardData = {
+          items: items.map(({ file, isDirectory = false }) => ({
+            getAsFile: () => file,
+            webkitGetAsEntry: () => ({ isFile: !isDirectory, isDirectory }),
+          })),
+        };
+        document.dispatchEvent(event);
+        return true;
+      };
+    },
+
+    /**
+     * Closes the window and restores the globals
+     */
+    close() {
+      restoreGlobals();
+      window.close();
+    },
+  };
+
+  browser.setClipboard([]);
+  return browser;
+};
@@ -0,0 +1,242 @@
+// ---------------------------------------------------------------------------
+// Loader harness
+//
+// Writes a loader.js laid out like the one LoaderService generates, with the
+// mod runtime and the example mods next to it, and imports it into the fake
+// browser UI. Every start uses a fresh directory so modules are evaluated anew.
+// ---------------------------------------------------------------------------
+
+import { copyFile, cp, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { openBrowser } from './browser.js';
+import { createChrome, createVivaldi } from './apis.js';
+
+const REPO_ROOT = fileURLToPath(new URL('../../../', import.meta.url));
+const LOADER_RESOURCES = join(REPO_ROOT, 'src', 'VivaldiModManager.Core', 'Resources', 'Loader');
+
+/**
+ * Directory holding the example mods
+ */
+export const EXAMPLES_DIR = join(REPO_ROOT, 'docs', 'examples');
+
+// Must match ManifestConstants.ModRuntimeFilename and ModRuntimeVersion
+const MOD_RUNTIME = { filename: 'vmm-runtime.js', version: '1.7.0' };
+
+/**
+ * Builds the constants block of a generated loader
+ * @param {Array<Object>} mods - Mod definitions
+ * @param {Object} settings - Loader settings
+ * @returns {string} JavaScript source
+ */
+const createLoaderHeader = (mods, settings) => {
+  const definitions = mods.map((mod) => JSON.stringify({
+    filename: mod.filename,
+    id: mod.id,
+    urlScopes: mod.urlScopes || [],
+    ...(mod.config ? { config: mod.config } : {}),
+    ...(mod.compatibility ? { compatibility: mod.compatibility } : {}),
+    ...(mod.sha256 ? { sha256: mod.sha256 } : {}),
+  }));
+
+  return [
+    '// Vivaldi Mod Manager - Generated Loader (test harness)',
+    `const LOADER_VERSION = "1.0.0";`,
+    `const LOADER_FINGERPRINT = "test";`,
+    `const GENERATED_AT = "${new Date().toISOString()}";`,
+    `const HOT_RELOAD = { enabled: ${settings.hotReload ?? false}, intervalMs: 1000, allowUnverified: ${settings.hotReloadAllowUnverified ?? false} };`,
+    `const SAFE_MODE = { chord: [], crashLoopThreshold: ${settings.crashLoopThreshold ?? 0} };`,
+    `const COMPATIBILITY = { policy: '${settings.compatibilityPolicy ?? 'skip'}' };`,
+    `const PROFILING = { slowModThresholdMs: ${settings.slowModThresholdMs ?? 200} };`,
+    `const ERROR_BOUNDARY = { threshold: ${settings.modErrorThreshold ?? 10} };`,
+    `const MOD_RUNTIME = ${JSON.stringify(MOD_RUNTIME)};`,
+    '',
+    `const modsToLoad = [${definitions.join(',\n')}];`,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Serves file: URLs from disk, which Node's fetch does not do
+ * @param {Function} fetch - Fetch to use for other URLs
+ * @returns {Function} The wrapped fetch
+ */
+const createFileFetch = (fetch) => async (resource, options) => {
+  const url = new URL(resource instanceof Request ? resource.url : String(resource));
+  if (url.protocol !== 'file:') {
+    return fetch(resource, options);
+  }
+  try {
+    return new Response(await readFile(fileURLToPath(url)), { status: 200 });
+  } catch {
+    return new Response(null, { status: 404 });
+  }
+};
+
+/**
+ * Node cannot import blob: URLs, so object URLs of JavaScript blobs, which the loader imports verified
+ * mods from, become data: URLs. The bytes are kept when the blob is created, since a Blob cannot be
+ * read synchronously.
+ * @returns {function(): void} Restores Blob and URL.createObjectURL
+ */
+const installModuleObjectUrls = () => {
+  const { Blob: OriginalBlob } = globalThis;
+  const { createObjectURL } = URL;
+  const sources = new WeakMap();
+
+  globalThis.Blob = class extends OriginalBlob {
+    constructor(parts = [], options = {}) {
+      super(parts, options);
+      if (/javascript/.test(options.type || '')) {
+        sources.set(this, Buffer.concat(parts.map((part) => (ArrayBuffer.isView(part)
+          ? Buffer.from(part.buffer, part.byteOffset, part.byteLength)
+          : Buffer.from(part)))));
+      }
+    }
+  };
+  URL.createObjectURL = (blob) => (sources.has(blob)
+    ? `data:text/javascript;base64,${sources.get(blob).toString('base64')}`
+    : createObjectURL(blob));
+
+  return () => {
+    globalThis.Blob = OriginalBlob;
+    URL.createObjectURL = createObjectURL;
+  };
+};
+
+/**
+ * Opens the fake browser UI, installs the API stubs and runs the loader with the given mods
+ * @param {Object} options
+ * @param {Array<string|Object>} options.mods - Example filenames, or definitions with `filename`, `id`,
+ *   `config`, `urlScopes`, `compatibility` and `sha256`. A definition with `source` uses that code instead of an example,
+ *   and one with `files`, an object of sources by path, is written as a package directory. Example filenames without
+ *   `.js` copy a package directory.
+ * @param {Object} [options.chrome] - Initial state for `createChrome`
+ * @param {Object} [options.vivaldi] - Initial state for `createVivaldi`
+ * @param {Object} [options.settings] - Loader settings: `compatibilityPolicy`, `crashLoopThreshold`, `slowModThresholdMs`,
+ *   `modErrorThreshold`, `hotReload` and `hotReloadAllowUnverified`. With hot reload on, mock `setTimeout` so its checks
+ *   stop with the test.
+ * @param {function(Object): void} [options.beforeLoad] - Called with the browser before the loader runs, to add tabs
+ * @param {number} [options.windowId] - Id of the browser window the loader runs in
+ * @returns {Promise<Object>} The running browser with `browser`, `chrome`, `vivaldi`, `vmm`, `report`, `close` and
+ *   `directory`, the temporary directory holding loader.js and mods/
+ */
+export const startVivaldi = async ({ mods, chrome: chromeState, vivaldi: vivaldiState, settings = {}, beforeLoad, windowId } = {}) => {
+  const definitions = mods.map((mod) => {
+    const definition = typeof mod === 'string' ? { filename: mod } : { ...mod };
+    definition.id = definition.id || basename(definition.filename, '.js');
+    return definition;
+  });
+
+  const directory = await mkdtemp(join(tmpdir(), 'vmm-mods-'));
+  await mkdir(join(directory, 'mods'));
+  for (const { filename, source, files } of definitions) {
+    const target = join(directory, 'mods', filename);
+    if (files) {
+      for (const [path, content] of Object.entries(files)) {
+        await mkdir(dirname(join(target, path)), { recursive: true });
+        await writeFile(join(target, path), content);
+      }
+    } else if (source !== undefined) {
+      await writeFile(target, source);
+    } else if (filename.endsWith('.js')) {
+      await copyFile(join(EXAMPLES_DIR, filename), target);
+    } else {
+      await cp(join(EXAMPLES_DIR, filename), target, { recursive: true });
+    }
+  }
+  await copyFile(join(LOADER_RESOURCES, MOD_RUNTIME.filename), join(directory, MOD_RUNTIME.filename));
+  const runtime = await readFile(join(LOADER_RESOURCES, 'loader-runtime.js'), 'utf8');
+  await writeFile(join(directory, 'loader.js'), createLoaderHeader(definitions, settings) + runtime);
+
+  const browser = openBrowser({ windowId });
+  const chrome = createChrome(chromeState);
+  const vivaldi = createVivaldi(vivaldiState);
+  const originalFetch = globalThis.fetch;
+  globalThis.chrome = chrome;
+  globalThis.vivaldi = vivaldi;
+  globalThis.fetch = createFileFetch(originalFetch);
+  const restoreObjectUrls = installModuleObjectUrls();
+
+  const close = async () => {
+    // Node keeps running the timers of mods that are still set up, so stop them like closing the window would
+    const vmm = browser.window.__vmm;
+    for (const mod of vmm ? vmm.getMods().reverse() : []) {
+      await vmm.disable(mod.id);
+    }
+    globalThis.fetch = originalFetch;
+    restoreObjectUrls();
+    delete globalThis.chrome;
+    delete globalThis.vivaldi;
+    browser.close();
+    await rm(directory, { recursive: true, force: true });
+  };
+
+  try {
+    beforeLoad?.(browser);
+    await import(pathToFileURL(join(directory, 'loader.js')).href);
+    const vmm = browser.window.__vmm;
+    const report = await vmm.ready;
+    return { browser, chrome, vivaldi, vmm, report, close, directory };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+};
+
+/**
+ * A mod that runs the given statements in setup, with `ctx` and `browser` (the #browser element) in scope
+ * @param {string} statements - Code to run in setup
+ * @returns {string} Source of the mod
+ */
+export const modSource = (statements) => `
+export default {
+  setup(ctx) {
+    const browser = document.getElementById('browser');
+    ${statements}
+  },
+  teardown() {},
+};
+`;
+
+/**
+ * Waits until a mod reaches a status, for mods that load after startup
+ * @param {Object} vmm - The mod registry API
+ * @param {string} idOrFilename - Mod id or filename
+ * @param {string} status - Status to wait for, such as `loaded`
+ * @param {number} [timeoutMs] - Time to wait at most
+ * @returns {Promise<Object>} The mod snapshot
+ * @throws {Error} If the mod does not reach the status in time
+ */
+export const waitForStatus = (vmm, idOrFilename, status, timeoutMs = 5000) => new Promise((resolve, reject) => {
+  let unsubscribe = () => {};
+  const timer = setTimeout(() => {
+    unsubscribe();
+    reject(new Error(`${idOrFilename} is still ${vmm.getMod(idOrFilename)?.status} after ${timeoutMs}ms, expected ${status}`));
+  }, timeoutMs);
+  unsubscribe = vmm.subscribe((mod) => {
+    if ((mod.id === idOrFilename || mod.filename === idOrFilename) && mod.status === status) {
+      clearTimeout(timer);
+      queueMicrotask(() => unsubscribe());
+      resolve(mod);
+    }
+  }, { replay: true });
+});
+
+/**
+ * Waits until a condition holds, checking once per event loop turn so it also works with mocked timers
+ * @param {function(): boolean} predicate - Condition to wait for
+ * @param {number} [turns] - Event loop turns to wait at most
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition does not hold in time
+ */
+export const waitFor = async (predicate, turns = 200) => {
+  for (let turn = 0; turn < turns; turn++) {
+    if (predicate()) {
+      return;
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  throw new Error(`Condition not met after ${turns} turns: ${predicate}`);
+};
@@ -0,0 +1,102 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi } from './harness/loader.js';
+
+const CATALOGS = {
+  en: {
+    greeting: 'Hello, {name}',
+    files: { '=0': 'No files', one: '{count} file', other: '{count} files' },
+    title: 'Easy Files',
+  },
+  de: {
+    greeting: 'Hallo, {name}',
+    files: { '=0': 'Keine Dateien', one: '{count} Datei', other: '{count} Dateien' },
+  },
+  'de-AT': {
+    greeting: 'Servus, {name}',
+  },
+};
+
+// A package that loads its locale files and keeps the translate function where the tests can reach it
+const PACKAGE_FILES = {
+  'mod.json': '{}',
+  'index.js': `
+export default {
+  async setup(ctx) {
+    window.translate = await ctx.runtime.i18n.load({ messages: { en: { inline: 'From the mod' } } });
+  },
+};
+`,
+  'locales/en.json': JSON.stringify({ files: { one: '{count} file', other: '{count} files' }, inline: 'From en.json' }),
+  'locales/pt.json': JSON.stringify({ files: { one: '{count} arquivo', other: '{count} arquivos' } }),
+};
+
+describe('mod i18n', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = async (locale, messages = {}) => {
+    session = await startVivaldi({ mods: [], chrome: { locale, messages } });
+    return session.vmm.runtime.i18n;
+  };
+
+  it('translates into the most specific locale with a message and fills placeholders', async () => {
+    const i18n = await start('de-AT');
+    const translate = i18n.createTranslator(CATALOGS);
+
+    assert.equal(i18n.getLocale(), 'de-AT');
+    assert.deepEqual(i18n.getLocales(), ['de-AT', 'de', 'en']);
+    assert.equal(translate('greeting', { name: 'Anna' }), 'Servus, Anna');
+    assert.equal(translate('files', { count: 0 }), 'Keine Dateien');
+    assert.equal(translate('files', { count: 1 }), '1 Datei');
+    assert.equal(translate('files', { count: 1200 }), '1.200 Dateien');
+    assert.equal(translate('greeting'), 'Servus, {name}');
+  });
+
+  it("falls back to Vivaldi's catalog, then to English and then to the key", async () => {
+    const messages = {};
+    const i18n = await start('fr', messages);
+    messages[i18n.getMessageName('Downloads')] = 'Téléchargements';
+    const translate = i18n.createTranslator(CATALOGS);
+
+    assert.equal(translate('Downloads'), 'Téléchargements');
+    assert.equal(translate('title'), 'Easy Files');
+    assert.equal(translate('files', { count: 2 }), '2 files');
+    assert.equal(translate('Show more'), 'Show more');
+  });
+
+  it('rejects catalogs with messages it cannot format', async () => {
+    const i18n = await start('en');
+
+    assert.throws(() => i18n.createTranslator({ en: ['Hello'] }), {
+      name: 'TypeError',
+      message: "Catalog 'en' must be an object of messages",
+    });
+    assert.throws(() => i18n.createTranslator({ en: { files: { one: '{count} file' } } }), {
+      name: 'TypeError',
+      message: "Message 'files' of 'en' must be a string or an object of plural forms with 'other'",
+    });
+  });
+
+  it('loads the locale files a package ships for the browser UI locale', async () => {
+    session = await startVivaldi({ mods: [{ filename: 'packaged', files: PACKAGE_FILES }], chrome: { locale: 'pt-BR' } });
+    const { translate } = session.browser.window;
+
+    assert.equal(translate('files', { count: 3 }), '3 arquivos');
+    assert.equal(translate('inline'), 'From en.json');
+  });
+
+  it('fails a package whose locale file is not JSON', async () => {
+    session = await startVivaldi({
+      mods: [{ filename: 'packaged', files: { ...PACKAGE_FILES, 'locales/en.json': '{ files' } }],
+    });
+
+    const [mod] = session.report.mods;
+    assert.equal(mod.status, 'failed');
+    assert.match(mod.error.message, /^packaged\/locales\/en\.json is not valid JSON/);
+  });
+});
@@ -0,0 +1,106 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+// Records that it ran and finds its own context by module URL
+const MOD = `
+window.integrityProbe = { url: import.meta.url, id: window.__vmm.getContext(import.meta.url)?.id };
+export default {
+  setup() {},
+  teardown() {},
+};
+`;
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+describe('mod integrity', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = (hash, settings) => startVivaldi({ mods: [{ filename: 'checked.js', source: MOD, sha256: hash }], settings });
+
+  it('imports a mod that matches its hash from the verified bytes', async () => {
+    session = await start(sha256(MOD));
+    const [mod] = session.report.mods;
+    const probe = session.browser.window.integrityProbe;
+
+    assert.equal(mod.status, 'loaded');
+    assert.deepEqual(mod.integrity, { expected: sha256(MOD), actual: sha256(MOD), verified: true });
+    assert.ok(!probe.url.startsWith('file:'));
+    assert.equal(probe.id, 'checked');
+  });
+
+  it('refuses a mod whose file changed since it was added', async () => {
+    const expected = sha256('export default { setup() {} };');
+    session = await start(expected);
+    const [mod] = session.report.mods;
+
+    assert.equal(session.browser.window.integrityProbe, undefined);
+    assert.equal(mod.status, 'failed');
+    assert.equal(mod.error.name, 'IntegrityError');
+    assert.match(mod.error.message, /^checked\.js was modified since it was added/);
+    assert.deepEqual(mod.integrity, { expected, actual: sha256(MOD), verified: false });
+    assert.match(session.browser.document.getElementById('vmm-notice-integrity').textContent, /did not load checked\.js/);
+  });
+
+  it('refuses a changed file with hot reload on too', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    session = await start(sha256('export default { setup() {} };'), { hotReload: true });
+    const [mod] = session.report.mods;
+
+    assert.equal(session.browser.window.integrityProbe, undefined);
+    assert.equal(mod.status, 'failed');
+    assert.equal(mod.error.name, 'IntegrityError');
+    assert.deepEqual(mod.warnings, []);
+  });
+
+  it('loads and reloads a changed file with a warning when hot reload allows unverified files', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const expected = sha256('export default { setup() {} };');
+    session = await start(expected, { hotReload: true, hotReloadAllowUnverified: true });
+    const mod = () => session.vmm.getMod('checked');
+
+    assert.equal(mod().status, 'loaded');
+    assert.deepEqual(mod().integrity, { expected, actual: sha256(MOD), verified: false });
+    assert.match(mod().warnings[0], /^checked\.js was modified since it was added.*Loaded anyway because hot reload allows unverified files$/);
+    assert.ok(session.browser.window.integrityProbe.url.startsWith('file:'));
+
+    const { fetch } = globalThis;
+    let reads = 0;
+    globalThis.fetch = (url, init) => {
+      reads += String(url).endsWith('/mods/checked.js') ? 1 : 0;
+      return fetch(url, init);
+    };
+    // Each check reads the mod from disk, which takes more event loop turns than waitFor allows by default
+    const tickUntil = (predicate) => waitFor(() => {
+      t.mock.timers.tick(1000);
+      return predicate();
+    }, 5000);
+
+    // The second check starts once the first has recorded the file as it was
+    await tickUntil(() => reads === 2);
+    const edited = MOD.replace('window.integrityProbe = {', 'window.integrityProbe = { edited: true,');
+    await writeFile(join(session.directory, 'mods', 'checked.js'), edited);
+    await tickUntil(() => session.browser.window.integrityProbe.edited === true && mod().status === 'loaded');
+
+    assert.deepEqual(mod().integrity, { expected, actual: sha256(edited), verified: false });
+    assert.equal(session.browser.window.integrityProbe.id, 'checked');
+  });
+
+  it('imports mods without a hash from their file', async () => {
+    session = await start(undefined);
+    const [mod] = session.report.mods;
+
+    assert.equal(mod.status, 'loaded');
+    assert.equal(mod.integrity, null);
+    assert.ok(session.browser.window.integrityProbe.url.startsWith('file:'));
+    assert.equal(session.browser.window.integrityProbe.id, 'checked');
+  });
+});
@@ -0,0 +1,94 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi } from './harness/loader.js';
+
+/**
+ * A mod with the given header tags that records when its setup runs in `window.setupOrder`
+ * @param {string} tags - Header lines such as `@requires base.js`
+ * @param {string} [statements] - Extra setup code
+ */
+const modSource = (tags, statements = '') => `/**
+${tags.split('\n').map((tag) => ` * ${tag.trim()}`).join('\n')}
+ */
+export default {
+  setup(ctx) {
+    (window.setupOrder = window.setupOrder || []).push(ctx.id);
+    ${statements}
+  },
+  teardown() {},
+};
+`;
+
+describe('load order', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = (mods) => startVivaldi({
+    mods: Object.entries(mods).map(([id, source]) => ({ filename: `${id}.js`, source })),
+  });
+
+  it('loads mods after the ones they require or follow and before the ones they precede', async () => {
+    session = await start({
+      first: modSource('@after third'),
+      second: modSource('@title Second'),
+      third: modSource('@requires fourth.js\n@after absent.js'),
+      fourth: modSource('@before second, third'),
+    });
+
+    assert.deepEqual(session.browser.window.setupOrder, ['fourth', 'second', 'third', 'first']);
+    assert.deepEqual(session.vmm.getMods().map((mod) => mod.id), ['fourth', 'second', 'third', 'first']);
+    assert.deepEqual(session.report.cycles, []);
+  });
+
+  it('skips mods whose requirements failed, were skipped or are not enabled', async () => {
+    session = await start({
+      accent: modSource('@title Accent', "throw new Error('No theme');"),
+      contrast: modSource('@requires accent'),
+      badge: modSource('@requires contrast.js'),
+      lonely: modSource('@requires missing.js'),
+    });
+
+    assert.deepEqual(session.report.mods.map(({ id, status, reason }) => [id, status, reason]), [
+      ['accent', 'failed', null],
+      ['contrast', 'skipped', 'Requires accent.js, which failed to load'],
+      ['badge', 'skipped', 'Requires contrast.js, which was skipped'],
+      ['lonely', 'skipped', 'Requires missing.js, which is not enabled'],
+    ]);
+    assert.equal(session.browser.window.setupOrder.length, 1);
+  });
+
+  it('reports a cycle and loads its mods in manifest order', async () => {
+    session = await start({
+      one: modSource('@after two'),
+      two: modSource('@after one'),
+      three: modSource('@before one'),
+    });
+
+    assert.deepEqual(session.browser.window.setupOrder, ['three', 'one', 'two']);
+    assert.deepEqual(session.report.cycles, [['one.js', 'two.js']]);
+    assert.deepEqual(session.vmm.getMod('two').warnings, [
+      'Load order cycle one.js → two.js → one.js; these mods load in manifest order',
+    ]);
+    assert.equal(session.report.counts.loaded, 3);
+  });
+
+  it('loads a waiting requirement straight away and keeps a dependent off while it is disabled', async () => {
+    session = await start({
+      accent: modSource('@runAt event:tabs.onCreated'),
+      contrast: modSource('@requires accent.js'),
+    });
+
+    assert.deepEqual(session.browser.window.setupOrder, ['accent', 'contrast']);
+    assert.equal(session.vmm.getMod('accent').runAt.firedBy, 'required by contrast.js');
+
+    await session.vmm.disable('contrast');
+    await session.vmm.disable('accent');
+    assert.equal(await session.vmm.enable('contrast'), false);
+    assert.equal(await session.vmm.enable('accent'), true);
+    assert.equal(await session.vmm.enable('contrast'), true);
+  });
+});
@@ -0,0 +1,137 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+// A package whose entry point imports a module next to it and reads its own stylesheet and strings
+const PACKAGE_FILES = {
+  'mod.json': JSON.stringify({ main: 'src/main.js', version: '1.2.0' }),
+  'src/main.js': `/**
+ * @title Packaged
+ */
+import { label } from './label.js';
+
+export default {
+  async setup(ctx) {
+    const strings = await ctx.package.json('locales/en.json');
+    ctx.runtime.addStyleSheet(await ctx.package.text('styles.css'));
+    window.packaged = { label, greeting: strings.greeting, version: ctx.package.manifest.version };
+  },
+  teardown() {},
+};
+`,
+  'src/label.js': `
+export const label = window.__vmm.getContext(import.meta.url).id;
+`,
+  'styles.css': '#browser { outline: 1px solid red; }',
+  'locales/en.json': JSON.stringify({ greeting: 'Hello' }),
+};
+
+describe('mod packages', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = (files, extra = {}) => startVivaldi({ mods: [{ filename: 'packaged', files, ...extra }] });
+
+  it('imports the entry point named in mod.json with its relative imports and files', async () => {
+    session = await start(PACKAGE_FILES);
+
+    assert.equal(session.report.mods[0].status, 'loaded', session.report.mods[0].error?.message);
+    assert.deepEqual(session.browser.window.packaged, { label: 'packaged', greeting: 'Hello', version: '1.2.0' });
+    assert.equal(session.vmm.getMod('packaged').footprint.styleSheets, 1);
+  });
+
+  it('uses index.js when mod.json does not name an entry point', async () => {
+    session = await start({
+      'mod.json': '{}',
+      'index.js': 'export default { setup(ctx) { window.packageMain = ctx.package.manifest.main; } };',
+    });
+
+    assert.equal(session.browser.window.packageMain, 'index.js');
+  });
+
+  it('fails a package without a usable mod.json', async () => {
+    session = await startVivaldi({
+      mods: [
+        { filename: 'missing', files: { 'index.js': 'export default {};' } },
+        { filename: 'broken', files: { 'mod.json': '{ main: ', 'index.js': 'export default {};' } },
+        { filename: 'escaping', files: { 'mod.json': JSON.stringify({ main: '../escaping.js' }) } },
+      ],
+    });
+
+    const errors = session.report.mods.map((mod) => [mod.status, mod.error?.message]);
+    assert.deepEqual(errors.map(([status]) => status), ['failed', 'failed', 'failed']);
+    assert.equal(errors[0][1], 'Package missing has no mod.json');
+    assert.match(errors[1][1], /^broken\/mod\.json is not valid JSON/);
+    assert.equal(errors[2][1], "'main' in escaping/mod.json must name a .js file inside the package");
+  });
+
+  it('does not verify a package, even when a checksum reaches the loader', async () => {
+    session = await start(PACKAGE_FILES, { sha256: 'a'.repeat(64) });
+
+    const [mod] = session.report.mods;
+    assert.equal(mod.status, 'loaded', mod.error?.message);
+    assert.equal(mod.integrity, null);
+    assert.equal(session.browser.window.packaged.label, 'packaged');
+  });
+
+  it('asks for a reload when a module the entry point imports changes', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const listing = JSON.stringify(Object.keys(PACKAGE_FILES).sort());
+    session = await startVivaldi({
+      mods: [{ filename: 'packaged', files: { ...PACKAGE_FILES, '.vmm-files.json': listing } }],
+      settings: { hotReload: true },
+    });
+    const { fetch } = globalThis;
+    const reads = [];
+    globalThis.fetch = (url, init) => {
+      reads.push(String(url));
+      return fetch(url, init);
+    };
+    const labelReads = () => reads.filter((url) => url.endsWith('/packaged/src/label.js')).length;
+    // Each check reads the package from disk, which takes more event loop turns than waitFor allows by default
+    const tickUntil = (predicate) => waitFor(() => {
+      t.mock.timers.tick(1000);
+      return predicate();
+    }, 5000);
+
+    // The second check starts once the first has recorded the files as they were
+    await tickUntil(() => labelReads() === 2);
+    await writeFile(join(session.directory, 'mods', 'packaged', 'src', 'label.js'), 'export const label = "edited";');
+    await tickUntil(() => session.browser.window.document.getElementById('vmm-notice-hot-reload') !== null);
+
+    assert.match(session.browser.window.document.getElementById('vmm-notice-hot-reload').textContent, /package packaged changed/);
+  });
+
+  it('treats a filename ending in .JS as a single-file mod', async () => {
+    const source = 'export default { setup(ctx) { window.upperPackage = ctx.package; } };';
+    // Node only imports lowercase .js files, so the mod is verified and imported from its content instead
+    session = await startVivaldi({
+      mods: [{ filename: 'Upper.JS', source, sha256: createHash('sha256').update(source).digest('hex') }],
+    });
+
+    assert.equal(session.report.mods[0].status, 'loaded', session.report.mods[0].error?.message);
+    assert.equal(session.browser.window.upperPackage, null);
+  });
+
+  it('only reads files inside the package', async () => {
+    session = await startVivaldi({
+      mods: [
+        { filename: 'packaged', files: PACKAGE_FILES },
+        { filename: 'single.js', source: 'export default { setup(ctx) { window.singlePackage = ctx.package; } };' },
+      ],
+    });
+    const { package: modPackage } = session.vmm.getContext('packaged');
+
+    assert.throws(() => modPackage.url('../single.js'), { name: 'TypeError' });
+    assert.throws(() => modPackage.url('https://example.com/styles.css'), { name: 'TypeError' });
+    await assert.rejects(modPackage.text('missing.css'), /^Error: Could not read packaged\/missing\.css: HTTP 404$/);
+    assert.equal(session.browser.window.singlePackage, null);
+  });
+});
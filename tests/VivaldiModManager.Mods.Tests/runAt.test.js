@@ -0,0 +1,97 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi, waitForStatus } from './harness/loader.js';
+
+/**
+ * A mod that counts its setups, with the given `@runAt` tags in its header
+ */
+const lazyMod = (...triggers) => `/**
+ * @title Lazy
+${triggers.map((trigger) => ` * @runAt ${trigger}`).join('\n')}
+ */
+export default {
+  setup() {
+    window.lazySetups = (window.lazySetups || 0) + 1;
+  },
+  teardown() {},
+};
+`;
+
+describe('deferred activation', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = (...triggers) => startVivaldi({ mods: [{ filename: 'lazy.js', source: lazyMod(...triggers) }] });
+
+  const setups = () => session.browser.window.lazySetups || 0;
+
+  it('imports a mod once the browser is idle after startup', async () => {
+    session = await start('idle');
+
+    assert.equal(session.report.counts.waiting, 1);
+    assert.deepEqual(session.report.mods[0].runAt, { triggers: ['idle'], firedBy: null });
+    assert.equal(setups(), 0);
+
+    const mod = await waitForStatus(session.vmm, 'lazy', 'loaded');
+    assert.deepEqual(mod.runAt, { triggers: ['idle'], firedBy: 'idle' });
+    assert.equal(setups(), 1);
+  });
+
+  it('imports a mod when an element it waits for appears', async () => {
+    session = await start('element:.vmm-lazy-target', 'element:addressDropdown');
+    assert.equal(session.vmm.getMod('lazy').status, 'waiting');
+
+    session.browser.openAddressDropdown();
+
+    const mod = await waitForStatus(session.vmm, 'lazy', 'loaded');
+    assert.equal(mod.runAt.firedBy, 'element:addressDropdown');
+    assert.equal(setups(), 1);
+  });
+
+  it('imports a mod the first time an extension event fires', async () => {
+    session = await start('event:downloads.onCreated');
+    assert.equal(session.chrome.downloads.onCreated.hasListeners(), true);
+
+    await session.chrome.downloads.onCreated.dispatch({ id: 1 });
+    await session.chrome.downloads.onCreated.dispatch({ id: 2 });
+
+    await waitForStatus(session.vmm, 'lazy', 'loaded');
+    assert.equal(setups(), 1);
+    assert.equal(session.chrome.downloads.onCreated.hasListeners(), false);
+  });
+
+  it('loads at startup when start is one of the triggers', async () => {
+    session = await start('event:downloads.onCreated', 'start');
+
+    assert.equal(session.report.counts.loaded, 1);
+    assert.equal(session.report.mods[0].runAt, null);
+    assert.equal(session.chrome.downloads.onCreated.hasListeners(), false);
+  });
+
+  it('ignores triggers it cannot watch and loads when none are left', async () => {
+    session = await start('someday', 'event:downloads.onTeleported', 'element:[broken');
+
+    const mod = await waitForStatus(session.vmm, 'lazy', 'loaded');
+    assert.equal(mod.runAt.firedBy, 'start');
+    assert.equal(mod.warnings.length, 3);
+    assert.match(mod.warnings[0], /^@runAt 'someday' is not understood/);
+    assert.match(mod.warnings[1], /^@runAt 'event:downloads.onTeleported' cannot be watched \(there is no event/);
+    assert.match(mod.warnings[2], /^@runAt 'element:\[broken' cannot be watched/);
+  });
+
+  it('keeps a disabled mod from loading until it is enabled', async () => {
+    session = await start('event:downloads.onCreated');
+
+    assert.equal(await session.vmm.disable('lazy'), true);
+    await session.chrome.downloads.onCreated.dispatch({ id: 1 });
+    assert.equal(session.vmm.getMod('lazy').status, 'disabled');
+    assert.equal(setups(), 0);
+
+    assert.equal(await session.vmm.enable('lazy'), true);
+    assert.equal(setups(), 1);
+  });
+});
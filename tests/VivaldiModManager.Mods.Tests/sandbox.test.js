@@ -0,0 +1,162 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+// Adds one of every tracked side effect and keeps nothing to undo them with
+const BUSY_MOD = `
+export default {
+  setup(ctx) {
+    const probe = window.sandboxProbe = { clicks: 0, ticks: 0, mutations: 0, appended: 0 };
+    ctx.chrome.tabs.onCreated.addListener(() => {});
+    ctx.chrome.webNavigation.onCommitted.addListener(() => {}, { url: [{ schemes: ['https'] }] });
+    ctx.vivaldi.prefs.onChanged.addListener(() => {});
+    ctx.dom.addEventListener(document, 'click', () => probe.clicks++);
+    ctx.dom.setInterval(() => probe.ticks++, 10);
+    ctx.dom.setTimeout(() => probe.ticks++, 60000);
+    ctx.dom.track(new MutationObserver(() => probe.mutations++)).observe(document.body, { childList: true, subtree: true });
+    const badge = document.createElement('span');
+    badge.id = 'sandbox-badge';
+    ctx.dom.inject(badge, '#browser');
+    ctx.runtime.createElement('div', { id: 'sandbox-panel' }, '#browser', '<button>inside</button>');
+    ctx.runtime.addStyleSheet('#sandbox-panel { color: red; }');
+    ctx.runtime.setStyleProperty(document.getElementById('browser'), '--sandboxAccent', 'red');
+    ctx.runtime.override(HTMLDivElement.prototype, 'appendChild', () => probe.appended++);
+  },
+  teardown() {},
+};
+`;
+
+const EMPTY_FOOTPRINT = { listeners: 0, observers: 0, timers: 0, styleSheets: 0, elements: 0, overrides: 0, styleProperties: 0 };
+
+describe('mod sandbox', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  const start = (source) => startVivaldi({ mods: [{ filename: 'sandboxed.js', source }] });
+
+  const footprint = () => session.vmm.getMod('sandboxed').footprint;
+
+  it('reports the side effects of each mod as its footprint', async () => {
+    session = await start(BUSY_MOD);
+
+    assert.deepEqual(session.report.mods[0].footprint, {
+      listeners: 4,
+      observers: 1,
+      timers: 2,
+      styleSheets: 1,
+      elements: 2,
+      overrides: 1,
+      styleProperties: 1,
+    });
+  });
+
+  it('removes every tracked side effect when the mod is disabled', async () => {
+    session = await start(BUSY_MOD);
+    const { browser, chrome, vivaldi } = session;
+    const probe = browser.window.sandboxProbe;
+    const styles = () => browser.document.querySelectorAll('head style').length;
+    const stylesBefore = styles();
+
+    assert.equal(await session.vmm.disable('sandboxed'), true);
+
+    assert.deepEqual(footprint(), EMPTY_FOOTPRINT);
+    assert.equal(chrome.tabs.onCreated.hasListeners(), false);
+    assert.equal(chrome.webNavigation.onCommitted.hasListeners(), false);
+    assert.equal(vivaldi.prefs.onChanged.hasListeners(), false);
+    assert.equal(browser.document.getElementById('sandbox-badge'), null);
+    assert.equal(browser.document.getElementById('sandbox-panel'), null);
+    assert.equal(styles(), stylesBefore - 1);
+    assert.equal(browser.document.getElementById('browser').style.getPropertyValue('--sandboxAccent'), '');
+    assert.equal(browser.window.HTMLDivElement.prototype.appendChild, browser.window.Node.prototype.appendChild);
+
+    const before = { ...probe };
+    browser.document.body.click();
+    browser.document.body.appendChild(browser.document.createElement('div'));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(probe, before);
+  });
+
+  it('forgets side effects the mod undoes itself', async () => {
+    session = await start(`
+      const onCreated = () => {};
+      const onClick = () => {};
+      export default {
+        setup(ctx) {
+          ctx.chrome.tabs.onCreated.addListener(onCreated);
+          ctx.dom.addEventListener(document, 'click', onClick, { capture: true });
+          ctx.dom.setTimeout(() => {}, 0);
+          const timer = ctx.dom.setInterval(() => {}, 1000);
+          const observer = ctx.dom.track(new MutationObserver(() => {}));
+          const element = ctx.runtime.createElement('div', {}, '#browser');
+          window.sandboxUndo = () => {
+            ctx.chrome.tabs.onCreated.removeListener(onCreated);
+            ctx.dom.removeEventListener(document, 'click', onClick, true);
+            ctx.dom.clearInterval(timer);
+            observer.disconnect();
+            element.remove();
+          };
+        },
+        teardown() {},
+      };
+    `);
+    await waitFor(() => footprint().timers === 1);
+    assert.deepEqual(footprint(), { ...EMPTY_FOOTPRINT, listeners: 2, timers: 1, observers: 1, elements: 1 });
+
+    session.browser.window.sandboxUndo();
+
+    assert.deepEqual(footprint(), EMPTY_FOOTPRINT);
+  });
+
+  it('removes the side effects of a mod whose setup fails', async () => {
+    session = await start(`
+      export default {
+        setup(ctx) {
+          ctx.chrome.tabs.onCreated.addListener(() => {});
+          ctx.runtime.createElement('div', { id: 'half-done' }, '#browser');
+          throw new Error('setup failed halfway');
+        },
+      };
+    `);
+
+    assert.equal(session.report.mods[0].status, 'failed');
+    assert.deepEqual(session.report.mods[0].footprint, EMPTY_FOOTPRINT);
+    assert.equal(session.chrome.tabs.onCreated.hasListeners(), false);
+    assert.equal(session.browser.document.getElementById('half-done'), null);
+  });
+
+  it('tracks side effects again when a disabled mod is enabled', async () => {
+    session = await start(BUSY_MOD);
+    await session.vmm.disable('sandboxed');
+
+    assert.equal(await session.vmm.enable('sandboxed'), true);
+
+    assert.equal(footprint().listeners, 4);
+    assert.equal(session.chrome.tabs.onCreated.listeners.size, 1);
+    await session.vmm.disable('sandboxed');
+  });
+
+  it('leaves the real chrome and vivaldi objects to the mod', async () => {
+    session = await start(`
+      export default {
+        setup(ctx) {
+          window.sandboxViews = {
+            query: ctx.chrome.tabs.query({}),
+            sameNamespace: ctx.chrome.tabs === ctx.chrome.tabs,
+            hasDownloads: 'downloads' in ctx.chrome,
+            version: ctx.vivaldi.utilities.getVersion(),
+          };
+        },
+      };
+    `);
+    const views = session.browser.window.sandboxViews;
+
+    assert.deepEqual(await views.query, []);
+    assert.equal(views.sameNamespace, true);
+    assert.equal(views.hasDownloads, true);
+    assert.equal((await views.version).vivaldiVersion, '7.5.3735.74');
+  });
+});
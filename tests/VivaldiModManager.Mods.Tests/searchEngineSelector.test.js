@@ -0,0 +1,176 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { REACT_PROPS_KEY } from './harness/browser.js';
+import { startVivaldi, waitFor, waitForStatus } from './harness/loader.js';
+
+const ENGINES = [
+  { guid: 'engine-google', keyword: 'g', name: 'Google', faviconUrl: 'data:image/png;base64,AAAA' },
+  { guid: 'engine-duck', keyword: 'd', name: 'DuckDuckGo', faviconUrl: 'https://duckduckgo.com/favicon.ico' },
+];
+
+describe('searchEngineSelector.js', () => {
+  let session;
+  let addressValueDescriptor;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads the mod and waits until it has read the search engines
+   */
+  const start = async (config) => {
+    session = await startVivaldi({
+      mods: [{ filename: 'searchEngineSelector.js', config }],
+      vivaldi: { searchEngines: ENGINES.map((engine) => ({ ...engine })) },
+      beforeLoad: (browser) => {
+        addressValueDescriptor = Object.getOwnPropertyDescriptor(browser.addressField, 'value');
+      },
+    });
+    assert.equal(session.report.counts.waiting, 1);
+
+    // The mod loads when the dropdown first opens and builds the bar once it knows the engines
+    const { browser } = session;
+    const dropdown = browser.openAddressDropdown();
+    await waitForStatus(session.vmm, 'searchEngineSelector', 'loaded');
+    await waitFor(() => dropdown.querySelectorAll('.search-engine-button').length > 0);
+    dropdown.remove();
+    return browser;
+  };
+
+  const buttons = (dropdown) => [...dropdown.querySelectorAll('.search-engines-in-address-bar button')];
+  const engineButton = (dropdown, keyword) => buttons(dropdown).find((button) => button.title.startsWith(`${keyword} :`));
+  const pressButton = (browser, button) => button.dispatchEvent(new browser.window.MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+
+  it('adds a button for every engine and a button to remove the keyword when the dropdown opens', async () => {
+    const browser = await start();
+    const dropdown = browser.openAddressDropdown();
+
+    assert.equal(dropdown.firstElementChild.className, 'search-engines-in-address-bar');
+    assert.deepEqual(buttons(dropdown).map((button) => button.title), ['g : Google', 'd : DuckDuckGo', '']);
+    assert.equal(engineButton(dropdown, 'd').querySelector('img').getAttribute('srcset'),
+      'chrome://favicon/size/16@1x/iconurl/https://duckduckgo.com/favicon.ico 1x,' +
+      'chrome://favicon/size/16@2x/iconurl/https://duckduckgo.com/favicon.ico 2x');
+    assert.ok(dropdown.querySelector('.remove-search-engine-button').classList.contains('active'));
+  });
+
+  it('ignores elements appended outside the address bar', async () => {
+    const browser = await start();
+    const element = browser.document.createElement('div');
+    element[REACT_PROPS_KEY] = { className: 'OmniDropdown' };
+
+    browser.document.getElementById('main').appendChild(element);
+
+    assert.equal(element.children.length, 0);
+  });
+
+  it('marks the engine whose keyword is already typed', async () => {
+    const browser = await start();
+    browser.typeAddress('d kittens');
+
+    const dropdown = browser.openAddressDropdown();
+
+    assert.ok(engineButton(dropdown, 'd').classList.contains('active'));
+    assert.ok(engineButton(dropdown, 'd').classList.contains('disabled'));
+    assert.ok(!engineButton(dropdown, 'g').classList.contains('active'));
+  });
+
+  it('puts the keyword of the chosen engine in front of the typed text', async () => {
+    const browser = await start();
+    browser.typeAddress('kittens');
+    const dropdown = browser.openAddressDropdown();
+
+    pressButton(browser, engineButton(dropdown, 'g'));
+    assert.equal(browser.addressField.value, 'g kittens');
+    assert.ok(engineButton(dropdown, 'g').classList.contains('active'));
+
+    pressButton(browser, engineButton(dropdown, 'd'));
+    assert.equal(browser.addressField.value, 'd kittens');
+    assert.ok(engineButton(dropdown, 'd').classList.contains('active'));
+    assert.ok(!engineButton(dropdown, 'g').classList.contains('active'));
+  });
+
+  it('follows keywords typed while the dropdown is open', async () => {
+    const browser = await start();
+    const dropdown = browser.openAddressDropdown();
+
+    browser.typeAddress('g puppies');
+    assert.ok(engineButton(dropdown, 'g').classList.contains('active'));
+
+    browser.typeAddress('puppies');
+    assert.ok(dropdown.querySelector('.remove-search-engine-button').classList.contains('active'));
+  });
+
+  it('removes the keyword with the remove button', async () => {
+    const browser = await start();
+    browser.typeAddress('d kittens');
+    const dropdown = browser.openAddressDropdown();
+
+    pressButton(browser, dropdown.querySelector('.remove-search-engine-button'));
+
+    assert.equal(browser.addressField.value, 'kittens');
+    assert.ok(!engineButton(dropdown, 'd').classList.contains('active'));
+  });
+
+  it('searches right away with oneClick', async (t) => {
+    const browser = await start({ oneClick: true });
+    const onKeyDown = t.mock.fn();
+    browser.addressField[REACT_PROPS_KEY].onKeyDown = onKeyDown;
+    browser.typeAddress('d kittens');
+    const dropdown = browser.openAddressDropdown();
+
+    assert.ok(!engineButton(dropdown, 'd').classList.contains('disabled'));
+    pressButton(browser, engineButton(dropdown, 'g'));
+
+    assert.equal(browser.addressField.value, 'g kittens');
+    await waitFor(() => onKeyDown.mock.callCount() === 1);
+    assert.equal(onKeyDown.mock.calls[0].arguments[0].key, 'Enter');
+  });
+
+  it('picks up engines edited in the settings', async () => {
+    const browser = await start();
+
+    await session.vivaldi.searchEngines.update([
+      { guid: 'engine-wiki', keyword: 'w', name: 'Wikipedia', faviconUrl: 'data:image/png;base64,BBBB' },
+    ]);
+    await waitFor(() => {
+      const dropdown = browser.openAddressDropdown();
+      const titles = buttons(dropdown).map((button) => button.title);
+      dropdown.remove();
+      return titles[0] === 'w : Wikipedia';
+    });
+  });
+
+  it('cycles through the engines with its cycleEngine command', async () => {
+    const browser = await start();
+    browser.typeAddress('kittens');
+    const dropdown = browser.openAddressDropdown();
+
+    browser.press('Ctrl+Alt+E');
+    assert.equal(browser.addressField.value, 'g kittens');
+    assert.ok(engineButton(dropdown, 'g').classList.contains('active'));
+
+    browser.press('Ctrl+Alt+E');
+    assert.equal(browser.addressField.value, 'd kittens');
+
+    browser.press('Ctrl+Alt+E');
+    assert.equal(browser.addressField.value, 'kittens');
+  });
+
+  it('removes the bar and restores the address field on teardown', async () => {
+    const browser = await start();
+    browser.openAddressDropdown().remove();
+    const dropdown = browser.openAddressDropdown();
+    assert.notEqual(Object.getOwnPropertyDescriptor(browser.addressField, 'value').set, addressValueDescriptor.set);
+
+    assert.equal(await session.vmm.disable('searchEngineSelector'), true);
+
+    assert.equal(dropdown.querySelector('.search-engines-in-address-bar'), null);
+    assert.equal(browser.window.HTMLDivElement.prototype.appendChild, browser.window.Node.prototype.appendChild);
+    assert.deepEqual(Object.getOwnPropertyDescriptor(browser.addressField, 'value'), addressValueDescriptor);
+    assert.equal(browser.addressField.dataset.searchEnginesInAddressBar, undefined);
+    assert.equal(browser.openAddressDropdown().children.length, 0);
+    assert.equal(session.vivaldi.searchEngines.onTemplateUrlsChanged.hasListeners(), false);
+  });
+});
@@ -0,0 +1,92 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi } from './harness/loader.js';
+
+// Hands its runtime to the test
+const RUNTIME_MOD = `
+export default {
+  setup(ctx) {
+    window.selectorRuntime = ctx.runtime;
+  },
+  teardown() {
+    delete window.selectorRuntime;
+  },
+};
+`;
+
+describe('selector registry', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads a mod and returns the selector registry of its runtime
+   */
+  const start = async (options = {}) => {
+    session = await startVivaldi({ mods: [{ filename: 'selectors.js', source: RUNTIME_MOD }], ...options });
+    return session.browser.window.selectorRuntime.selectors;
+  };
+
+  it('resolves semantic names to parts of the browser UI', async () => {
+    const selectors = await start({ beforeLoad: (browser) => browser.addTab({ id: 7, active: true }) });
+    const { document } = session.browser;
+
+    assert.equal(selectors.query('addressField'), session.browser.addressField);
+    assert.equal(selectors.query('panels'), document.getElementById('panels'));
+    assert.deepEqual(selectors.queryAll('tab'), [...document.querySelectorAll('div.tab')]);
+    assert.equal(selectors.tabId(selectors.query('tab')), '7');
+    assert.ok(selectors.matches(session.browser.panelButton('PanelBookmarks'), 'panelButton'));
+    assert.equal(selectors.closest(session.browser.addressField, 'addressBar'), document.querySelector('.UrlBar-AddressField'));
+    assert.equal(await selectors.waitFor('browser'), document.getElementById('browser'));
+  });
+
+  it('falls back to later candidates of a name', async () => {
+    const selectors = await start();
+
+    selectors.define('sidebar', ['#vivaldi-sidebar', '#panels']);
+
+    assert.equal(selectors.query('sidebar'), session.browser.document.getElementById('panels'));
+    assert.equal(selectors.get('sidebar'), '#vivaldi-sidebar, #panels');
+    assert.equal(selectors.report().names.sidebar.selector, '#panels');
+  });
+
+  it('only tries candidates meant for the running Vivaldi version', async () => {
+    const selectors = await start({ vivaldi: { version: '7.5.3735.74' } });
+
+    selectors.define('toolbar', [
+      { selector: '#tabs-container', since: '7.6' },
+      { selector: '#header', since: '7.5', before: '7.6' },
+      { selector: '#panels', before: '7.5' },
+    ]);
+
+    assert.equal(selectors.get('toolbar'), '#header');
+    assert.equal(selectors.query('toolbar'), session.browser.document.getElementById('header'));
+  });
+
+  it('reports names that never resolved', async () => {
+    const selectors = await start();
+    selectors.define('statusBar', ['.toolbar-statusbar']);
+
+    assert.equal(selectors.query('statusBar'), null);
+    assert.deepEqual(selectors.queryAll('statusBar'), []);
+    selectors.query('browser');
+    await assert.rejects(selectors.waitFor('statusBar', session.browser.document, 200), {
+      message: "Element 'statusBar' not found within 200ms",
+    });
+
+    const report = session.vmm.getReport().selectors;
+    assert.equal(report.vivaldiVersion, '7.5.3735.74');
+    assert.deepEqual(report.unresolved, ['statusBar']);
+    assert.deepEqual(report.names.statusBar, { selector: null, found: 0, missed: 3 });
+    assert.deepEqual(report.names.browser, { selector: '#browser', found: 1, missed: 0 });
+  });
+
+  it('rejects names that are not in the registry', async () => {
+    const selectors = await start();
+
+    assert.throws(() => selectors.query('sideBar'), { message: "Unknown selector name 'sideBar'" });
+  });
+});
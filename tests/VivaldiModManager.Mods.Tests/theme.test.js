@@ -0,0 +1,124 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+// Hands its runtime to the test and records the theme changes it is told about
+const RUNTIME_MOD = `
+export default {
+  setup(ctx) {
+    window.themeRuntime = ctx.runtime;
+    window.themeChanges = [];
+    ctx.runtime.theme.onChanged((theme, previous) => window.themeChanges.push([previous?.id, theme?.id]));
+  },
+  teardown() {},
+};
+`;
+
+const DARK = {
+  id: 'dark',
+  name: 'Dark',
+  colorAccentBg: '#3366cc',
+  colorBg: '#202020',
+  colorFg: '#ffffff',
+  colorHighlightBg: '#4a90d9',
+  colorWindowBg: '#151515',
+  accentFromPage: true,
+  accentOnWindow: false,
+  accentSaturationLimit: 0.8,
+  transparencyTabs: true,
+};
+
+const LIGHT = { id: 'light', name: 'Light', colorAccentBg: '#ffffff', colorBg: '#f5f5f5', colorFg: '#000000' };
+
+describe('theme service', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads the mod in window 1 with the dark theme selected, and returns its `theme` helpers
+   */
+  const start = async ({ incognito = false } = {}) => {
+    session = await startVivaldi({
+      mods: [{ filename: 'theme.js', source: RUNTIME_MOD }],
+      chrome: { windows: [{ id: 1, focused: true, incognito }] },
+      vivaldi: {
+        prefs: { 'vivaldi.themes.current': 'dark', 'vivaldi.themes.system': [DARK], 'vivaldi.themes.user': [LIGHT] },
+      },
+    });
+    return session.browser.window.themeRuntime.theme;
+  };
+
+  const setPref = (path, value) => session.vivaldi.prefs.set({ path, value });
+
+  it('resolves the current theme with its colors, accent and transparency settings', async () => {
+    const theme = await start({ incognito: true });
+
+    const current = await theme.current();
+    assert.deepEqual({ ...current, settings: undefined }, {
+      id: 'dark',
+      name: 'Dark',
+      colors: { accentBg: '#3366cc', bg: '#202020', fg: '#ffffff', highlightBg: '#4a90d9', windowBg: '#151515' },
+      accent: { fromPage: true, onWindow: false, saturationLimit: 0.8 },
+      transparency: { tabs: true, tabBar: false },
+      isDark: true,
+      isPrivate: true,
+      settings: undefined,
+    });
+    assert.equal(current.settings.colorWindowBg, '#151515');
+    assert.ok(Object.isFrozen(current.colors));
+
+    await setPref('vivaldi.themes.current', 'light');
+    const light = await theme.current();
+    assert.equal(light.isDark, false);
+    assert.deepEqual(light.accent, { fromPage: false, onWindow: false, saturationLimit: 1 });
+
+    await setPref('vivaldi.themes.current', 'missing');
+    assert.equal(await theme.current(), null);
+  });
+
+  it('tells listeners when the current theme changes, and only then', async () => {
+    await start();
+    const { window } = session.browser;
+
+    await setPref('vivaldi.themes.user', [{ ...LIGHT, colorBg: '#eeeeee' }]);
+    await setPref('vivaldi.themes.current', 'light');
+    await waitFor(() => window.themeChanges.length === 1);
+    await setPref('vivaldi.themes.system', [{ ...DARK, colorAccentBg: '#cc3333' }]);
+    await setPref('vivaldi.themes.user', [{ ...LIGHT, transparencyTabBar: true }]);
+    await waitFor(() => window.themeChanges.length === 2);
+    await setPref('vivaldi.themes.current', 'dark');
+    await waitFor(() => window.themeChanges.length === 3);
+
+    assert.deepEqual(window.themeChanges, [['dark', 'light'], ['light', 'light'], ['light', 'dark']]);
+    assert.equal((await window.themeRuntime.theme.current()).colors.accentBg, '#cc3333');
+  });
+
+  it('stops watching the prefs when the mod is disabled', async () => {
+    await start();
+    assert.equal(session.vivaldi.prefs.onChanged.hasListeners(), true);
+
+    await session.vmm.disable('theme');
+
+    assert.equal(session.vivaldi.prefs.onChanged.hasListeners(), false);
+  });
+
+  it('derives text colors that are readable on a background', async () => {
+    const theme = await start();
+
+    assert.equal(theme.contrastRatio('#000', 'rgb(255, 255, 255)'), 21);
+    assert.equal(theme.contrastColor('#3366cc'), '#ffffff');
+    assert.equal(theme.contrastColor('#ffeb3b', { light: '#f0f0f0', dark: '#222222' }), '#222222');
+    assert.equal(theme.ensureContrast('#1428C8', '#ffffff'), '#1428c8');
+
+    const adjusted = theme.ensureContrast('#8899aa', '#f5f5f5');
+    assert.ok(theme.contrastRatio(adjusted, '#f5f5f5') >= 4.5);
+    assert.ok(theme.contrastRatio(adjusted, '#f5f5f5') < 4.6);
+    assert.ok(theme.contrastRatio(theme.ensureContrast('#444444', '#202020', 7), '#202020') >= 7);
+    assert.equal(theme.ensureContrast('#808080', '#808080', 25), '#000000');
+    assert.throws(() => theme.contrastColor('hsl(0 0% 0%)'), { name: 'TypeError' });
+  });
+});
@@ -0,0 +1,100 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startVivaldi, waitFor } from './harness/loader.js';
+
+// Hands its runtime to the test and relays messages from the other windows
+const RUNTIME_MOD = `
+export default {
+  setup(ctx) {
+    window.windowsRuntime = ctx.runtime;
+    window.windowsReceived = [];
+    ctx.runtime.windows.channel('probe').subscribe((message, from) => window.windowsReceived.push({ message, from }));
+  },
+  teardown() {
+    delete window.windowsRuntime;
+  },
+};
+`;
+
+describe('window coordination', () => {
+  let session;
+
+  afterEach(async () => {
+    await session?.close();
+    session = undefined;
+  });
+
+  /**
+   * Loads the mod in window 2 of a browser with windows 1 and 2, and returns its `windows` helpers
+   */
+  const start = async (focusedId = 2) => {
+    session = await startVivaldi({
+      mods: [{ filename: 'windows.js', source: RUNTIME_MOD }],
+      windowId: 2,
+      chrome: { windows: [{ id: 1, focused: focusedId === 1 }, { id: 2, focused: focusedId === 2 }] },
+    });
+    return session.browser.window.windowsRuntime.windows;
+  };
+
+  it('follows the focus between windows', async () => {
+    const windows = await start();
+    const changes = [];
+    windows.onFocusChanged((isFocused, focusedId) => changes.push({ isFocused, focusedId }));
+
+    assert.equal(windows.id, 2);
+    assert.equal(await windows.isFocused(), true);
+
+    await session.chrome.windows.onFocusChanged.dispatch(1);
+    assert.equal(await windows.isFocused(), false);
+    await session.chrome.windows.onFocusChanged.dispatch(session.chrome.windows.WINDOW_ID_NONE);
+    assert.equal(await windows.focusedId(), null);
+
+    assert.deepEqual(changes, [{ isFocused: false, focusedId: 1 }, { isFocused: false, focusedId: null }]);
+  });
+
+  it('makes the open window with the lowest id the primary one', async () => {
+    const windows = await start();
+    const changes = [];
+    windows.onPrimaryChanged((isPrimary) => changes.push(isPrimary));
+
+    assert.equal(await windows.isPrimary(), false);
+
+    await session.chrome.windows.onCreated.dispatch({ id: 3 });
+    await session.chrome.windows.onRemoved.dispatch(1);
+
+    assert.equal(await windows.isPrimary(), true);
+    assert.deepEqual(changes, [true]);
+  });
+
+  it('passes messages between the copies of a mod in different windows', async () => {
+    await start();
+    const otherWindow = new BroadcastChannel('vmm:probe');
+    const sent = [];
+    otherWindow.onmessage = ({ data }) => sent.push(data);
+
+    try {
+      otherWindow.postMessage({ from: 1, message: { action: 'ping' } });
+      await waitFor(() => session.browser.window.windowsReceived.length === 1);
+      session.browser.window.windowsRuntime.windows.channel('probe').post('pong');
+      await waitFor(() => sent.length === 1);
+    } finally {
+      otherWindow.close();
+    }
+
+    assert.deepEqual(session.browser.window.windowsReceived, [{ message: { action: 'ping' }, from: 1 }]);
+    assert.deepEqual(sent, [{ from: 2, message: 'pong' }]);
+  });
+
+  it('removes window listeners and closes channels when the mod is disabled', async () => {
+    const windows = await start();
+    const changes = [];
+    windows.onFocusChanged((isFocused) => changes.push(isFocused));
+    assert.equal(session.vmm.getMod('windows').footprint.listeners, 2);
+
+    await session.vmm.disable('windows');
+    await session.chrome.windows.onFocusChanged.dispatch(1);
+
+    assert.deepEqual(changes, []);
+    assert.equal(session.vmm.getMod('windows').footprint.listeners, 0);
+  });
+});
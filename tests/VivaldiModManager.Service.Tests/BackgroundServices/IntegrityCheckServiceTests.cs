@@ -1,6 +1,8 @@
 using FluentAssertions;
 using Microsoft.Extensions.Logging;
 using Moq;
+using System.Reflection;
+using VivaldiModManager.Core.Constants;
 using VivaldiModManager.Core.Models;
 using VivaldiModManager.Core.Services;
 using VivaldiModManager.Service.BackgroundServices;
@@ -191,6 +193,52 @@ public async Task StartAsync_WithMultipleInstallations_LogsStaggering()
             Times.AtLeastOnce);
     }
 
+    [Fact]
+    public async Task CheckInstallationIntegrity_WithPackageMod_ChecksItsManifest()
+    {
+        // Arrange
+        var root = Path.Combine(Path.GetTempPath(), Guid.NewGuid().ToString("N"));
+        var targetPath = Path.Combine(root, "window.html");
+        Directory.CreateDirectory(Path.Combine(root, "mods", "easyFiles"));
+        await File.WriteAllTextAsync(targetPath, "<!-- Vivaldi Mod Manager - Injection Stub v1.0 -->");
+        await File.WriteAllTextAsync(Path.Combine(root, "loader.js"), "// loader");
+        await File.WriteAllTextAsync(Path.Combine(root, "mods", "easyFiles", ManifestConstants.PackageManifestFilename), "{}");
+
+        var manifest = new ManifestData
+        {
+            Settings = new GlobalSettings { ModsRootPath = root },
+            Mods = new List<ModInfo>
+            {
+                new() { Id = "easyFiles", Filename = "easyFiles", Enabled = true, Order = 1 }
+            }
+        };
+        var installation = new VivaldiInstallation { Id = "install1" };
+        _vivaldiServiceMock.Setup(v => v.FindInjectionTargetsAsync(installation, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new Dictionary<string, string> { ["window.html"] = targetPath });
+
+        var service = new IntegrityCheckService(_loggerMock.Object, _config, _manifestServiceMock.Object, _vivaldiServiceMock.Object);
+        typeof(IntegrityCheckService).GetField("_manifest", BindingFlags.NonPublic | BindingFlags.Instance)!
+            .SetValue(service, manifest);
+        var violations = new List<string>();
+        service.IntegrityViolation += (_, e) => violations.AddRange(e.Violations);
+
+        try
+        {
+            // Act
+            await CheckInstallationIntegrityAsync(service, installation);
+            File.Delete(Path.Combine(root, "mods", "easyFiles", ManifestConstants.PackageManifestFilename));
+            await CheckInstallationIntegrityAsync(service, installation);
+
+            // Assert
+            violations.Should().Equal("Enabled mod file not found: easyFiles");
+            service.TotalChecksRun.Should().Be(2);
+        }
+        finally
+        {
+            Directory.Delete(root, recursive: true);
+        }
+    }
+
     [Fact]
     public void Statistics_InitiallyZero()
     {
@@ -216,4 +264,10 @@ public void Dispose_DisposesResourcesProperly()
         // Assert - no exception should be thrown
         service.TotalChecksRun.Should().Be(0);
     }
+
+    private static Task CheckInstallationIntegrityAsync(IntegrityCheckService service, VivaldiInstallation installation)
+    {
+        var method = typeof(IntegrityCheckService).GetMethod("CheckInstallationIntegrityAsync", BindingFlags.NonPublic | BindingFlags.Instance);
+        return (Task)method!.Invoke(service, new object[] { installation })!;
+    }
 }
@@ -67,6 +67,7 @@ public MainWindowViewModelTests()
             _mockManifestService.Object,
             _mockLoaderService.Object,
             _mockHashService.Object,
+            new ModPackageService(Mock.Of<ILogger<ModPackageService>>()),
             _mockDialogService.Object,
             _mockSystemTrayService.Object,
             _mockLogger.Object,
@@ -281,6 +282,41 @@ public async Task MoveModCommands_ReordersModsCorrectly()
         }
     }
 
+    [Fact]
+    public async Task AddModFolderCommand_CopiesPackageWithoutChecksum()
+    {
+        var sourceFolder = Path.Combine(_tempDataDirectory, "source", "easyFiles");
+        Directory.CreateDirectory(Path.Combine(sourceFolder, "src"));
+        await File.WriteAllTextAsync(Path.Combine(sourceFolder, ManifestConstants.PackageManifestFilename), "{ \"main\": \"src/main.js\" }");
+        await File.WriteAllTextAsync(Path.Combine(sourceFolder, "src", "main.js"), "// package entry");
+        _mockDialogService.Setup(d => d.ShowFolderBrowserDialogAsync(It.IsAny<string>())).ReturnsAsync(sourceFolder);
+
+        await _viewModel.AddModFolderCommand.ExecuteAsync(null);
+
+        var mod = CurrentManifest.Mods.Should().ContainSingle().Subject;
+        mod.Filename.Should().Be("easyFiles");
+        mod.Checksum.Should().BeEmpty();
+        var storedPath = Path.Combine(_tempDataDirectory, "mods", "easyFiles");
+        File.Exists(Path.Combine(storedPath, "src", "main.js")).Should().BeTrue();
+        File.Exists(Path.Combine(storedPath, ManifestConstants.PackageFileListingFilename)).Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task AddModFolderCommand_RejectsFolderWithoutPackageManifest()
+    {
+        var sourceFolder = Path.Combine(_tempDataDirectory, "source", "scripts");
+        Directory.CreateDirectory(sourceFolder);
+        await File.WriteAllTextAsync(Path.Combine(sourceFolder, "index.js"), "// not a package");
+        _mockDialogService.Setup(d => d.ShowFolderBrowserDialogAsync(It.IsAny<string>())).ReturnsAsync(sourceFolder);
+
+        await _viewModel.AddModFolderCommand.ExecuteAsync(null);
+
+        CurrentManifest.Mods.Should().BeEmpty();
+        _mockDialogService.Verify(d => d.ShowErrorAsync(
+            It.Is<string>(s => s.Contains(ManifestConstants.PackageManifestFilename)),
+            It.IsAny<string>()), Times.Once);
+    }
+
     [Fact]
     public async Task UpdateInjectionStatus_ReflectsTimestampAndMissingMods()
     {